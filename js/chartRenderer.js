@@ -0,0 +1,139 @@
+// SVG chart helpers. Charts are returned as markup strings, like the other renderers,
+// so they can be dropped into any container with innerHTML.
+
+const DEFAULT_PADDING = { top: 10, right: 12, bottom: 24, left: 30 };
+
+// Distinct colours for charts with many series (one per team)
+const SERIES_COLORS = [
+    '#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#46a0a0', '#f032e6', '#8a9a05', '#c2185b', '#008080',
+    '#9a6324', '#1e3a8a', '#800000', '#2e7d32', '#808000', '#ff6f00', '#000075', '#6d4c41', '#455a64', '#b8860b'
+];
+
+/**
+ * Escapes text for use inside SVG markup (titles, labels).
+ * @param {string} text
+ * @returns {string}
+ * @private
+ */
+function escapeText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Picks up to `count` evenly spaced values from a sorted list, always keeping the
+ * first and last ones.
+ * @param {Array<number>} values
+ * @param {number} count
+ * @returns {Array<number>}
+ * @private
+ */
+function pickTicks(values, count) {
+    if (values.length <= count) return values;
+    const step = (values.length - 1) / (count - 1);
+    const ticks = [];
+    for (let i = 0; i < count; i++) ticks.push(values[Math.round(i * step)]);
+    return [...new Set(ticks)];
+}
+
+export const ChartRenderer = {
+    /**
+     * Returns a colour for the series at `index`, cycling through a fixed palette.
+     * @param {number} index - series index
+     * @returns {string} hex colour
+     */
+    getSeriesColor(index) {
+        return SERIES_COLORS[index % SERIES_COLORS.length];
+    },
+
+    /**
+     * Renders a line chart as an SVG string.
+     * Each point may carry a `title`, shown as a native tooltip on its marker; the
+     * series label is the tooltip of the line itself. Muted series are drawn thin and
+     * grey, without markers, behind the others.
+     * @param {Object} options
+     * @param {Array<number>} options.xValues - x positions, in order (e.g. rounds)
+     * @param {Array<{ key: string, label: string, color: string, muted?: boolean, values: Array<{ x: number, y: number, title?: string }> }>} options.series
+     * @param {number} options.yMin - lowest y value shown
+     * @param {number} options.yMax - highest y value shown
+     * @param {boolean} [options.invertY=false] - draw yMin at the top (e.g. table positions)
+     * @param {Array<number>} [options.yTicks] - y values with grid lines and labels
+     * @param {Array<{ from: number, to: number, color: string, label: string }>} [options.bands=[]] - shaded
+     *   horizontal bands covering y values from..to (e.g. standings zones)
+     * @param {number} [options.xTickCount=6] - maximum number of x labels
+     * @param {number} [options.width=320] - viewBox width
+     * @param {number} [options.height=160] - viewBox height
+     * @param {string} [options.ariaLabel=''] - accessible description of the chart
+     * @returns {string} SVG markup
+     */
+    renderLineChart({
+        xValues,
+        series,
+        yMin,
+        yMax,
+        invertY = false,
+        yTicks = [yMin, yMax],
+        bands = [],
+        xTickCount = 6,
+        width = 320,
+        height = 160,
+        ariaLabel = ''
+    }) {
+        const pad = DEFAULT_PADDING;
+        const plotWidth = width - pad.left - pad.right;
+        const plotHeight = height - pad.top - pad.bottom;
+        const xFirst = xValues[0];
+        const xSpan = Math.max(1, xValues[xValues.length - 1] - xFirst);
+        const ySpan = Math.max(1, yMax - yMin);
+        const scaleX = (x) => pad.left + ((x - xFirst) / xSpan) * plotWidth;
+        const scaleY = (y) => {
+            const ratio = (y - yMin) / ySpan;
+            return pad.top + (invertY ? ratio : 1 - ratio) * plotHeight;
+        };
+
+        const grid = yTicks.map(y => `
+            <line x1="${pad.left}" x2="${width - pad.right}" y1="${scaleY(y)}" y2="${scaleY(y)}" stroke="#e5e7eb" stroke-width="1" />
+            <text x="${pad.left - 4}" y="${scaleY(y) + 3}" text-anchor="end" font-size="9" fill="#6b7280">${y}</text>`).join('');
+        const xLabels = pickTicks(xValues, xTickCount).map(x => `
+            <text x="${scaleX(x)}" y="${height - 8}" text-anchor="middle" font-size="9" fill="#6b7280">${x}</text>`).join('');
+
+        // Bands cover whole y steps, e.g. positions 1..4 span from 0.5 to 4.5
+        const bandRects = bands.map(band => {
+            const top = Math.min(scaleY(band.from - 0.5), scaleY(band.to + 0.5));
+            const bottom = Math.max(scaleY(band.from - 0.5), scaleY(band.to + 0.5));
+            const y = Math.max(pad.top, top);
+            const h = Math.min(pad.top + plotHeight, bottom) - y;
+            return `
+            <rect x="${pad.left}" y="${y.toFixed(1)}" width="${plotWidth}" height="${h.toFixed(1)}" fill="${band.color}" fill-opacity="0.12">
+                <title>${escapeText(band.label)}</title>
+            </rect>`;
+        }).join('');
+
+        const ordered = series.filter(line => line.muted).concat(series.filter(line => !line.muted));
+        const lines = ordered.map(line => {
+            const points = line.values.map(point => `${scaleX(point.x).toFixed(1)},${scaleY(point.y).toFixed(1)}`).join(' ');
+            if (line.muted) {
+                return `
+            <g data-series="${escapeText(line.key)}" data-muted="true">
+                <polyline points="${points}" fill="none" stroke="#d1d5db" stroke-width="1"><title>${escapeText(line.label)}</title></polyline>
+            </g>`;
+            }
+            const markers = line.values.map(point => `
+                <circle cx="${scaleX(point.x).toFixed(1)}" cy="${scaleY(point.y).toFixed(1)}" r="2.5" fill="${line.color}">
+                    ${point.title ? `<title>${escapeText(point.title)}</title>` : ''}
+                </circle>`).join('');
+            return `
+            <g data-series="${escapeText(line.key)}">
+                <polyline points="${points}" fill="none" stroke="${line.color}" stroke-width="2" stroke-linejoin="round"><title>${escapeText(line.label)}</title></polyline>
+                ${markers}
+            </g>`;
+        }).join('');
+
+        return `
+            <svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" role="img" aria-label="${escapeText(ariaLabel)}">
+                ${bandRects}
+                ${grid}
+                ${xLabels}
+                ${lines}
+            </svg>`;
+    }
+};
@@ -1,8 +1,57 @@
 // Configuration constants for the football table application
+// Competition rules (rounds, points, zones, tie-breakers, targets) are defaults that
+// dataManager.applyCompetition overwrites with data/competition.json at load.
 export const CONFIG = {
     MIN_ROUND: 16,
     MAX_ROUND: 38,
     MAX_GOALS: 20,
+    TEAM_COUNT: 20,
+    // Times each pair of teams meets ("turnos"): 2 = home and away
+    LEGS: 2,
+
+    // Points awarded per result
+    POINTS: { win: 3, draw: 1, loss: 0 },
+
+    // Standings zones: badge and legend colour for each position range (inclusive)
+    ZONES: [
+        { key: 'libertadores', label: 'Libertadores', from: 1, to: 4, color: '#16a34a' },
+        { key: 'pre-libertadores', label: 'Pré-libertadores', from: 5, to: 6, color: '#86efac' },
+        { key: 'sul-americana', label: 'Sulamericana', from: 7, to: 12, color: '#2563eb' },
+        { key: 'rebaixamento', label: 'Rebaixamento', from: 17, to: 20, color: '#dc2626' }
+    ],
+
+    // Match simulation model settings
+    MATCH_MODEL: {
+        default: 'poisson',
+        // Multiplies the home side's expected goals and divides the away side's
+        homeAdvantage: 1.2,
+        // Virtual league-average games blended into each team's rates
+        priorGames: 5
+    },
+
+    // Monte Carlo season simulation
+    SEASON_SIMULATIONS: 1000,
+    SEASON_SIMULATIONS_MAX: 20000,
+    // Position ranges (inclusive) reported as probability columns ("targets" in competition.json)
+    PROBABILITY_ZONES: [
+        { key: 'champion', label: 'Título', from: 1, to: 1 },
+        { key: 'g4', label: 'G4', from: 1, to: 4 },
+        { key: 'g6', label: 'G6', from: 1, to: 6 },
+        { key: 'sula', label: 'Sul-Am.', from: 7, to: 12 },
+        { key: 'z4', label: 'Z4', from: 17, to: 20 }
+    ],
+
+    // Tie-breakers applied after points, in order (CBF regulation). Available keys:
+    // victories, balance_goals, goal_pro, goal_against, head_to_head, red_cards,
+    // yellow_cards, draw
+    TIEBREAKERS: ['victories', 'balance_goals', 'goal_pro', 'head_to_head', 'red_cards', 'yellow_cards', 'draw'],
+
+    // Default points of the prediction pool ("bolão"), editable in its panel:
+    // exact score, right winner (or draw) and goal difference, right outcome only
+    POOL_SCORING: { exact: 10, goalDifference: 7, outcome: 5 },
+
+    // Maximum number of undoable steps kept in the history
+    HISTORY_LIMIT: 100,
     
     ANIM: {
         // Row collapse/expand settings
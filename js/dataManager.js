@@ -3,6 +3,26 @@ import { Utils } from './utils.js';
 import { TeamService } from './teamService.js';
 import { MatchService } from './matchService.js';
 import { UIManager } from './uiManager.js';
+import { ScenarioService } from './scenarioService.js';
+import { OfficialResultsService } from './officialResultsService.js';
+import { DataValidator } from './dataValidator.js';
+import { LeagueService } from './leagueService.js';
+
+// Data catalogue: data/<competition>/<season>/ folders listed in the manifest
+const MANIFEST_URL = 'data/manifest.json';
+const DATASET_STORAGE_KEY = 'simulador-brasileirao:dataset';
+const DATASET_ID_PATTERN = /^[a-z0-9-]+\/[a-z0-9-]+$/;
+// Competition rules as shipped in config.js, restored before each data set is applied
+const COMPETITION_DEFAULTS = JSON.parse(JSON.stringify({
+	MIN_ROUND: CONFIG.MIN_ROUND,
+	MAX_ROUND: CONFIG.MAX_ROUND,
+	TEAM_COUNT: CONFIG.TEAM_COUNT,
+	LEGS: CONFIG.LEGS,
+	POINTS: CONFIG.POINTS,
+	ZONES: CONFIG.ZONES,
+	TIEBREAKERS: CONFIG.TIEBREAKERS,
+	PROBABILITY_ZONES: CONFIG.PROBABILITY_ZONES
+}));
 
 // Data state management
 export const state = {
@@ -13,56 +33,98 @@ export const state = {
 	loading: true,
 	simulatedMatches: new Map(),
 	allMatches: {},
+	// Postponed matches from earlier rounds (jogos atrasados), with originalRound and date
+	pendingMatches: [],
+	// Matches before CONFIG.MIN_ROUND whose official results were added to initialStandings
+	// (see OfficialResultsService.applyToState), kept for head-to-head
+	playedMatches: [],
 	initialStandings: [],
-	previousStandings: [],
 	teams: [],
+	// Monte Carlo results ({ iterations, teams }) or null when stale
+	seasonProbabilities: null,
+	// Key of the match model used by every simulation (see MatchModels)
+	matchModel: CONFIG.MATCH_MODEL.default,
+	// Seed for every simulation; mirrored in the `seed` URL query parameter
+	seed: '',
+	// Data catalogue (data/manifest.json) and the id ("<competition>/<season>") of the loaded data set
+	manifest: null,
+	datasetId: null,
+	// Competition definition loaded from the data set's competition.json (rules live in CONFIG)
+	competition: null,
+	// Problems found in the loaded data set's files ({ datasetId, issues }, see DataValidator)
+	diagnostics: null,
+	// Undo/redo stacks of score edits (see MatchManager.recordStep)
+	history: { undo: [], redo: [] },
 	// Persist compact table preference (false = full table)
-	compactTable: false
+	compactTable: false,
+	// Standings shown: 'round' (after state.currentRound) or 'final' (pinned to the final table)
+	standingsView: 'round'
 };
 
 // DataManager handles loading and resetting data 
 export const dataManager = {
 	/**
 	 * Loads the initial data for the simulator by fetching the initial standings
-	 * and round fixtures from JSON files. If the fetches are successful, it will
+	 * and round fixtures from the JSON files of the selected data set
+	 * (data/<competition>/<season>/, see data/manifest.json; leagues built in the app come
+	 * from localStorage, see readDatasetFiles). If the fetches are successful, it will
 	 * set the state properties accordingly and return true. Otherwise, it will
-	 * log an error, alert the user and return false.
+	 * log an error and return false.
+	 * The files are checked by DataValidator and the problems found are kept in
+	 * state.diagnostics for the diagnostics panel; the data set only fails to load
+	 * when the standings or fixtures are missing or malformed, and then the previous
+	 * data set stays loaded (state.datasetId, CONFIG and the remembered data set unchanged).
+	 * Unless disabled, the scenario saved in localStorage (results, current round and
+	 * compact preference) is restored on top of the loaded data; if the fixtures
+	 * changed since it was saved, results that no longer match are dropped and the
+	 * user is warned.
 	 * @async
 	 * @function
+	 * @param {Object} [options]
+	 * @param {boolean} [options.restoreScenario=true] - restore the saved scenario
+	 * @param {string} [options.datasetId] - data set to load (defaults to the current or remembered one)
 	 * @returns {Promise<boolean>}
 	 * @since 0.1.0
 	 */
-	async loadData() {
+	async loadData({ restoreScenario = true, datasetId = null } = {}) {
+		// Missing or malformed files and inconsistent data are listed in the diagnostics panel
+		const issues = [];
+		// Rules of the loaded data set, put back if the new one fails before replacing it
+		const previousRules = JSON.parse(JSON.stringify(Object.fromEntries(Object.keys(COMPETITION_DEFAULTS).map(key => [key, CONFIG[key]]))));
+		// Nothing in `state` changes until the files are read and usable, so a failed load
+		// keeps the previous data set (and its scenario key) in place
+		let loading = null;
+		let committed = false;
 		try {
-			const [standingsRes, fixturesRes, teamsRes] = await Promise.all([
-				fetch('data/initial_standings.json'),
-				fetch('data/round_fixtures.json'),
-				fetch('data/teams.json')
-			]);
-			if (!standingsRes.ok || !fixturesRes.ok) {
-				console.error('DataManager: fetch failed', standingsRes.status, fixturesRes.status);
-				throw new Error('Fetch failed');
-			}
-			const initialStandings = await standingsRes.json();
-			const roundFixtures = await fixturesRes.json();
-			let teamsList = [];
-			if (teamsRes && teamsRes.ok) {
-				try {
-					teamsList = await teamsRes.json();
-				} catch (err) {
-					console.warn('DataManager: failed to parse teams.json', err);
-					teamsList = [];
-				}
-			} else {
-				teamsList = [];
+			if (!state.manifest) await this.loadManifest();
+			loading = this.resolveDatasetId(datasetId || state.datasetId);
+			const { initialStandings, roundFixtures, teams: teamsList, competition, pendingMatches: pending } = await this.readDatasetFiles(loading, issues);
+			// Start from the shipped defaults so rules of a previous data set never leak
+			Object.assign(CONFIG, JSON.parse(JSON.stringify(COMPETITION_DEFAULTS)));
+			issues.push(...DataValidator.validateDataset({ teams: teamsList, initialStandings, roundFixtures, pendingMatches: pending, competition }));
+			this.setDiagnostics(issues, loading);
+			if (!Array.isArray(initialStandings) || !roundFixtures || typeof roundFixtures !== 'object' || Array.isArray(roundFixtures)) {
+				console.error('DataManager: data set cannot be loaded', state.diagnostics.issues);
+				Object.assign(CONFIG, previousRules);
+				return false;
 			}
-			state.teams = teamsList || [];
+			committed = true;
+			// Another data set starts at its first round unless its saved scenario says otherwise
+			if (loading !== state.datasetId) state.currentRound = null;
+			state.datasetId = loading;
+			this.rememberDataset(loading);
+			state.competition = null;
+			if (competition) this.applyCompetition(competition);
+			else console.warn('DataManager: competition.json not found or invalid, using defaults');
+			state.teams = Array.isArray(teamsList) ? teamsList : [];
+			state.seasonProbabilities = null;
+			state.history = { undo: [], redo: [] };
+			state.simulatedMatches.clear();
 			state.initialStandings = Utils.deepClone(initialStandings);
 			state.standings = state.initialStandings.map(team => TeamService.ensureTeamStats(team));
-			// initialize previousStandings snapshot
-			state.previousStandings = JSON.parse(JSON.stringify(state.standings || []));
-			// Suppress change indicators on the immediate next standings render
-			state._skipStandingsIndicators = true;
+			if (state.standings.length !== CONFIG.TEAM_COUNT) {
+				console.warn(`DataManager: competition has ${CONFIG.TEAM_COUNT} teams but initial_standings.json lists ${state.standings.length}`);
+			}
 			// Store the date for each round in allMatches as a property
 			state.allMatches = Object.keys(roundFixtures).reduce((acc, round) => {
 				const matches = roundFixtures[round].matches.map(MatchService.initializeMatch);
@@ -71,6 +133,15 @@ export const dataManager = {
 				acc[round] = matches;
 				return acc;
 			}, {});
+			// Postponed matches from earlier rounds (optional file)
+			const pendingList = (pending && Array.isArray(pending.matches)) ? pending.matches : [];
+			state.pendingMatches = pendingList.map(match => ({ ...MatchService.initializeMatch(match), pending: true }));
+			// Imported official results: fully played rounds move into the initial standings
+			OfficialResultsService.applyToState();
+			this.warnIncompleteSchedules();
+			this.warnDataErrors();
+			if (!state.allMatches[state.currentRound]) state.currentRound = CONFIG.MIN_ROUND;
+			if (restoreScenario) this.restoreScenario();
 			// Set matches for the current round and set the round date
 			state.matches = state.allMatches[state.currentRound] || [];
 			state.currentRoundDate = (roundFixtures[state.currentRound] && roundFixtures[state.currentRound].date) || '';
@@ -81,11 +152,316 @@ export const dataManager = {
 			return true;
 		} catch (e) {
 			console.error('DataManager.loadData error:', e);
-			alert('Erro ao carregar dados iniciais. Veja o console para detalhes.');
+			if (!committed) Object.assign(CONFIG, previousRules);
+			this.setDiagnostics(issues.concat(DataValidator.createIssue('error', null, null, `Erro inesperado ao carregar os dados: ${e.message}`)), loading || state.datasetId);
 			return false;
 		}
 	},
 	
+	/**
+	 * Reads the files of a data set: fetched from its data/ folder, or taken from the
+	 * catalogue of leagues built in the app (LeagueService). Problems reading them are
+	 * added to `issues`.
+	 * @async
+	 * @param {string} datasetId - "<competition>/<season>"
+	 * @param {Array<Object>} issues - DataValidator issues
+	 * @returns {Promise<Object>} { initialStandings, roundFixtures, teams, competition, pendingMatches },
+	 *   null for the files that are missing or malformed
+	 * @since 0.2.0
+	 */
+	async readDatasetFiles(datasetId, issues) {
+		if (LeagueService.isCustom(datasetId)) {
+			const files = LeagueService.getFiles(datasetId);
+			if (!files) issues.push(DataValidator.createIssue('error', null, null, `A liga ${datasetId} não está mais salva neste navegador.`));
+			return files || {};
+		}
+		const path = this.getDatasetPath(datasetId);
+		const [standingsRes, fixturesRes, teamsRes, competitionRes, pendingRes] = await Promise.all([
+			fetch(`${path}initial_standings.json`),
+			fetch(`${path}round_fixtures.json`),
+			fetch(`${path}teams.json`),
+			fetch(`${path}competition.json`),
+			fetch(`${path}pending_matches.json`)
+		]);
+		return {
+			initialStandings: await this.readDataFile(standingsRes, 'initial_standings.json', issues, 'error'),
+			roundFixtures: await this.readDataFile(fixturesRes, 'round_fixtures.json', issues, 'error'),
+			teams: await this.readDataFile(teamsRes, 'teams.json', issues, 'warning'),
+			competition: await this.readDataFile(competitionRes, 'competition.json', issues, 'warning'),
+			pendingMatches: await this.readDataFile(pendingRes, 'pending_matches.json', issues, null)
+		};
+	},
+
+	/**
+	 * Reads a fetched data file as JSON. A missing file or malformed JSON is added to
+	 * `issues` (see DataValidator.parseJson) and gives null.
+	 * @async
+	 * @param {Response} response - fetch response of the file
+	 * @param {string} file - file name, for the issue
+	 * @param {Array<Object>} issues - list the issue is added to
+	 * @param {string|null} missingSeverity - severity when the file is missing ('error' or
+	 *   'warning'); null for optional files
+	 * @returns {Promise<*>} the parsed contents, or null
+	 * @since 0.2.0
+	 */
+	async readDataFile(response, file, issues, missingSeverity) {
+		if (!response || !response.ok) {
+			if (missingSeverity) {
+				const status = response ? ` (HTTP ${response.status})` : '';
+				issues.push(DataValidator.createIssue(missingSeverity, file, null, `arquivo não encontrado${status}`));
+			}
+			return null;
+		}
+		return DataValidator.parseJson(await response.text(), file, issues);
+	},
+
+	/**
+	 * Keeps the problems found in the loaded data set in state.diagnostics (errors
+	 * first) and updates the diagnostics button.
+	 * @param {Array<Object>} issues - DataValidator issues
+	 * @param {string} [datasetId=state.datasetId] - data set the issues belong to (the one
+	 *   that failed to load, when the previous one stays in place)
+	 * @returns {Object} state.diagnostics
+	 * @since 0.2.0
+	 */
+	setDiagnostics(issues, datasetId = state.datasetId) {
+		state.diagnostics = { datasetId, issues: DataValidator.sortIssues(issues) };
+		if (UIManager && typeof UIManager.updateDiagnosticsButton === 'function') UIManager.updateDiagnosticsButton();
+		return state.diagnostics;
+	},
+
+	/**
+	 * Warns when the loaded data set has errors (it still loaded, but some numbers may
+	 * be wrong); the list is in the diagnostics panel.
+	 * @returns {number} the number of errors
+	 * @since 0.2.0
+	 */
+	warnDataErrors() {
+		const { errors } = DataValidator.countIssues(state.diagnostics ? state.diagnostics.issues : []);
+		if (errors > 0 && UIManager && typeof UIManager.notify === 'function') {
+			UIManager.notify(`Os arquivos do campeonato têm ${errors} erro(s). Veja a lista em “Diagnóstico dos dados”.`, 'warning', 10000);
+		}
+		return errors;
+	},
+
+	/**
+	 * Fetches the data catalogue (data/manifest.json) into state.manifest, followed by
+	 * the leagues built in the app (LeagueService). Entries without a valid
+	 * "<competition>/<season>" id are ignored.
+	 * @async
+	 * @returns {Promise<Object>} the manifest ({ default, datasets })
+	 * @throws {Error} when the manifest cannot be loaded or lists no data set
+	 * @since 0.2.0
+	 */
+	async loadManifest() {
+		const res = await fetch(MANIFEST_URL);
+		if (!res.ok) throw new Error(`Manifest fetch failed (${res.status})`);
+		const manifest = await res.json();
+		const datasets = (Array.isArray(manifest.datasets) ? manifest.datasets : [])
+			.filter(entry => entry && DATASET_ID_PATTERN.test(entry.id || ''))
+			.concat(LeagueService.getManifestEntries());
+		if (datasets.length === 0) throw new Error('Manifest lists no data set');
+		state.manifest = { default: manifest.default, datasets };
+		return state.manifest;
+	},
+
+	/**
+	 * Picks the data set to load: the requested id when it is in the manifest, else the
+	 * remembered choice, else the manifest default, else the first listed data set.
+	 * @param {string|null} requested - data set id
+	 * @returns {string} a data set id listed in state.manifest
+	 * @since 0.2.0
+	 */
+	resolveDatasetId(requested) {
+		const ids = state.manifest.datasets.map(entry => entry.id);
+		let remembered = null;
+		try {
+			remembered = localStorage.getItem(DATASET_STORAGE_KEY);
+		} catch (e) {
+			remembered = null;
+		}
+		return [requested, remembered, state.manifest.default].find(id => ids.includes(id)) || ids[0];
+	},
+
+	/**
+	 * Returns the manifest entry of a data set (label, competition, season).
+	 * @param {string} [datasetId=state.datasetId]
+	 * @returns {Object|null}
+	 * @since 0.2.0
+	 */
+	getDataset(datasetId = state.datasetId) {
+		if (!state.manifest) return null;
+		return state.manifest.datasets.find(entry => entry.id === datasetId) || null;
+	},
+
+	/**
+	 * Returns the folder holding a data set's JSON files, e.g. "data/serie-a/2025/".
+	 * @param {string} datasetId - "<competition>/<season>"
+	 * @returns {string}
+	 * @since 0.2.0
+	 */
+	getDatasetPath(datasetId) {
+		return `data/${datasetId}/`;
+	},
+
+	/**
+	 * Stores the chosen data set so the next visit opens it again.
+	 * @param {string} datasetId
+	 * @since 0.2.0
+	 */
+	rememberDataset(datasetId) {
+		try {
+			localStorage.setItem(DATASET_STORAGE_KEY, datasetId);
+		} catch (e) {
+			console.warn('DataManager: could not remember the data set', e);
+		}
+	},
+
+	/**
+	 * Switches to another data set. The current scenario is saved under its own data
+	 * set first; then every piece of state tied to the old fixtures (results, history,
+	 * probabilities, current round, competition rules) is rebuilt by loadData, which
+	 * restores the scenario saved for the new data set unless told otherwise.
+	 * @async
+	 * @param {string} datasetId - id listed in the manifest
+	 * @param {Object} [options]
+	 * @param {boolean} [options.restoreScenario=true] - restore the new data set's saved scenario
+	 * @returns {Promise<boolean>} the result of loadData
+	 * @since 0.2.0
+	 */
+	async switchDataset(datasetId, { restoreScenario = true } = {}) {
+		ScenarioService.scheduleSave.cancel();
+		// A league just deleted is no longer in the catalogue: its scenario is not kept
+		if (state.datasetId && this.getDataset(state.datasetId)) ScenarioService.save();
+		return this.loadData({ restoreScenario, datasetId });
+	},
+
+	/**
+	 * Reloads the loaded data set on top of the current scenario, which is saved first
+	 * and restored afterwards (e.g. after the official results changed).
+	 * @async
+	 * @returns {Promise<boolean>}
+	 * @since 0.2.0
+	 */
+	async reloadDataset() {
+		ScenarioService.scheduleSave.cancel();
+		ScenarioService.save();
+		return this.loadData({ restoreScenario: true, datasetId: state.datasetId });
+	},
+
+	/**
+	 * Applies a competition definition (data/competition.json) to CONFIG: round range,
+	 * team count, legs, points per result, standings zones, tie-breaker order and the
+	 * probability targets. Missing or malformed entries keep the CONFIG defaults.
+	 * The definition itself is kept in state.competition.
+	 * @param {Object} definition - parsed competition.json
+	 * @since 0.2.0
+	 */
+	applyCompetition(definition) {
+		if (!definition || typeof definition !== 'object') return;
+		const isRange = (zone) => zone && zone.key && zone.label && Number.isInteger(zone.from) && Number.isInteger(zone.to) && zone.from <= zone.to;
+		const rounds = definition.rounds || {};
+		if (Number.isInteger(rounds.min) && Number.isInteger(rounds.max) && rounds.min <= rounds.max) {
+			CONFIG.MIN_ROUND = rounds.min;
+			CONFIG.MAX_ROUND = rounds.max;
+		}
+		if (Number.isInteger(definition.teamCount) && definition.teamCount > 1) CONFIG.TEAM_COUNT = definition.teamCount;
+		if (Number.isInteger(definition.legs) && definition.legs > 0) CONFIG.LEGS = definition.legs;
+		const points = definition.points || {};
+		if (Number.isFinite(points.win) && Number.isFinite(points.draw)) {
+			CONFIG.POINTS = { win: points.win, draw: points.draw, loss: Number.isFinite(points.loss) ? points.loss : 0 };
+		}
+		if (Array.isArray(definition.zones)) {
+			CONFIG.ZONES = definition.zones.filter(zone => isRange(zone) && /^#[0-9a-f]{3,8}$/i.test(zone.color || ''));
+		}
+		if (Array.isArray(definition.tiebreakers) && definition.tiebreakers.length > 0) {
+			CONFIG.TIEBREAKERS = definition.tiebreakers.filter(key => typeof key === 'string');
+		}
+		if (Array.isArray(definition.targets)) CONFIG.PROBABILITY_ZONES = definition.targets.filter(isRange);
+		state.competition = definition;
+	},
+
+	/**
+	 * Counts the games each team will have played at the end of the season (games in
+	 * the initial standings plus its matches in the fixtures and in the pending matches)
+	 * and warns when a team would not reach a full round-robin of CONFIG.LEGS legs
+	 * ((CONFIG.TEAM_COUNT - 1) * CONFIG.LEGS games, 38 in Série A).
+	 * @returns {Array<{ id: number, games: number }>} teams whose final count falls short
+	 * @since 0.2.0
+	 */
+	warnIncompleteSchedules() {
+		const expected = (CONFIG.TEAM_COUNT - 1) * CONFIG.LEGS;
+		const games = new Map(state.initialStandings.map(team => [team.id, team.games || 0]));
+		const count = (match) => {
+			[match.homeTeam.id, match.awayTeam.id].forEach(id => games.set(id, (games.get(id) || 0) + 1));
+		};
+		Object.keys(state.allMatches).forEach(round => state.allMatches[round].forEach(count));
+		state.pendingMatches.forEach(count);
+		const short = [...games].filter(([, total]) => total < expected).map(([id, total]) => ({ id, games: total }));
+		if (short.length > 0) {
+			console.warn(`DataManager: teams below ${expected} games at the end of the season`, short);
+			const names = short.map(({ id, games: total }) => `${(TeamService.getTeamById(id, state) || {}).name || id} (${total})`);
+			if (UIManager && typeof UIManager.notify === 'function') {
+				UIManager.notify(`Atenção: ${names.join(', ')} não chegam a ${expected} jogos com os dados carregados.`, 'warning', 10000);
+			}
+		}
+		return short;
+	},
+
+	/**
+	 * Restores the saved scenario through ScenarioService and warns the user about
+	 * results that could not be reapplied because the fixture data changed.
+	 * @returns {Object} the ScenarioService.restore report
+	 * @since 0.2.0
+	 */
+	restoreScenario() {
+		const report = ScenarioService.restore();
+		if (report.restored && (report.stale || report.skipped.length > 0)) {
+			console.warn('DataManager: saved scenario did not match the fixtures', report.skipped);
+			const message = report.skipped.length > 0
+				? `Os jogos mudaram desde o último acesso: ${report.skipped.length} resultado(s) salvo(s) foram descartados.`
+				: 'Os jogos mudaram desde o último acesso: os resultados salvos foram reaplicados aos jogos correspondentes.';
+			if (UIManager && typeof UIManager.notify === 'function') UIManager.notify(message, 'warning');
+		}
+		return report;
+	},
+
+	/**
+	 * Returns the seed given in the page URL (`?seed=...`), or null when absent.
+	 * @returns {string|null}
+	 * @since 0.2.0
+	 */
+	getSeedFromUrl() {
+		try {
+			const seed = new URLSearchParams(window.location.search).get('seed');
+			return seed ? seed.trim() : null;
+		} catch (e) {
+			return null;
+		}
+	},
+
+	/**
+	 * Sets the simulation seed and mirrors it in the URL query string so the link
+	 * reproduces the same simulations. Season probabilities computed with another
+	 * seed are discarded. An empty seed generates a new random one.
+	 * @param {string} seed - the new seed
+	 * @returns {string} the seed actually applied
+	 * @since 0.2.0
+	 */
+	setSeed(seed) {
+		const value = String(seed || '').trim() || Utils.generateSeed();
+		if (value !== state.seed) state.seasonProbabilities = null;
+		state.seed = value;
+		try {
+			const url = new URL(window.location.href);
+			url.searchParams.set('seed', value);
+			window.history.replaceState(null, '', url);
+		} catch (e) {
+			console.debug('DataManager: could not update seed in URL', e);
+		}
+		return value;
+	},
+
 	/**
 	 * Resets the entire championship state to its initial state by clearing all simulated matches
 	 * and setting the current round to the minimum round. If the user confirms the reset,
@@ -96,15 +472,18 @@ export const dataManager = {
 	 */
 	resetChampionship() {
 		if (confirm('Tem certeza que deseja resetar todo o campeonato? Todos os resultados serão perdidos.')) {
-			state.simulatedMatches.clear();
+			// Drop the saved scenario (and any pending save) so it is not restored again
+			ScenarioService.scheduleSave.cancel();
+			ScenarioService.clear();
 			state.currentRound = CONFIG.MIN_ROUND;
 
 			// Reset UI round title and date via UIManager
 			if (UIManager && typeof UIManager.resetRoundInfo === 'function') UIManager.resetRoundInfo();
-			// Reset compact table preference
+			// Reset compact table preference and standings view
 			state.compactTable = false;
+			state.standingsView = 'round';
 
-			return this.loadData();
+			return this.loadData({ restoreScenario: false });
 		}
 		return Promise.resolve(false);
 	}
@@ -0,0 +1,414 @@
+import { CONFIG } from './config.js';
+
+// File names of a data set (data/<competition>/<season>/), used in issue references
+const FILES = {
+    teams: 'teams.json',
+    standings: 'initial_standings.json',
+    fixtures: 'round_fixtures.json',
+    pending: 'pending_matches.json',
+    competition: 'competition.json'
+};
+
+// Numeric columns of a standings row: required ones are also read by TeamService.validateTeamData
+const STANDINGS_REQUIRED = ['points', 'games', 'victories'];
+const STANDINGS_OPTIONAL = ['draws', 'defeats', 'goal_pro', 'goal_against'];
+
+/**
+ * Tells whether a value can be used as a match id (a non-empty string or an integer).
+ * @param {*} id
+ * @returns {boolean}
+ * @private
+ */
+function isMatchId(id) {
+    return Number.isInteger(id) || (typeof id === 'string' && id.trim() !== '');
+}
+
+/**
+ * Tells whether a value is a non-negative integer (a count in a standings row).
+ * @param {*} value
+ * @returns {boolean}
+ * @private
+ */
+function isCount(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+// Consistency checks of a data set's JSON files. Every check reports issues instead of
+// throwing, so the app (dataManager.loadData) and scripts/validate-data.mjs can list them all.
+// Issue: { severity: 'error'|'warning', file, entry (null for the whole file), message }
+export const DataValidator = {
+    /**
+     * Creates an issue.
+     * @param {string} severity - 'error' (the data is wrong) or 'warning' (suspicious but usable)
+     * @param {string} file - file name, e.g. "teams.json"
+     * @param {string|null} entry - where in the file, e.g. "rodada 16, jogo 3 (id 5)"
+     * @param {string} message - description, in Portuguese (shown in the diagnostics panel)
+     * @returns {Object} the issue
+     */
+    createIssue(severity, file, entry, message) {
+        return { severity, file, entry, message };
+    },
+
+    /**
+     * Parses the text of a data file, reporting malformed JSON as an error.
+     * @param {string} text - file contents
+     * @param {string} file - file name, for the issue
+     * @param {Array<Object>} issues - list the issue is added to
+     * @returns {*} the parsed value, or null when the text is not valid JSON
+     */
+    parseJson(text, file, issues) {
+        try {
+            return JSON.parse(String(text).replace(/^\uFEFF/, ''));
+        } catch (err) {
+            issues.push(this.createIssue('error', file, null, `JSON inválido: ${err.message}`));
+            return null;
+        }
+    },
+
+    /**
+     * Runs every check on the parsed files of a data set. Files that are missing or
+     * could not be parsed (null or undefined; see parseJson) are skipped; points and
+     * round range come from competition.json, falling back to CONFIG.
+     * @param {Object} data
+     * @param {Array<Object>} data.teams - parsed teams.json
+     * @param {Array<Object>} data.initialStandings - parsed initial_standings.json
+     * @param {Object} data.roundFixtures - parsed round_fixtures.json
+     * @param {Object} [data.pendingMatches] - parsed pending_matches.json
+     * @param {Object} [data.competition] - parsed competition.json
+     * @returns {Array<Object>} issues, errors first, in file order
+     */
+    validateDataset({ teams, initialStandings, roundFixtures, pendingMatches = null, competition = null }) {
+        const issues = [];
+        const rules = this.getRules(competition, issues);
+        const teamIds = this.validateTeams(teams, rules, issues);
+        this.validateStandings(initialStandings, teamIds, rules, issues);
+        const matches = [
+            ...this.validateFixtures(roundFixtures, teamIds, rules, issues),
+            ...this.validatePendingMatches(pendingMatches, teamIds, issues)
+        ];
+        this.validateMatchIds(matches, issues);
+        // With more than two legs the same home side meets the same opponent again
+        if (rules.legs <= 2) this.validatePairings(matches, issues);
+        return this.sortIssues(issues);
+    },
+
+    /**
+     * Reads the rules the checks depend on from competition.json (see
+     * dataManager.applyCompetition), reporting unusable entries as warnings.
+     * @param {Object|null} competition - parsed competition.json
+     * @param {Array<Object>} issues
+     * @returns {{ points: Object, minRound: number, maxRound: number, teamCount: number, legs: number }}
+     */
+    getRules(competition, issues) {
+        const rules = { points: CONFIG.POINTS, minRound: CONFIG.MIN_ROUND, maxRound: CONFIG.MAX_ROUND, teamCount: CONFIG.TEAM_COUNT, legs: CONFIG.LEGS };
+        if (competition === null || competition === undefined) return rules;
+        if (typeof competition !== 'object' || Array.isArray(competition)) {
+            issues.push(this.createIssue('error', FILES.competition, null, 'o arquivo deve conter um objeto'));
+            return rules;
+        }
+        const rounds = competition.rounds || {};
+        if (Number.isInteger(rounds.min) && Number.isInteger(rounds.max) && rounds.min <= rounds.max) {
+            rules.minRound = rounds.min;
+            rules.maxRound = rounds.max;
+        } else if (competition.rounds !== undefined) {
+            issues.push(this.createIssue('warning', FILES.competition, 'rounds', 'min e max devem ser inteiros com min ≤ max; usando o padrão'));
+        }
+        const points = competition.points || {};
+        if (Number.isFinite(points.win) && Number.isFinite(points.draw)) {
+            rules.points = { win: points.win, draw: points.draw, loss: Number.isFinite(points.loss) ? points.loss : 0 };
+        } else if (competition.points !== undefined) {
+            issues.push(this.createIssue('warning', FILES.competition, 'points', 'win e draw devem ser números; usando 3/1/0'));
+        }
+        if (Number.isInteger(competition.teamCount) && competition.teamCount > 1) {
+            rules.teamCount = competition.teamCount;
+        } else if (competition.teamCount !== undefined) {
+            issues.push(this.createIssue('warning', FILES.competition, 'teamCount', 'deve ser um inteiro maior que 1'));
+        }
+        if (Number.isInteger(competition.legs) && competition.legs > 0) {
+            rules.legs = competition.legs;
+        } else if (competition.legs !== undefined) {
+            issues.push(this.createIssue('warning', FILES.competition, 'legs', 'deve ser um inteiro a partir de 1'));
+        }
+        return rules;
+    },
+
+    /**
+     * Checks teams.json: an array of { id, name, acronym, image } with unique ids.
+     * @param {Array<Object>} teams - parsed teams.json
+     * @param {Object} rules - see getRules
+     * @param {Array<Object>} issues
+     * @returns {Set<number>} the valid team ids
+     */
+    validateTeams(teams, rules, issues) {
+        const ids = new Set();
+        if (teams === null || teams === undefined) return ids;
+        if (!Array.isArray(teams)) {
+            issues.push(this.createIssue('error', FILES.teams, null, 'o arquivo deve conter uma lista de times'));
+            return ids;
+        }
+        const acronyms = new Map();
+        teams.forEach((team, index) => {
+            const entry = `[${index}]${team && team.id !== undefined ? ` (id ${team.id})` : ''}`;
+            if (!team || typeof team !== 'object') {
+                issues.push(this.createIssue('error', FILES.teams, entry, 'o item deve ser um objeto'));
+                return;
+            }
+            if (!Number.isInteger(team.id)) {
+                issues.push(this.createIssue('error', FILES.teams, entry, 'id ausente ou não inteiro'));
+            } else if (ids.has(team.id)) {
+                issues.push(this.createIssue('error', FILES.teams, entry, `id ${team.id} repetido`));
+            } else {
+                ids.add(team.id);
+            }
+            if (typeof team.name !== 'string' || !team.name.trim()) {
+                issues.push(this.createIssue('error', FILES.teams, entry, 'name ausente'));
+            }
+            if (typeof team.acronym !== 'string' || !team.acronym.trim()) {
+                issues.push(this.createIssue('warning', FILES.teams, entry, 'acronym ausente'));
+            } else if (acronyms.has(team.acronym)) {
+                issues.push(this.createIssue('warning', FILES.teams, entry, `sigla ${team.acronym} repetida (também em [${acronyms.get(team.acronym)}])`));
+            } else {
+                acronyms.set(team.acronym, index);
+            }
+            if (team.aliases !== undefined && (!Array.isArray(team.aliases) || team.aliases.some(alias => typeof alias !== 'string'))) {
+                issues.push(this.createIssue('warning', FILES.teams, entry, 'aliases deve ser uma lista de nomes'));
+            }
+        });
+        if (teams.length !== rules.teamCount) {
+            issues.push(this.createIssue('warning', FILES.teams, null, `${teams.length} times listados; a competição tem ${rules.teamCount}`));
+        }
+        return ids;
+    },
+
+    /**
+     * Checks initial_standings.json: one row per team of teams.json, non-negative
+     * counts, points = win·V + draw·E + loss·D and games = V + E + D.
+     * @param {Array<Object>} standings - parsed initial_standings.json
+     * @param {Set<number>} teamIds - ids from validateTeams
+     * @param {Object} rules - see getRules
+     * @param {Array<Object>} issues
+     */
+    validateStandings(standings, teamIds, rules, issues) {
+        if (standings === null || standings === undefined) return;
+        if (!Array.isArray(standings)) {
+            issues.push(this.createIssue('error', FILES.standings, null, 'o arquivo deve conter uma lista de linhas da classificação'));
+            return;
+        }
+        const seen = new Set();
+        standings.forEach((row, index) => {
+            const entry = `[${index}]${row && row.id !== undefined ? ` (time ${row.id})` : ''}`;
+            if (!row || typeof row !== 'object') {
+                issues.push(this.createIssue('error', FILES.standings, entry, 'a linha deve ser um objeto'));
+                return;
+            }
+            if (!Number.isInteger(row.id)) {
+                issues.push(this.createIssue('error', FILES.standings, entry, 'id ausente ou não inteiro'));
+            } else if (teamIds.size > 0 && !teamIds.has(row.id)) {
+                issues.push(this.createIssue('error', FILES.standings, entry, `time ${row.id} não existe em ${FILES.teams}`));
+            } else if (seen.has(row.id)) {
+                issues.push(this.createIssue('error', FILES.standings, entry, `time ${row.id} aparece mais de uma vez`));
+            }
+            seen.add(row.id);
+            const missing = STANDINGS_REQUIRED.filter(key => !isCount(row[key]));
+            const invalid = STANDINGS_OPTIONAL.filter(key => row[key] !== undefined && !isCount(row[key]));
+            if (missing.length > 0) {
+                issues.push(this.createIssue('error', FILES.standings, entry, `${missing.join(', ')} ausente(s) ou não inteiro(s) ≥ 0`));
+            }
+            if (invalid.length > 0) {
+                issues.push(this.createIssue('error', FILES.standings, entry, `${invalid.join(', ')} deve(m) ser inteiro(s) ≥ 0`));
+            }
+            if (missing.length > 0 || invalid.length > 0) return;
+            const draws = row.draws || 0;
+            const defeats = row.defeats || 0;
+            const { win, draw, loss } = rules.points;
+            const expectedPoints = win * row.victories + draw * draws + loss * defeats;
+            if (row.points !== expectedPoints) {
+                issues.push(this.createIssue('error', FILES.standings, entry,
+                    `points = ${row.points}, mas ${win}·V + ${draw}·E${loss ? ` + ${loss}·D` : ''} = ${expectedPoints}`));
+            }
+            if (row.games !== row.victories + draws + defeats) {
+                issues.push(this.createIssue('error', FILES.standings, entry,
+                    `games = ${row.games}, mas V + E + D = ${row.victories + draws + defeats}`));
+            }
+            if (row.balance_goals !== undefined && row.goal_pro !== undefined && row.goal_against !== undefined
+                && row.balance_goals !== row.goal_pro - row.goal_against) {
+                issues.push(this.createIssue('warning', FILES.standings, entry,
+                    `balance_goals = ${row.balance_goals}, mas goal_pro − goal_against = ${row.goal_pro - row.goal_against}`));
+            }
+        });
+        teamIds.forEach(id => {
+            if (!seen.has(id)) issues.push(this.createIssue('error', FILES.standings, null, `time ${id} de ${FILES.teams} não tem linha na classificação`));
+        });
+    },
+
+    /**
+     * Checks a match entry of the fixtures or pending matches: an id and two
+     * different teams that exist in teams.json.
+     * @param {Object} match - match entry
+     * @param {string} file - file name
+     * @param {string} entry - entry reference
+     * @param {Set<number>} teamIds - ids from validateTeams
+     * @param {Array<Object>} issues
+     * @returns {boolean} true when the match can be checked further (ids and teams present)
+     * @private
+     */
+    _validateMatch(match, file, entry, teamIds, issues) {
+        if (!match || typeof match !== 'object') {
+            issues.push(this.createIssue('error', file, entry, 'o jogo deve ser um objeto'));
+            return false;
+        }
+        let usable = true;
+        if (!isMatchId(match.id)) {
+            issues.push(this.createIssue('error', file, entry, 'id do jogo ausente'));
+            usable = false;
+        }
+        ['homeTeam', 'awayTeam'].forEach(side => {
+            const team = match[side];
+            if (!team || !Number.isInteger(team.id)) {
+                issues.push(this.createIssue('error', file, entry, `${side}.id ausente ou não inteiro`));
+                usable = false;
+            } else if (teamIds.size > 0 && !teamIds.has(team.id)) {
+                issues.push(this.createIssue('error', file, entry, `${side}: time ${team.id} não existe em ${FILES.teams}`));
+                usable = false;
+            }
+        });
+        if (usable && match.homeTeam.id === match.awayTeam.id) {
+            issues.push(this.createIssue('error', file, entry, `time ${match.homeTeam.id} joga contra si mesmo`));
+            usable = false;
+        }
+        return usable;
+    },
+
+    /**
+     * Checks round_fixtures.json: integer round keys within the competition, a
+     * matches list per round and no team playing twice in the same round.
+     * @param {Object} fixtures - parsed round_fixtures.json
+     * @param {Set<number>} teamIds - ids from validateTeams
+     * @param {Object} rules - see getRules
+     * @param {Array<Object>} issues
+     * @returns {Array<Object>} the usable matches as { match, file, entry }
+     */
+    validateFixtures(fixtures, teamIds, rules, issues) {
+        const checked = [];
+        if (fixtures === null || fixtures === undefined) return checked;
+        if (typeof fixtures !== 'object' || Array.isArray(fixtures)) {
+            issues.push(this.createIssue('error', FILES.fixtures, null, 'o arquivo deve conter um objeto { "<rodada>": { date, matches } }'));
+            return checked;
+        }
+        Object.keys(fixtures).forEach(key => {
+            const round = Number(key);
+            const roundEntry = `rodada ${key}`;
+            if (!Number.isInteger(round)) {
+                issues.push(this.createIssue('error', FILES.fixtures, roundEntry, 'a chave da rodada deve ser um número inteiro'));
+                return;
+            }
+            if (round < rules.minRound || round > rules.maxRound) {
+                issues.push(this.createIssue('warning', FILES.fixtures, roundEntry, `fora do intervalo ${rules.minRound}–${rules.maxRound} de ${FILES.competition}; a rodada não é exibida`));
+            }
+            const matches = fixtures[key] && fixtures[key].matches;
+            if (!Array.isArray(matches)) {
+                issues.push(this.createIssue('error', FILES.fixtures, roundEntry, 'matches ausente ou não é uma lista'));
+                return;
+            }
+            const playing = new Map();
+            matches.forEach((match, index) => {
+                const entry = `${roundEntry}, jogo ${index + 1}${match && match.id !== undefined ? ` (id ${match.id})` : ''}`;
+                if (!this._validateMatch(match, FILES.fixtures, entry, teamIds, issues)) return;
+                [match.homeTeam.id, match.awayTeam.id].forEach(id => {
+                    if (playing.has(id)) {
+                        issues.push(this.createIssue('error', FILES.fixtures, entry, `time ${id} joga duas vezes na rodada (também no jogo ${playing.get(id)})`));
+                    } else {
+                        playing.set(id, index + 1);
+                    }
+                });
+                checked.push({ match, file: FILES.fixtures, entry });
+            });
+        });
+        return checked;
+    },
+
+    /**
+     * Checks pending_matches.json: { matches: [...] } whose entries have an integer
+     * originalRound besides the fields of a fixture.
+     * @param {Object|null} pending - parsed pending_matches.json (null when absent)
+     * @param {Set<number>} teamIds - ids from validateTeams
+     * @param {Array<Object>} issues
+     * @returns {Array<Object>} the usable matches as { match, file, entry }
+     */
+    validatePendingMatches(pending, teamIds, issues) {
+        const checked = [];
+        if (pending === null || pending === undefined) return checked;
+        if (!pending || !Array.isArray(pending.matches)) {
+            issues.push(this.createIssue('error', FILES.pending, null, 'o arquivo deve conter { "matches": [...] }'));
+            return checked;
+        }
+        pending.matches.forEach((match, index) => {
+            const entry = `jogo ${index + 1}${match && match.id !== undefined ? ` (id ${match.id})` : ''}`;
+            if (!this._validateMatch(match, FILES.pending, entry, teamIds, issues)) return;
+            if (!Number.isInteger(match.originalRound)) {
+                issues.push(this.createIssue('warning', FILES.pending, entry, 'originalRound ausente ou não inteiro'));
+            }
+            checked.push({ match, file: FILES.pending, entry });
+        });
+        return checked;
+    },
+
+    /**
+     * Reports match ids used more than once across the fixtures and pending matches
+     * (scores, the saved scenario and shared links are keyed by match id).
+     * @param {Array<Object>} matches - { match, file, entry } from the fixture checks
+     * @param {Array<Object>} issues
+     */
+    validateMatchIds(matches, issues) {
+        const first = new Map();
+        matches.forEach(({ match, file, entry }) => {
+            const key = String(match.id);
+            if (first.has(key)) {
+                const other = first.get(key);
+                issues.push(this.createIssue('error', file, entry, `id ${match.id} repetido (também em ${other.file}, ${other.entry})`));
+            } else {
+                first.set(key, { file, entry });
+            }
+        });
+    },
+
+    /**
+     * Reports pairings repeated with the same home side (in a double round-robin each
+     * team hosts every other team once). A warning: the data still loads, but one of
+     * the matches is likely wrong.
+     * @param {Array<Object>} matches - { match, file, entry } from the fixture checks
+     * @param {Array<Object>} issues
+     */
+    validatePairings(matches, issues) {
+        const first = new Map();
+        matches.forEach(({ match, file, entry }) => {
+            const key = `${match.homeTeam.id}:${match.awayTeam.id}`;
+            if (first.has(key)) {
+                const other = first.get(key);
+                issues.push(this.createIssue('warning', file, entry,
+                    `${match.homeTeam.name || match.homeTeam.id} × ${match.awayTeam.name || match.awayTeam.id} com o mesmo mandante já está em ${other.file}, ${other.entry}`));
+            } else {
+                first.set(key, { file, entry });
+            }
+        });
+    },
+
+    /**
+     * Orders issues by severity (errors first), keeping the file order within each.
+     * @param {Array<Object>} issues
+     * @returns {Array<Object>} a new sorted array
+     */
+    sortIssues(issues) {
+        return issues.filter(issue => issue.severity === 'error').concat(issues.filter(issue => issue.severity !== 'error'));
+    },
+
+    /**
+     * Counts the issues of each severity.
+     * @param {Array<Object>} issues
+     * @returns {{ errors: number, warnings: number }}
+     */
+    countIssues(issues) {
+        const errors = (issues || []).filter(issue => issue.severity === 'error').length;
+        return { errors, warnings: (issues || []).length - errors };
+    }
+};
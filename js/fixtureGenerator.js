@@ -0,0 +1,278 @@
+import { Utils } from './utils.js';
+
+/**
+ * Builds the first half of a round-robin with the circle method: slot `slotCount - 1`
+ * stays fixed and the others rotate. Home sides alternate so that every slot but two
+ * has at most one break (two home or two away games in a row) in the half.
+ * @param {number} slotCount - even number of slots
+ * @returns {Array<Array<[number, number]>>} rounds of [homeSlot, awaySlot] pairs
+ * @private
+ */
+function circleRounds(slotCount) {
+    const rotating = slotCount - 1;
+    const rounds = [];
+    for (let r = 0; r < rotating; r++) {
+        const games = [r % 2 === 0 ? [r, rotating] : [rotating, r]];
+        for (let i = 1; i < slotCount / 2; i++) {
+            const a = (r + i) % rotating;
+            const b = (r - i + rotating) % rotating;
+            games.push(i % 2 === 1 ? [a, b] : [b, a]);
+        }
+        rounds.push(games);
+    }
+    return rounds;
+}
+
+/**
+ * Repeats a round-robin once per leg ("turno"), every other leg mirrored: the same
+ * rounds in the same order with home and away swapped.
+ * @param {Array<Array<[number, number]>>} firstHalf - rounds of one leg
+ * @param {number} legs - number of legs
+ * @returns {Array<Array<[number, number]>>} every round of the season
+ * @private
+ */
+function repeatLegs(firstHalf, legs) {
+    const mirrored = firstHalf.map(games => games.map(([home, away]) => [away, home]));
+    let rounds = [];
+    for (let leg = 0; leg < legs; leg++) rounds = rounds.concat(leg % 2 === 0 ? firstHalf : mirrored);
+    return rounds;
+}
+
+/**
+ * Home/away pattern of each slot: one character per round, "H" (home), "A" (away)
+ * or "-" (not playing).
+ * @param {Array<Array<[number, number]>>} rounds
+ * @param {number} slotCount
+ * @returns {Array<string>} patterns by slot
+ * @private
+ */
+function homeAwayPatterns(rounds, slotCount) {
+    const patterns = Array.from({ length: slotCount }, () => Array(rounds.length).fill('-'));
+    rounds.forEach((games, r) => games.forEach(([home, away]) => {
+        patterns[home][r] = 'H';
+        patterns[away][r] = 'A';
+    }));
+    return patterns.map(pattern => pattern.join(''));
+}
+
+/**
+ * Longest run of home or away games and number of breaks (consecutive games at the
+ * same side) in a pattern; rounds without a game do not break or extend a run.
+ * @param {string} pattern - see homeAwayPatterns
+ * @returns {{ maxStreak: number, breaks: number }}
+ * @private
+ */
+function streaks(pattern) {
+    const sides = pattern.replace(/-/g, '');
+    let maxStreak = sides.length > 0 ? 1 : 0;
+    let breaks = 0;
+    for (let i = 1, run = 1; i < sides.length; i++) {
+        run = sides[i] === sides[i - 1] ? run + 1 : 1;
+        if (run > 1) breaks += 1;
+        maxStreak = Math.max(maxStreak, run);
+    }
+    return { maxStreak, breaks };
+}
+
+/**
+ * Shuffles a copy of a list with a seeded random source (Fisher–Yates).
+ * @param {Array} list
+ * @param {function(): number} random
+ * @returns {Array}
+ * @private
+ */
+function shuffle(list, random) {
+    const copy = list.slice();
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+// Round-robin schedules in the round_fixtures.json format. In a double round-robin every
+// team hosts every other team once, the second half mirrors the first (same order, sides
+// swapped) and home and away games alternate as much as possible
+export const FixtureGenerator = {
+    /**
+     * Generates a double round-robin: 2 · (n − 1) rounds for n teams (2 · n with an odd
+     * count, one team resting each round). Every team plays n − 1 games at home and
+     * n − 1 away, and no team plays more than two games in a row at the same side
+     * (three for four teams, where it cannot be avoided). Other numbers of legs repeat
+     * the first leg, every other one mirrored (one leg: a single round-robin).
+     * Teams that share a stadium are placed on complementary home/away patterns, so
+     * they are never both at home in the same round.
+     * @param {Array<Object>} teams - teams.json entries ({ id, name })
+     * @param {Object} [options]
+     * @param {string} [options.seed] - shuffles which team gets which slot of the
+     *   schedule (same seed, same schedule); without it teams keep the list order
+     * @param {Array<[number, number]>} [options.sharedStadiums=[]] - pairs of team ids
+     *   that cannot both be at home in the same round
+     * @param {number} [options.legs=2] - times each pair of teams meets ("turnos")
+     * @param {number} [options.firstRound=1] - number of the first round
+     * @param {number} [options.firstMatchId=1] - id of the first match (ids are sequential)
+     * @param {Array<string>} [options.dates=[]] - date text of each round, in order
+     * @returns {Object} round fixtures: { "<round>": { date, matches: [{ id, homeTeam, awayTeam }] } }
+     * @throws {Error} when the teams, legs or constraints are invalid or the constraints cannot be met
+     */
+    generate(teams, { seed, sharedStadiums = [], legs = 2, firstRound = 1, firstMatchId = 1, dates = [] } = {}) {
+        this._checkTeams(teams);
+        if (!Number.isInteger(legs) || legs < 1) throw new Error('O número de turnos deve ser um inteiro a partir de 1.');
+        const slotCount = teams.length % 2 === 0 ? teams.length : teams.length + 1;
+        const rounds = this._bestRotation(circleRounds(slotCount), slotCount, legs);
+        const patterns = homeAwayPatterns(rounds, slotCount);
+        const random = seed !== undefined && seed !== null && seed !== '' ? Utils.createRandom(`${seed}:tabela`) : null;
+        const slots = this._assignSlots(teams, patterns, sharedStadiums, random);
+
+        const byId = new Map(teams.map(team => [team.id, team]));
+        const teamAt = new Map([...slots].map(([teamId, slot]) => [slot, byId.get(teamId)]));
+        const fixtures = {};
+        let nextId = firstMatchId;
+        rounds.forEach((games, index) => {
+            const matches = games
+                .filter(([home, away]) => teamAt.has(home) && teamAt.has(away))
+                .map(([home, away]) => ({
+                    id: nextId++,
+                    homeTeam: { id: teamAt.get(home).id, name: teamAt.get(home).name },
+                    awayTeam: { id: teamAt.get(away).id, name: teamAt.get(away).name }
+                }));
+            fixtures[firstRound + index] = { date: dates[index] || '', matches };
+        });
+        return fixtures;
+    },
+
+    /**
+     * Creates initial_standings.json rows for a season that has not started (every
+     * count at zero, positions in list order).
+     * @param {Array<Object>} teams - teams.json entries
+     * @returns {Array<Object>} standings rows
+     */
+    createInitialStandings(teams) {
+        return teams.map((team, index) => ({
+            id: team.id, position: index + 1, points: 0, games: 0, victories: 0, draws: 0, defeats: 0,
+            goal_pro: 0, goal_against: 0, balance_goals: 0
+        }));
+    },
+
+    /**
+     * Summarizes the home/away sequence of each team in a set of round fixtures.
+     * @param {Object} fixtures - round fixtures (round_fixtures.json format)
+     * @returns {{ maxStreak: number, breaks: number, teams: Object }} teams by id:
+     *   { home, away, pattern, maxStreak, breaks }, pattern as "HAHA-A..." in round order
+     */
+    getHomeAwayStats(fixtures) {
+        const rounds = Object.keys(fixtures).map(Number).sort((a, b) => a - b);
+        const teams = {};
+        rounds.forEach((round, index) => fixtures[round].matches.forEach(match => {
+            [[match.homeTeam.id, 'H'], [match.awayTeam.id, 'A']].forEach(([id, side]) => {
+                if (!teams[id]) teams[id] = { sides: Array(rounds.length).fill('-') };
+                teams[id].sides[index] = side;
+            });
+        }));
+        const summary = { maxStreak: 0, breaks: 0, teams: {} };
+        Object.keys(teams).forEach(id => {
+            const pattern = teams[id].sides.join('');
+            const stats = streaks(pattern);
+            summary.teams[id] = {
+                home: pattern.split('H').length - 1,
+                away: pattern.split('A').length - 1,
+                pattern,
+                ...stats
+            };
+            summary.maxStreak = Math.max(summary.maxStreak, stats.maxStreak);
+            summary.breaks += stats.breaks;
+        });
+        return summary;
+    },
+
+    /**
+     * Rejects team lists the schedule cannot be built from.
+     * @param {Array<Object>} teams
+     * @throws {Error} on fewer than two teams, or missing or repeated ids
+     * @private
+     */
+    _checkTeams(teams) {
+        if (!Array.isArray(teams) || teams.length < 2) throw new Error('São necessários pelo menos 2 times.');
+        const ids = new Set();
+        teams.forEach((team, index) => {
+            if (!team || !Number.isInteger(team.id)) throw new Error(`Time na posição ${index + 1} sem id inteiro.`);
+            if (ids.has(team.id)) throw new Error(`Id de time repetido: ${team.id}.`);
+            ids.add(team.id);
+        });
+    },
+
+    /**
+     * Picks the order of the first-half rounds (a rotation of the circle method) whose
+     * season has the shortest home/away runs, then the fewest breaks. The mirror adds
+     * a break at the turn of the halves to every team with a break in the first half,
+     * so that break must not sit at either end of the half.
+     * @param {Array<Array<[number, number]>>} firstHalf - from circleRounds
+     * @param {number} slotCount
+     * @param {number} legs - see repeatLegs
+     * @returns {Array<Array<[number, number]>>} every round of the season
+     * @private
+     */
+    _bestRotation(firstHalf, slotCount, legs) {
+        let best = null;
+        for (let k = 0; k < firstHalf.length; k++) {
+            const rounds = repeatLegs(firstHalf.slice(k).concat(firstHalf.slice(0, k)), legs);
+            const score = homeAwayPatterns(rounds, slotCount).map(streaks)
+                .reduce((acc, s) => ({ maxStreak: Math.max(acc.maxStreak, s.maxStreak), breaks: acc.breaks + s.breaks }), { maxStreak: 0, breaks: 0 });
+            if (!best || score.maxStreak < best.score.maxStreak || (score.maxStreak === best.score.maxStreak && score.breaks < best.score.breaks)) {
+                best = { rounds, score };
+            }
+        }
+        return best.rounds;
+    },
+
+    /**
+     * Assigns each team a slot of the schedule. Teams sharing a stadium go first and
+     * only onto slots that are never at home in the same round as their partners'
+     * (backtracking when a choice leaves no room for a later team).
+     * @param {Array<Object>} teams
+     * @param {Array<string>} patterns - home/away pattern of each slot
+     * @param {Array<[number, number]>} sharedStadiums - pairs of team ids
+     * @param {function(): number|null} random - shuffles teams and slots; null keeps the order
+     * @returns {Map<number, number>} slot by team id
+     * @throws {Error} when a pair names an unknown team or the pairs cannot all be met
+     * @private
+     */
+    _assignSlots(teams, patterns, sharedStadiums, random) {
+        const partners = new Map(teams.map(team => [team.id, []]));
+        (sharedStadiums || []).forEach(pair => {
+            const [a, b] = Array.isArray(pair) ? pair : [];
+            if (!partners.has(a) || !partners.has(b) || a === b) {
+                throw new Error(`Estádio compartilhado inválido: ${JSON.stringify(pair)} (use dois ids diferentes de times da lista).`);
+            }
+            partners.get(a).push(b);
+            partners.get(b).push(a);
+        });
+        const canShare = (slotA, slotB) => ![...patterns[slotA]].some((side, r) => side === 'H' && patterns[slotB][r] === 'H');
+        const order = random ? shuffle(teams, random) : teams.slice();
+        order.sort((a, b) => partners.get(b.id).length - partners.get(a.id).length);
+        // The last slot rests every round when the team count is odd
+        const free = teams.length % 2 === 0 ? patterns.map((_, slot) => slot) : patterns.slice(0, -1).map((_, slot) => slot);
+        const slotOrder = random ? shuffle(free, random) : free;
+        const slots = new Map();
+        const used = new Set();
+
+        const place = (index) => {
+            if (index === order.length) return true;
+            const team = order[index];
+            for (const slot of slotOrder) {
+                if (used.has(slot)) continue;
+                if (partners.get(team.id).some(id => slots.has(id) && !canShare(slot, slots.get(id)))) continue;
+                slots.set(team.id, slot);
+                used.add(slot);
+                if (place(index + 1)) return true;
+                slots.delete(team.id);
+                used.delete(slot);
+                // Teams without constraints fit any free slot: no point trying others
+                if (partners.get(team.id).length === 0) return false;
+            }
+            return false;
+        };
+        if (!place(0)) throw new Error('Não há tabela em que todos os times com estádio compartilhado nunca joguem em casa na mesma rodada.');
+        return slots;
+    }
+};
@@ -0,0 +1,410 @@
+import { DataValidator } from './dataValidator.js';
+import { FixtureGenerator } from './fixtureGenerator.js';
+import { ScenarioService } from './scenarioService.js';
+import { PoolService } from './poolService.js';
+import { OfficialResultsService } from './officialResultsService.js';
+
+// Leagues built in the app are kept in localStorage (one catalogue for all of them) and
+// loaded like the data sets of data/, under the id `${CUSTOM_PREFIX}/<slug>`
+const STORAGE_KEY = 'simulador-brasileirao:ligas';
+const STORAGE_VERSION = 1;
+const CUSTOM_PREFIX = 'liga-propria';
+
+// Colours offered to new zones, in order
+const ZONE_COLORS = ['#16a34a', '#2563eb', '#86efac', '#f59e0b', '#dc2626'];
+
+/**
+ * Turns a text into a data set id part ("Copa Firma 2026" → "copa-firma-2026").
+ * @param {string} text
+ * @returns {string} lower-case letters, digits and hyphens (may be empty)
+ * @private
+ */
+function slugify(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Reads the catalogue from localStorage.
+ * @returns {{ version: number, leagues: Object }} leagues by data set id:
+ *   { label, competition, season, updatedAt, files: { teams, initialStandings, roundFixtures, competition } }
+ * @private
+ */
+function readCatalogue() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+        if (saved && saved.version === STORAGE_VERSION && saved.leagues && typeof saved.leagues === 'object') return saved;
+    } catch (err) {
+        console.warn('LeagueService: ignoring unreadable league catalogue', err);
+    }
+    return { version: STORAGE_VERSION, leagues: {} };
+}
+
+// Custom leagues: the draft edited in the league builder and the catalogue of saved
+// leagues. A draft is { datasetId (null until saved), name, season, legs, points,
+// teams: [{ id, name, acronym, image }], zones: [{ label, from, to, color }],
+// roundFixtures (round_fixtures.json format, or null before any is generated),
+// nextTeamId, nextMatchId }
+export const LeagueService = {
+    /**
+     * Tells whether a data set id belongs to a league built in the app.
+     * @param {string} datasetId
+     * @returns {boolean}
+     */
+    isCustom(datasetId) {
+        return String(datasetId || '').startsWith(`${CUSTOM_PREFIX}/`);
+    },
+
+    /**
+     * Returns the saved leagues as manifest entries (see dataManager.loadManifest).
+     * @returns {Array<Object>} { id, competition, season, label, custom: true }
+     */
+    getManifestEntries() {
+        const { leagues } = readCatalogue();
+        return Object.keys(leagues).map(id => ({
+            id,
+            competition: leagues[id].competition,
+            season: leagues[id].season,
+            label: leagues[id].label,
+            custom: true
+        }));
+    },
+
+    /**
+     * Returns the files of a saved league, as parsed JSON.
+     * @param {string} datasetId
+     * @returns {Object|null} { teams, initialStandings, roundFixtures, competition, pendingMatches: null }
+     */
+    getFiles(datasetId) {
+        const league = readCatalogue().leagues[datasetId];
+        if (!league || !league.files) return null;
+        return { ...JSON.parse(JSON.stringify(league.files)), pendingMatches: null };
+    },
+
+    /**
+     * Creates a draft: a copy of a saved league to edit, or an empty league.
+     * @param {string} [datasetId] - saved league to edit
+     * @returns {Object} the draft
+     */
+    createDraft(datasetId = null) {
+        const files = datasetId ? this.getFiles(datasetId) : null;
+        if (!files) {
+            return {
+                datasetId: null, name: '', season: String(new Date().getFullYear()), legs: 2,
+                points: { win: 3, draw: 1, loss: 0 },
+                teams: [], zones: [{ label: 'Campeão', from: 1, to: 1, color: ZONE_COLORS[0] }],
+                roundFixtures: null, nextTeamId: 1, nextMatchId: 1
+            };
+        }
+        const { competition, teams, roundFixtures } = files;
+        const matchIds = Object.keys(roundFixtures).flatMap(round => roundFixtures[round].matches.map(match => match.id));
+        return {
+            datasetId,
+            name: competition.name || '',
+            season: competition.season || '',
+            legs: competition.legs || 2,
+            points: { ...competition.points },
+            teams,
+            zones: (competition.zones || []).map(({ label, from, to, color }) => ({ label, from, to, color })),
+            roundFixtures,
+            nextTeamId: Math.max(0, ...teams.map(team => team.id)) + 1,
+            nextMatchId: Math.max(0, ...matchIds) + 1
+        };
+    },
+
+    /**
+     * Adds a team to a draft.
+     * @param {Object} draft
+     * @param {Object} team - { name, acronym?, image? } (acronym defaults to the first letters of the name)
+     * @returns {Object|null} the new team, or null when the name is empty or already used
+     */
+    addTeam(draft, { name, acronym = '', image = '' }) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed || draft.teams.some(team => team.name.toLowerCase() === trimmed.toLowerCase())) return null;
+        const team = {
+            id: draft.nextTeamId++,
+            name: trimmed,
+            acronym: String(acronym || '').trim().toUpperCase() || slugify(trimmed).replace(/-/g, '').slice(0, 3).toUpperCase(),
+            image: image || ''
+        };
+        draft.teams.push(team);
+        return team;
+    },
+
+    /**
+     * Changes the name, acronym or crest of a team of a draft.
+     * @param {Object} draft
+     * @param {number} teamId
+     * @param {Object} changes - { name?, acronym?, image? }
+     * @returns {boolean} false when the team does not exist or the new name is empty or taken
+     */
+    updateTeam(draft, teamId, changes) {
+        const team = draft.teams.find(t => t.id === teamId);
+        if (!team) return false;
+        if (changes.name !== undefined) {
+            const trimmed = String(changes.name).trim();
+            if (!trimmed || draft.teams.some(t => t !== team && t.name.toLowerCase() === trimmed.toLowerCase())) return false;
+            team.name = trimmed;
+        }
+        if (changes.acronym !== undefined) team.acronym = String(changes.acronym).trim().toUpperCase();
+        if (changes.image !== undefined) team.image = changes.image;
+        return true;
+    },
+
+    /**
+     * Removes a team from a draft, with its matches.
+     * @param {Object} draft
+     * @param {number} teamId
+     * @returns {boolean} false when the team does not exist
+     */
+    removeTeam(draft, teamId) {
+        const index = draft.teams.findIndex(team => team.id === teamId);
+        if (index < 0) return false;
+        draft.teams.splice(index, 1);
+        Object.values(draft.roundFixtures || {}).forEach(round => {
+            round.matches = round.matches.filter(match => match.homeTeam.id !== teamId && match.awayTeam.id !== teamId);
+        });
+        return true;
+    },
+
+    /**
+     * Replaces the fixtures of a draft with a generated round-robin of its teams
+     * (FixtureGenerator.generate, draft.legs legs).
+     * @param {Object} draft
+     * @param {Object} [options]
+     * @param {string} [options.seed] - shuffles the schedule
+     * @returns {Object} the new round fixtures
+     * @throws {Error} from FixtureGenerator.generate (e.g. fewer than two teams)
+     */
+    generateFixtures(draft, { seed } = {}) {
+        draft.roundFixtures = FixtureGenerator.generate(draft.teams, { legs: draft.legs, seed });
+        const count = Object.values(draft.roundFixtures).reduce((n, round) => n + round.matches.length, 0);
+        draft.nextMatchId = count + 1;
+        return draft.roundFixtures;
+    },
+
+    /**
+     * Appends an empty round to the fixtures of a draft.
+     * @param {Object} draft
+     * @returns {number} the new round number
+     */
+    addRound(draft) {
+        if (!draft.roundFixtures) draft.roundFixtures = {};
+        const round = Object.keys(draft.roundFixtures).length + 1;
+        draft.roundFixtures[round] = { date: '', matches: [] };
+        return round;
+    },
+
+    /**
+     * Removes the last round of a draft, with its matches (rounds stay numbered 1..N).
+     * @param {Object} draft
+     * @returns {boolean} false when there is no round
+     */
+    removeLastRound(draft) {
+        const count = Object.keys(draft.roundFixtures || {}).length;
+        if (count === 0) return false;
+        delete draft.roundFixtures[count];
+        return true;
+    },
+
+    /**
+     * Adds a match to a round of a draft between the first two teams that do not play
+     * in it yet.
+     * @param {Object} draft
+     * @param {number} round
+     * @returns {Object|null} the new match, or null when fewer than two teams are free
+     */
+    addMatch(draft, round) {
+        const entry = draft.roundFixtures && draft.roundFixtures[round];
+        if (!entry) return null;
+        const busy = new Set(entry.matches.flatMap(match => [match.homeTeam.id, match.awayTeam.id]));
+        const free = draft.teams.filter(team => !busy.has(team.id));
+        if (free.length < 2) return null;
+        const match = {
+            id: draft.nextMatchId++,
+            homeTeam: { id: free[0].id, name: free[0].name },
+            awayTeam: { id: free[1].id, name: free[1].name }
+        };
+        entry.matches.push(match);
+        return match;
+    },
+
+    /**
+     * Removes a match from a round of a draft.
+     * @param {Object} draft
+     * @param {number} round
+     * @param {number} matchId
+     * @returns {boolean} false when the match does not exist
+     */
+    removeMatch(draft, round, matchId) {
+        const entry = draft.roundFixtures && draft.roundFixtures[round];
+        const index = entry ? entry.matches.findIndex(match => match.id === matchId) : -1;
+        if (index < 0) return false;
+        entry.matches.splice(index, 1);
+        return true;
+    },
+
+    /**
+     * Sets the home or away team of a match of a draft.
+     * @param {Object} draft
+     * @param {number} round
+     * @param {number} matchId
+     * @param {string} side - 'homeTeam' or 'awayTeam'
+     * @param {number} teamId
+     * @returns {boolean} false when the match or team does not exist
+     */
+    setMatchTeam(draft, round, matchId, side, teamId) {
+        const entry = draft.roundFixtures && draft.roundFixtures[round];
+        const match = entry && entry.matches.find(m => m.id === matchId);
+        const team = draft.teams.find(t => t.id === teamId);
+        if (!match || !team || (side !== 'homeTeam' && side !== 'awayTeam')) return false;
+        match[side] = { id: team.id, name: team.name };
+        return true;
+    },
+
+    /**
+     * Adds a zone right below the last one.
+     * @param {Object} draft
+     * @returns {Object} the new zone
+     */
+    addZone(draft) {
+        const last = Math.max(0, ...draft.zones.map(zone => zone.to));
+        const position = Math.min(last + 1, Math.max(1, draft.teams.length));
+        const zone = { label: `Zona ${draft.zones.length + 1}`, from: position, to: position, color: ZONE_COLORS[draft.zones.length % ZONE_COLORS.length] };
+        draft.zones.push(zone);
+        return zone;
+    },
+
+    /**
+     * Builds the files of the data set described by a draft, in the data/ formats.
+     * Team names in the fixtures follow the teams; the standings start at zero.
+     * @param {Object} draft
+     * @returns {{ teams: Array, initialStandings: Array, roundFixtures: Object, competition: Object }}
+     */
+    toFiles(draft) {
+        const teams = draft.teams.map(({ id, name, acronym, image }) => ({ id, name, acronym, image }));
+        const names = new Map(teams.map(team => [team.id, team.name]));
+        const roundFixtures = {};
+        Object.keys(draft.roundFixtures || {}).forEach(round => {
+            roundFixtures[round] = {
+                date: draft.roundFixtures[round].date || '',
+                matches: draft.roundFixtures[round].matches.map(match => ({
+                    id: match.id,
+                    homeTeam: { id: match.homeTeam.id, name: names.get(match.homeTeam.id) || match.homeTeam.name },
+                    awayTeam: { id: match.awayTeam.id, name: names.get(match.awayTeam.id) || match.awayTeam.name }
+                }))
+            };
+        });
+        const rounds = Object.keys(roundFixtures).map(Number);
+        const zones = draft.zones.map((zone, index) => ({ key: slugify(zone.label) || `zona-${index + 1}`, ...zone }));
+        const competition = {
+            name: draft.name.trim(),
+            season: draft.season.trim(),
+            teamCount: teams.length,
+            legs: draft.legs,
+            rounds: { min: rounds.length ? Math.min(...rounds) : 1, max: rounds.length ? Math.max(...rounds) : 1 },
+            points: { ...draft.points },
+            zones,
+            // Probability columns: the title plus every zone but one covering only first place
+            targets: [{ key: 'champion', label: 'Título', from: 1, to: 1 }]
+                .concat(zones.filter(zone => zone.to > 1).map(({ key, label, from, to }) => ({ key, label, from, to })))
+        };
+        return { teams, initialStandings: FixtureGenerator.createInitialStandings(teams), roundFixtures, competition };
+    },
+
+    /**
+     * Checks a draft with DataValidator plus what a league needs before it is saved:
+     * a name, two teams, at least one match and zones inside the table.
+     * @param {Object} draft
+     * @returns {Array<Object>} issues (DataValidator format), errors first
+     */
+    validate(draft) {
+        const files = this.toFiles(draft);
+        // The data checks only make sense once the league has teams
+        const issues = files.teams.length >= 2 ? DataValidator.validateDataset(files) : [];
+        const add = (severity, entry, message) => issues.push(DataValidator.createIssue(severity, 'liga', entry, message));
+        if (!files.competition.name) add('error', 'nome', 'dê um nome à liga');
+        if (files.teams.length < 2) add('error', 'times', 'cadastre pelo menos 2 times');
+        const matches = Object.values(files.roundFixtures).reduce((n, round) => n + round.matches.length, 0);
+        if (matches === 0) add('error', 'tabela', 'gere ou monte a tabela de jogos');
+        Object.keys(files.roundFixtures).forEach(round => {
+            if (files.roundFixtures[round].matches.length === 0) add('warning', `rodada ${round}`, 'rodada sem jogos');
+        });
+        // Same count as dataManager.warnIncompleteSchedules, for hand-edited fixtures
+        const games = new Map(files.teams.map(team => [team.id, 0]));
+        Object.values(files.roundFixtures).forEach(round => round.matches.forEach(match => {
+            [match.homeTeam.id, match.awayTeam.id].forEach(id => games.set(id, (games.get(id) || 0) + 1));
+        }));
+        const expected = (files.teams.length - 1) * draft.legs;
+        if (matches > 0) {
+            files.teams.filter(team => games.get(team.id) !== expected).forEach(team => {
+                add('warning', team.name, `${games.get(team.id)} jogo(s) na tabela; ${draft.legs} turno(s) com ${files.teams.length} times dão ${expected}`);
+            });
+        }
+        ['win', 'draw', 'loss'].forEach(key => {
+            if (!Number.isFinite(draft.points[key])) add('error', 'pontuação', 'informe os pontos por vitória, empate e derrota');
+        });
+        draft.zones.forEach((zone, index) => {
+            if (!String(zone.label || '').trim()) add('error', `zona ${index + 1}`, 'dê um nome à zona');
+            if (!Number.isInteger(zone.from) || !Number.isInteger(zone.to) || zone.from < 1 || zone.from > zone.to || zone.to > files.teams.length) {
+                add('error', `zona ${index + 1}`, `as posições devem ir de 1 a ${files.teams.length}, com início ≤ fim`);
+            }
+        });
+        return DataValidator.sortIssues(issues);
+    },
+
+    /**
+     * Saves a draft in the catalogue when it has no error. A new league gets an id
+     * from its name and season.
+     * @param {Object} draft
+     * @returns {{ ok: boolean, datasetId?: string, issues: Array<Object>, error?: string }}
+     */
+    save(draft) {
+        const issues = this.validate(draft);
+        if (DataValidator.countIssues(issues).errors > 0) return { ok: false, issues, error: 'A liga tem erros.' };
+        const catalogue = readCatalogue();
+        let datasetId = draft.datasetId;
+        if (!datasetId) {
+            const base = `${CUSTOM_PREFIX}/${slugify(`${draft.name} ${draft.season}`) || 'liga'}`;
+            datasetId = base;
+            for (let n = 2; catalogue.leagues[datasetId]; n++) datasetId = `${base}-${n}`;
+        }
+        const files = this.toFiles(draft);
+        catalogue.leagues[datasetId] = {
+            label: [files.competition.name, files.competition.season].filter(Boolean).join(' '),
+            competition: files.competition.name,
+            season: files.competition.season,
+            updatedAt: new Date().toISOString(),
+            files
+        };
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(catalogue));
+        } catch (err) {
+            console.warn('LeagueService: could not save league', err);
+            return { ok: false, issues, error: 'Não há espaço para salvar a liga no navegador (escudos grandes ocupam muito espaço).' };
+        }
+        draft.datasetId = datasetId;
+        return { ok: true, datasetId, issues };
+    },
+
+    /**
+     * Deletes a saved league from the catalogue, along with its saved scenario, pool
+     * and official results.
+     * @param {string} datasetId
+     * @returns {boolean} false when there is no such league
+     */
+    remove(datasetId) {
+        const catalogue = readCatalogue();
+        if (!catalogue.leagues[datasetId]) return false;
+        delete catalogue.leagues[datasetId];
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(catalogue));
+        } catch (err) {
+            console.warn('LeagueService: could not update league catalogue', err);
+            return false;
+        }
+        [ScenarioService, PoolService, OfficialResultsService]
+            .forEach(service => localStorage.removeItem(service.getStorageKey(datasetId)));
+        return true;
+    }
+};
@@ -3,6 +3,7 @@
 import { CONFIG } from "./config.js";
 import { UIManager, setupEventListeners } from "./uiManager.js";
 import { state, dataManager } from "./dataManager.js";
+import { ShareService } from "./shareService.js";
 
 /**
  * Initializes the app by loading data and setting up event listeners. If the
@@ -17,15 +18,30 @@ async function init() {
 	try {
 		// Ensure currentRound default
 		state.currentRound = state.currentRound || CONFIG.MIN_ROUND;
+		// Reuse the seed from a shared link, or start a fresh one
+		dataManager.setSeed(dataManager.getSeedFromUrl());
 		if (UIManager && typeof UIManager.showLoading === "function")
 			UIManager.showLoading();
 
-		const ok = await dataManager.loadData();
+		// A shared link replaces the saved scenario instead of being merged into it
+		const hasSharedScenario = ShareService.hasSharedScenario();
+		// ...and opens the data set it was made for
+		const ok = await dataManager.loadData({
+			restoreScenario: !hasSharedScenario,
+			datasetId: hasSharedScenario ? ShareService.getSharedDatasetId() : null
+		});
 		if (!ok) {
 			if (UIManager && typeof UIManager.hideLoading === "function")
 				UIManager.hideLoading();
+			// Keep the data set selector and the side panel working, and list what is wrong
+			if (typeof setupEventListeners === "function") setupEventListeners();
+			if (UIManager && typeof UIManager.openDiagnostics === "function")
+				UIManager.openDiagnostics();
 			return;
 		}
+		if (hasSharedScenario && UIManager && typeof UIManager.applySharedScenario === "function") {
+			UIManager.applySharedScenario({ fallbackToSaved: true, render: false });
+		}
 		// setup event listeners
 		if (typeof setupEventListeners === "function") setupEventListeners();
 		// ensure UI shows the loaded round title and date
@@ -48,6 +64,8 @@ async function init() {
 				{ shortcut: "Ctrl + →", description: "Próxima rodada" },
 				{ shortcut: "Ctrl + Shift + S", description: "Simular rodada" },
 				{ shortcut: "Ctrl + Shift + D", description: "Limpar rodada" },
+				{ shortcut: "Ctrl + Z", description: "Desfazer" },
+				{ shortcut: "Ctrl + Shift + Z", description: "Refazer" },
 			],
 			["shortcut", "description"],
 			{ columns: { index: false } }
@@ -1,157 +1,615 @@
+import { CONFIG } from "./config.js";
 import { MatchService } from "./matchService.js";
 import { StandingsCalculator } from "./standingsCalculator.js";
+import { TeamService } from "./teamService.js";
+import { Utils } from "./utils.js";
 import { state } from "./dataManager.js";
+import { ScenarioService } from "./scenarioService.js";
 
-// Match management: simulation and application of results
+// True while a step is being recorded, so nested calls join the outer step
+let recording = false;
+
+/**
+ * Captures the score and source of every match, keyed by match id.
+ * @returns {Map<string, { homeScore, awayScore, source }>}
+ * @private
+ */
+function snapshotScores() {
+    const snapshot = new Map();
+    MatchManager.getAllMatches().forEach((match) => {
+        snapshot.set(String(match.id), {
+            homeScore: match.homeScore,
+            awayScore: match.awayScore,
+            source: match.source,
+        });
+    });
+    return snapshot;
+}
+
+/**
+ * Lists the matches whose score or source differs between two snapshots.
+ * @param {Map} before - snapshot taken before the edit
+ * @param {Map} after - snapshot taken after the edit
+ * @returns {Array<{ matchId: string, before: Object, after: Object }>}
+ * @private
+ */
+function diffScores(before, after) {
+    const changes = [];
+    after.forEach((value, matchId) => {
+        const prev = before.get(matchId);
+        if (!prev) return;
+        if (prev.homeScore !== value.homeScore || prev.awayScore !== value.awayScore || prev.source !== value.source) {
+            changes.push({ matchId, before: prev, after: value });
+        }
+    });
+    return changes;
+}
+
+// Match management: simulation and application of results.
+// Every match records where its score came from in `match.source`:
+// "manual" (typed by the user), "simulated", "official" (locked) or null when empty.
 export const MatchManager = {
     /**
-     * Simulates all uncompleted matches in the current round.
-     * Each incomplete match is simulated and the result is applied to the standings.
-     * If a match result was previously simulated and applied, it is first reversed.
+     * Simulates the uncompleted matches in the current round.
+     * Matches with a manual or official score are kept; with `overwrite` the manual
+     * ones are simulated again too ("resimular tudo"). Official results are never
+     * replaced. If a match result was previously applied, it is first reversed.
      * The applied result is stored in state.simulatedMatches so that it can be
-     * reversed later if needed. The UI is expected to be refreshed by the caller
-     * after simulateRound completes.
+     * reversed later if needed. Recorded as one undoable step. The UI is expected
+     * to be refreshed by the caller after simulateRound completes.
+     * @param {Object} [options]
+     * @param {boolean} [options.overwrite=false] - also re-simulate manual scores
+     * @param {Array<Object>} [options.matches=state.matches] - matches to simulate, e.g.
+     *   state.pendingMatches for the "Jogos atrasados" section
      */
-    simulateRound() {
-        if (!state.matches || state.matches.length === 0) return;
+    simulateRound({ overwrite = false, matches = state.matches } = {}) {
+        const target = matches === state.pendingMatches ? "jogos atrasados" : "rodada";
+        return MatchManager.recordStep(`${overwrite ? "Resimular" : "Simular"} ${target}`, () => {
+            if (!matches || matches.length === 0) return;
 
-        state.matches.forEach((match) => {
-            // If a result was previously simulated, reverse it first
-            if (state.simulatedMatches.has(match.id)) {
-                const prev = state.simulatedMatches.get(match.id);
-                MatchManager._reverseMatchResultByValues(
-                    match,
-                    prev.homeScore,
-                    prev.awayScore
-                );
-                state.simulatedMatches.delete(match.id);
-            }
-            // Always generate a new random result
-            const result = MatchService.simulateMatch(match);
-            match.homeScore = result.homeScore;
-            match.awayScore = result.awayScore;
-
-            MatchManager._applyMatchResult(match);
-            state.simulatedMatches.set(match.id, {
-                homeScore: match.homeScore,
-                awayScore: match.awayScore,
+            const context = MatchService.createSimulationContext(state);
+            matches.forEach((match) => {
+                if (!MatchManager._canSimulate(match, overwrite)) return;
+                // If a result was previously applied, reverse it first
+                if (state.simulatedMatches.has(match.id)) {
+                    const prev = state.simulatedMatches.get(match.id);
+                    MatchManager._reverseMatchResultByValues(
+                        match,
+                        prev.homeScore,
+                        prev.awayScore
+                    );
+                }
+                const result = MatchService.simulateMatch(match, context);
+                match.homeScore = result.homeScore;
+                match.awayScore = result.awayScore;
+                match.source = "simulated";
+
+                MatchManager._applyMatchResult(match);
             });
         });
     },
 
     /**
-     * Clears all simulated match results in the current round.
-     * Reverses any applied results, clears the stored simulation flag, and
-     * resets the match scores to empty string.
+     * Clears the match results in the current round.
+     * Reverses any applied results, removes them from state.simulatedMatches and
+     * resets the match scores to empty string. Official results are kept; with
+     * `onlySimulated` manual scores are kept as well. Recorded as one undoable step.
      * The UI is expected to be refreshed by the caller (UIManager) after
      * clearRound completes.
+     * @param {Object} [options]
+     * @param {boolean} [options.onlySimulated=false] - only remove simulated results
+     * @param {Array<Object>} [options.matches=state.matches] - matches to clear
      */
-    clearRound() {
-        if (!state.matches) return;
+    clearRound({ onlySimulated = false, matches = state.matches } = {}) {
+        const target = matches === state.pendingMatches ? "jogos atrasados" : "rodada";
+        return MatchManager.recordStep(`${onlySimulated ? "Limpar simulados:" : "Limpar"} ${target}`, () => {
+            if (!matches) return;
 
-        state.matches.forEach((match) => {
-            if (state.simulatedMatches.has(match.id)) {
-                const prev = state.simulatedMatches.get(match.id);
+            matches.forEach((match) => {
+                if (match.source === "official") return;
+                if (onlySimulated && match.source !== "simulated") return;
+                if (state.simulatedMatches.has(match.id)) {
+                    const prev = state.simulatedMatches.get(match.id);
 
-                MatchManager._reverseMatchResultByValues(
-                    match,
-                    prev.homeScore,
-                    prev.awayScore
-                );
-                state.simulatedMatches.delete(match.id);
+                    MatchManager._reverseMatchResultByValues(
+                        match,
+                        prev.homeScore,
+                        prev.awayScore
+                    );
 
+                    match.homeScore = "";
+                    match.awayScore = "";
+                    match.source = null;
+                }
+            });
+            return;
+        });
+    },
+
+    /**
+     * Simulates the rest of the championship, from the current round through
+     * CONFIG.MAX_ROUND. Empty matches and matches filled by a previous simulation are
+     * (re)simulated; manual scores are kept unless `keepTyped` is false, and official
+     * results are always kept.
+     * Standings are updated once at the end instead of being re-sorted per match.
+     * Recorded as one undoable step. The UI is expected to be refreshed by the caller.
+     * @param {Object} [options]
+     * @param {boolean} [options.keepTyped=true] - keep scores the user typed
+     * @returns {number} the number of simulated matches
+     */
+    simulateChampionship({ keepTyped = true } = {}) {
+        return MatchManager.recordStep("Simular campeonato", () => {
+            const context = MatchService.createSimulationContext(state);
+            const reversals = [];
+            const applications = [];
+            MatchManager._forEachRemainingMatch((match) => {
+                if (!MatchManager._canSimulate(match, !keepTyped)) return;
+                if (state.simulatedMatches.has(match.id)) {
+                    const prev = state.simulatedMatches.get(match.id);
+                    reversals.push(MatchManager._resultFromValues(match, prev.homeScore, prev.awayScore));
+                    state.simulatedMatches.delete(match.id);
+                }
+                const result = MatchService.simulateMatch(match, context);
+                match.homeScore = result.homeScore;
+                match.awayScore = result.awayScore;
+                match.source = "simulated";
+                const applied = MatchService.createMatchResult(match);
+                applications.push(applied);
+                state.simulatedMatches.set(match.id, { ...applied, source: match.source });
+            });
+            MatchManager._applyResultsBatch(reversals, applications);
+            return applications.length;
+        });
+    },
+
+    /**
+     * Undoes "simulate championship": clears every simulated result from the current
+     * round through CONFIG.MAX_ROUND, leaving manual and official scores untouched.
+     * Recorded as one undoable step.
+     * Standings are updated once at the end. The UI is expected to be refreshed by the caller.
+     * @returns {number} the number of cleared matches
+     */
+    clearChampionship() {
+        return MatchManager.recordStep("Limpar campeonato", () => {
+            const reversals = [];
+            MatchManager._forEachRemainingMatch((match) => {
+                if (match.source !== "simulated" || !state.simulatedMatches.has(match.id)) return;
+                const prev = state.simulatedMatches.get(match.id);
+                reversals.push(MatchManager._resultFromValues(match, prev.homeScore, prev.awayScore));
+                state.simulatedMatches.delete(match.id);
                 match.homeScore = "";
                 match.awayScore = "";
-            }
+                match.source = null;
+            });
+            MatchManager._applyResultsBatch(reversals, []);
+            return reversals.length;
         });
-        return;
     },
 
     /**
-     * Updates the score of a match in the current round with the given value, applying
-     * the result to the standings if both home and away scores are present, or reversing
-     * any previously-applied result if either score is removed.
+     * Lists every match of the loaded data set: all rounds of state.allMatches in
+     * round order, followed by the pending (postponed) matches.
+     * @returns {Array<Object>} the match objects (shared with the state)
+     */
+    getAllMatches() {
+        const rounds = Object.keys(state.allMatches || {}).sort((a, b) => a - b);
+        return rounds.flatMap((round) => state.allMatches[round]).concat(state.pendingMatches || []);
+    },
+
+    /**
+     * Returns the round in whose window a match is played: its own round, or for a
+     * pending match the last round starting on or before its new date (the first
+     * round when it has no date).
+     * @param {Object} match - match object
+     * @returns {number} round number
+     */
+    getScheduledRound(match) {
+        if (!match.pending) {
+            const round = Object.keys(state.allMatches || {}).find((r) => state.allMatches[r].includes(match));
+            return round !== undefined ? Number(round) : CONFIG.MIN_ROUND;
+        }
+        const date = Utils.parseDayMonth(match.date);
+        let scheduled = CONFIG.MIN_ROUND;
+        if (date === null) return scheduled;
+        for (let round = CONFIG.MIN_ROUND; round <= CONFIG.MAX_ROUND; round++) {
+            const start = Utils.parseDayMonth((state.allMatches[round] || {}).date);
+            if (start !== null && start <= date) scheduled = round;
+        }
+        return scheduled;
+    },
+
+    /**
+     * Groups every match (pending ones included, at their scheduled round) by round,
+     * from CONFIG.MIN_ROUND through CONFIG.MAX_ROUND.
+     * @returns {Array<{ round: number, matches: Array<Object> }>}
+     */
+    getMatchesByRound() {
+        const rounds = [];
+        for (let round = CONFIG.MIN_ROUND; round <= CONFIG.MAX_ROUND; round++) {
+            rounds.push({ round, matches: (state.allMatches[round] || []).slice() });
+        }
+        (state.pendingMatches || []).forEach((match) => {
+            const entry = rounds.find((r) => r.round === MatchManager.getScheduledRound(match));
+            if (entry) entry.matches.push(match);
+        });
+        return rounds;
+    },
+
+    /**
+     * Lists every match of a team in scheduled-round order (see getMatchesByRound).
+     * @param {number} teamId - team id
+     * @returns {Array<{ round: number, match: Object }>}
+     */
+    getTeamMatches(teamId) {
+        return MatchManager.getMatchesByRound().flatMap(({ round, matches }) => matches
+            .filter((match) => match.homeTeam.id === teamId || match.awayTeam.id === teamId)
+            .map((match) => ({ round, match })));
+    },
+
+    /**
+     * Indexes every match of the data set by home and away team, for the crosstable.
+     * Pairs without an entry were played before CONFIG.MIN_ROUND (their results are
+     * already in initial_standings.json).
+     * @returns {Map<string, { round: number, match: Object }>} keyed by "homeId:awayId"
+     */
+    getCrosstable() {
+        const grid = new Map();
+        MatchManager.getMatchesByRound().forEach(({ round, matches }) => {
+            matches.forEach((match) => grid.set(`${match.homeTeam.id}:${match.awayTeam.id}`, { round, match }));
+        });
+        return grid;
+    },
+
+    /**
+     * Fills the team's matches without a score with the given record, as one
+     * undoable step: wins against the opponents with the fewest points (1 × 0), then
+     * draws (1 × 1), and losses (0 × 1) against the strongest ones. Typed and official
+     * scores are kept.
+     * @param {number} teamId - team id
+     * @param {{ wins: number, draws: number }} record - results to spread over the open matches
+     * @param {string} [label="Aplicar caminho"] - name of the history step
+     * @returns {number} the number of matches filled
+     */
+    applyTeamRecord(teamId, record, label = "Aplicar caminho") {
+        return MatchManager.recordStep(label, () => {
+            const pointsOf = (id) => (state.standings.find((team) => team.id === id) || { points: 0 }).points;
+            const open = MatchManager.getTeamMatches(teamId)
+                .map(({ match }) => match)
+                .filter((match) => !MatchService.isMatchComplete(match))
+                .sort((a, b) => {
+                    const opponentA = a.homeTeam.id === teamId ? a.awayTeam.id : a.homeTeam.id;
+                    const opponentB = b.homeTeam.id === teamId ? b.awayTeam.id : b.homeTeam.id;
+                    return pointsOf(opponentA) - pointsOf(opponentB);
+                });
+            open.forEach((match, index) => {
+                let own = 0;
+                let other = 1;
+                if (index < record.wins) {
+                    own = 1;
+                    other = 0;
+                } else if (index < record.wins + record.draws) {
+                    own = 1;
+                }
+                const home = match.homeTeam.id === teamId;
+                MatchManager.setMatchResult(match.id, home ? own : other, home ? other : own, "manual");
+            });
+            return open.length;
+        });
+    },
+
+    /**
+     * Builds the standings after every round of the current scenario (entered and
+     * simulated results), starting from state.initialStandings. The first entry,
+     * numbered CONFIG.MIN_ROUND - 1, is the initial table itself.
+     * @returns {Array<{ round: number, standings: Array<Object> }>}
+     */
+    getRoundSnapshots() {
+        const base = state.initialStandings.map((team) => TeamService.ensureTeamStats(team));
+        const rounds = MatchManager.getMatchesByRound().map(({ round, matches }) => ({
+            round,
+            results: matches.filter((match) => MatchService.isMatchComplete(match)).map((match) => MatchService.createMatchResult(match)),
+        }));
+        // Official results already added to the initial standings still count for head-to-head
+        const played = (state.playedMatches || []).map((match) => MatchService.createMatchResult(match));
+        const initial = { round: CONFIG.MIN_ROUND - 1, standings: StandingsCalculator.sortStandings(base, played) };
+        return [initial, ...StandingsCalculator.buildRoundSnapshots(base, rounds, played)];
+    },
+
+    /**
+     * Returns the standings after `round` (every result scheduled up to it, see
+     * getRoundSnapshots) and the table one round earlier, used for the change
+     * indicators. Without a round the final table is returned, compared with the
+     * table before the latest round that has a result.
+     * @param {number|null} [round=null] - round to show, or null for the final table
+     * @returns {{ round: number, standings: Array<Object>, previous: Array<Object> }}
+     */
+    getStandingsAsOf(round = null) {
+        const snapshots = MatchManager.getRoundSnapshots();
+        const at = (r) => (snapshots.find((s) => s.round === r) || snapshots[0]).standings;
+        if (round !== null) {
+            const target = Math.min(CONFIG.MAX_ROUND, Math.max(CONFIG.MIN_ROUND, round));
+            return { round: target, standings: at(target), previous: at(target - 1) };
+        }
+        const latest = MatchManager.getMatchesByRound()
+            .filter(({ matches }) => matches.some((match) => MatchService.isMatchComplete(match)))
+            .reduce((last, { round: r }) => Math.max(last, r), CONFIG.MIN_ROUND);
+        return { round: CONFIG.MAX_ROUND, standings: at(CONFIG.MAX_ROUND), previous: at(latest - 1) };
+    },
+
+    /**
+     * Finds a match by id in any round of state.allMatches or among the pending matches.
+     * @param {number|string} matchId - id of the match
+     * @returns {Object|null} the match object (shared with state.matches), or null
+     */
+    findMatch(matchId) {
+        return MatchManager.getAllMatches().find((m) => String(m.id) === String(matchId)) || null;
+    },
+
+    /**
+     * Updates the score of a match in any round with the given value, as typed by the
+     * user: the result is applied to the standings (as a manual score) if both home and
+     * away scores are present, and any previously-applied result is reversed if either
+     * score is removed. Official results are locked and cannot be edited.
+     * Each call is recorded as an undoable step.
      * The UI is expected to be refreshed by the caller (UIManager) after
      * updateMatchScore completes.
      * @param {number|string} matchId - id of the match to update
      * @param {string} field - either 'homeScore' or 'awayScore' to indicate which score to update
      * @param {number|string} value - the new value for the given score field
+     * @returns {boolean} false when the match does not exist or is locked
      */
     updateMatchScore(matchId, field, value) {
-        const match = state.matches.find((m) => String(m.id) === String(matchId));
-        if (!match) return;
+        return MatchManager.recordStep("Editar placar", () => {
+            const match = MatchManager.findMatch(matchId);
+            if (!match || match.source === "official") return false;
 
-        if (field === "homeScore") match.homeScore = value;
-        if (field === "awayScore") match.awayScore = value;
+            const homeScore = field === "homeScore" ? value : match.homeScore;
+            const awayScore = field === "awayScore" ? value : match.awayScore;
+            return MatchManager.setMatchResult(match.id, homeScore, awayScore, "manual");
+        });
+    },
 
-        // If either field is empty (user cleared), reverse any previously-applied result and stop
-        if (match.homeScore === "" || match.awayScore === "") {
-            if (state.simulatedMatches.has(match.id)) {
-                const prev = state.simulatedMatches.get(match.id);
-                MatchManager._reverseMatchResultByValues(
-                    match,
-                    prev.homeScore,
-                    prev.awayScore
-                );
-                state.simulatedMatches.delete(match.id);
-            }
-            return;
+    /**
+     * Confirms the score typed for a match as its official result (e.g. once the game
+     * was played): the score is locked like an imported one and the prediction pool
+     * scores it. Recorded as one undoable step.
+     * @param {number|string} matchId - id of the match
+     * @returns {boolean} false when the match does not exist, has no full score or is
+     *   already official
+     */
+    confirmOfficialResult(matchId) {
+        return MatchManager.recordStep("Confirmar resultado oficial", () => {
+            const match = MatchManager.findMatch(matchId);
+            if (!match || match.source === "official" || !MatchService.isMatchComplete(match)) return false;
+            return MatchManager.setMatchResult(match.id, match.homeScore, match.awayScore, "official");
+        });
+    },
+
+    /**
+     * Turns an official result confirmed by hand back into a typed (editable) score.
+     * Recorded as one undoable step.
+     * @param {number|string} matchId - id of the match
+     * @returns {boolean} false when the match does not exist or is not official
+     */
+    reopenOfficialResult(matchId) {
+        return MatchManager.recordStep("Reabrir resultado oficial", () => {
+            const match = MatchManager.findMatch(matchId);
+            if (!match || match.source !== "official") return false;
+            return MatchManager.setMatchResult(match.id, match.homeScore, match.awayScore, "manual");
+        });
+    },
+
+    /**
+     * Sets both scores of a match and records their source, reversing any previously
+     * applied result and applying the new one when both scores are present. This is
+     * the single path through which results enter the standings.
+     * @param {number|string} matchId - id of the match to update
+     * @param {number|string} homeScore - home score ("" to clear)
+     * @param {number|string} awayScore - away score ("" to clear)
+     * @param {string} [source="manual"] - "manual", "simulated" or "official"
+     * @returns {boolean} false when the match does not exist
+     */
+    setMatchResult(matchId, homeScore, awayScore, source = "manual") {
+        const match = MatchManager.findMatch(matchId);
+        if (!match) return false;
+
+        // Reverse the previously-applied result, if any
+        if (state.simulatedMatches.has(match.id)) {
+            const prev = state.simulatedMatches.get(match.id);
+            MatchManager._reverseMatchResultByValues(
+                match,
+                prev.homeScore,
+                prev.awayScore
+            );
         }
 
-        // Both fields present — apply result. Reverse previous if present first.
-        if (MatchService.isMatchComplete(match)) {
-            if (state.simulatedMatches.has(match.id)) {
-                const prev = state.simulatedMatches.get(match.id);
-                MatchManager._reverseMatchResultByValues(
-                    match,
-                    prev.homeScore,
-                    prev.awayScore
-                );
-            }
-            MatchManager._applyMatchResult(match);
-            const applied = MatchService.createMatchResult(match);
-            state.simulatedMatches.set(match.id, {
-                homeScore: applied.homeScore,
-                awayScore: applied.awayScore,
-            });
+        match.homeScore = homeScore;
+        match.awayScore = awayScore;
+
+        // If either field is empty (user cleared), there is nothing to apply
+        if (!MatchService.isMatchComplete(match)) {
+            match.source = null;
+            return true;
         }
+
+        match.source = source;
+        MatchManager._applyMatchResult(match);
+        return true;
+    },
+
+    /**
+     * Runs `action` as a single undoable step: the scores of every match are compared
+     * before and after, and the differences are pushed onto state.history.undo (the
+     * redo stack is cleared). Calls made while a step is being recorded join it, so a
+     * bulk action is undone at once. Steps that change nothing are not recorded.
+     * @param {string} label - description shown to the user, e.g. "Simular rodada"
+     * @param {function(): *} action - the edit to perform
+     * @returns {*} whatever `action` returns
+     */
+    recordStep(label, action) {
+        if (recording) return action();
+        const before = snapshotScores();
+        recording = true;
+        let result;
+        try {
+            result = action();
+        } finally {
+            recording = false;
+        }
+        const changes = diffScores(before, snapshotScores());
+        if (changes.length > 0) {
+            state.history.undo.push({ label, round: state.currentRound, changes });
+            if (state.history.undo.length > CONFIG.HISTORY_LIMIT) state.history.undo.shift();
+            state.history.redo = [];
+        }
+        return result;
+    },
+
+    /**
+     * Undoes the last recorded step, restoring each changed match through
+     * setMatchResult so the standings are reversed exactly.
+     * The UI is expected to be refreshed by the caller.
+     * @returns {Object|null} the undone step ({ label, round, changes }), or null
+     */
+    undo() {
+        const step = state.history.undo.pop();
+        if (!step) return null;
+        MatchManager._restoreStep(step, "before");
+        state.history.redo.push(step);
+        return step;
+    },
+
+    /**
+     * Re-applies the last undone step. The UI is expected to be refreshed by the caller.
+     * @returns {Object|null} the redone step, or null
+     */
+    redo() {
+        const step = state.history.redo.pop();
+        if (!step) return null;
+        MatchManager._restoreStep(step, "after");
+        state.history.undo.push(step);
+        return step;
+    },
+
+    /**
+     * Sets every match of a history step back to its `before` or `after` scores.
+     * @param {Object} step - a history step
+     * @param {string} side - "before" (undo) or "after" (redo)
+     * @private
+     */
+    _restoreStep(step, side) {
+        const changes = side === "before" ? [...step.changes].reverse() : step.changes;
+        changes.forEach((change) => {
+            const scores = change[side];
+            MatchManager.setMatchResult(change.matchId, scores.homeScore, scores.awayScore, scores.source || "manual");
+        });
+    },
+
+    /**
+     * Tells whether a simulation may (re)fill the given match: official results never,
+     * manual scores only when `overwriteManual` is set, anything else always.
+     * @param {Object} match - the match to check
+     * @param {boolean} overwriteManual - whether manual scores may be replaced
+     * @returns {boolean}
+     * @private
+     */
+    _canSimulate(match, overwriteManual) {
+        if (match.source === "official") return false;
+        if (match.source === "manual" && MatchService.isMatchComplete(match)) return overwriteManual;
+        return true;
     },
 
     /**
-     * Applies the result of the given match to the current standings.
+     * Applies the result of the given match to the current standings and records it
+     * (with its source) in state.simulatedMatches, where it is read back to reverse
+     * it and by the head-to-head tie-breaker.
      * @param {Object} match - a match object with homeScore and awayScore fields
      * @private
      */
     _applyMatchResult(match) {
-        // build a matchResult shape and apply it
+        // build a matchResult shape, record it before sorting, and apply it
         const matchResult = MatchService.createMatchResult(match);
+        state.simulatedMatches.set(match.id, { ...matchResult, source: match.source });
         state.standings = StandingsCalculator.processMatchResult(
             state.standings,
             matchResult,
             false
         );
+        // Season probabilities no longer reflect the scenario
+        state.seasonProbabilities = null;
+        ScenarioService.scheduleSave();
     },
 
     /**
      * Reverses the standings impact of a previously-applied match result,
-     * given the match object and the original home and away scores.
+     * given the match object and the original home and away scores, and removes
+     * it from state.simulatedMatches.
      * @param {Object} match - a match object with homeTeam and awayTeam fields
      * @param {number|string} homeScore - the original home score
      * @param {number|string} awayScore - the original away score
      * @private
      */
     _reverseMatchResultByValues(match, homeScore, awayScore) {
-        const matchResult = {
+        state.simulatedMatches.delete(match.id);
+        const matchResult = MatchManager._resultFromValues(match, homeScore, awayScore);
+        state.standings = StandingsCalculator.processMatchResult(
+            state.standings,
+            matchResult,
+            true
+        );
+        state.seasonProbabilities = null;
+        ScenarioService.scheduleSave();
+    },
+
+    /**
+     * Builds a match result shape for the given match and scores.
+     * @param {Object} match - a match object with homeTeam and awayTeam fields
+     * @param {number|string} homeScore - the home score
+     * @param {number|string} awayScore - the away score
+     * @returns {Object} the match result
+     * @private
+     */
+    _resultFromValues(match, homeScore, awayScore) {
+        return {
             matchId: match.id,
             homeTeamId: match.homeTeam.id,
             awayTeamId: match.awayTeam.id,
             homeScore: parseInt(homeScore) || 0,
             awayScore: parseInt(awayScore) || 0,
         };
-        state.standings = StandingsCalculator.processMatchResult(
-            state.standings,
-            matchResult,
-            true
+    },
+
+    /**
+     * Reverses and applies several match results, sorting the standings only once.
+     * @param {Array<Object>} reversals - previously-applied results to undo
+     * @param {Array<Object>} applications - new results to apply
+     * @private
+     */
+    _applyResultsBatch(reversals, applications) {
+        if (reversals.length === 0 && applications.length === 0) return;
+        let standings = reversals.reduce(
+            (acc, result) => StandingsCalculator.applyMatchResult(acc, result, true),
+            state.standings
+        );
+        standings = applications.reduce(
+            (acc, result) => StandingsCalculator.applyMatchResult(acc, result, false),
+            standings
         );
+        state.standings = StandingsCalculator.sortStandings(standings);
+        state.seasonProbabilities = null;
+        ScenarioService.scheduleSave();
+    },
+
+    /**
+     * Calls `callback` for every match from the current round through CONFIG.MAX_ROUND,
+     * then for every pending match (postponed games are still to be played).
+     * @param {function(Object):void} callback - receives each match
+     * @private
+     */
+    _forEachRemainingMatch(callback) {
+        for (let round = state.currentRound; round <= CONFIG.MAX_ROUND; round++) {
+            (state.allMatches[round] || []).forEach(callback);
+        }
+        (state.pendingMatches || []).forEach(callback);
     },
 };
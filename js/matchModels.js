@@ -0,0 +1,130 @@
+import { CONFIG } from "./config.js";
+import { Utils } from "./utils.js";
+
+// Team ratings are derived once per standings array and reused by every simulation
+const ratingsCache = new WeakMap();
+
+/**
+ * Draws a Poisson-distributed integer with mean `lambda` (Knuth's algorithm).
+ * @param {number} lambda - expected value
+ * @param {function(): number} random - source of uniform numbers in [0, 1)
+ * @returns {number} a non-negative integer
+ * @private
+ */
+function samplePoisson(lambda, random) {
+    const limit = Math.exp(-lambda);
+    let k = 0;
+    let p = random();
+    while (p > limit) {
+        k += 1;
+        p *= random();
+    }
+    return k;
+}
+
+/**
+ * Builds attack and defence ratings for every team in the given standings.
+ * A rating of 1 means league average; rates are shrunk towards the average by
+ * CONFIG.MATCH_MODEL.priorGames virtual games so short samples don't dominate.
+ * @param {Array<Object>} standings - standings rows with goal_pro, goal_against and games
+ * @returns {{ average: number, teams: Map<number, { attack: number, defence: number }> }}
+ * @private
+ */
+function buildRatings(standings) {
+    if (ratingsCache.has(standings)) return ratingsCache.get(standings);
+    const totals = standings.reduce((acc, team) => {
+        acc.goals += team.goal_pro || 0;
+        acc.games += team.games || 0;
+        return acc;
+    }, { goals: 0, games: 0 });
+    const average = totals.games > 0 ? totals.goals / totals.games : 1;
+    const prior = CONFIG.MATCH_MODEL.priorGames;
+    const teams = new Map();
+    standings.forEach((team) => {
+        const games = team.games || 0;
+        const attack = ((team.goal_pro || 0) + prior * average) / (games + prior) / average;
+        const defence = ((team.goal_against || 0) + prior * average) / (games + prior) / average;
+        teams.set(team.id, { attack, defence });
+    });
+    const ratings = { average, teams };
+    ratingsCache.set(standings, ratings);
+    return ratings;
+}
+
+// Available match models. Each model exposes a `simulate(match, context)` method
+// returning { homeScore, awayScore }; `context.standings` holds the rating base and
+// `context.random` is the (seeded) source of randomness every model must use.
+const models = {
+    random: {
+        key: "random",
+        label: "Aleatório",
+        /**
+         * Weighted-random scores, independent of the teams involved.
+         * @param {Object} match - match being simulated (unused)
+         * @param {Object} context - { random }
+         * @returns {{ homeScore: number, awayScore: number }}
+         */
+        simulate(match, context = {}) {
+            return {
+                homeScore: Utils.generateRandomScore(context.random),
+                awayScore: Utils.generateRandomScore(context.random),
+            };
+        },
+    },
+    poisson: {
+        key: "poisson",
+        label: "Poisson (força dos times)",
+        /**
+         * Poisson goals whose means combine the attack of one side with the defence
+         * of the other, scaled by the home-advantage factor.
+         * @param {Object} match - match with homeTeam and awayTeam
+         * @param {Object} context - { standings, random }; standings derive team ratings
+         * @returns {{ homeScore: number, awayScore: number }}
+         */
+        simulate(match, context = {}) {
+            const standings = Array.isArray(context.standings) ? context.standings : [];
+            const { average, teams } = buildRatings(standings);
+            const neutral = { attack: 1, defence: 1 };
+            const home = teams.get(match.homeTeam.id) || neutral;
+            const away = teams.get(match.awayTeam.id) || neutral;
+            const advantage = CONFIG.MATCH_MODEL.homeAdvantage;
+            const homeLambda = average * home.attack * away.defence * advantage;
+            const awayLambda = (average * away.attack * home.defence) / advantage;
+            return {
+                homeScore: Math.min(samplePoisson(homeLambda, context.random), CONFIG.MAX_GOALS),
+                awayScore: Math.min(samplePoisson(awayLambda, context.random), CONFIG.MAX_GOALS),
+            };
+        },
+    },
+};
+
+// Registry of match models used by MatchService.simulateMatch
+export const MatchModels = {
+    /**
+     * Returns the model registered under `key`, falling back to the default model.
+     * @param {string} key - model key
+     * @returns {Object} the match model
+     */
+    get(key) {
+        return models[key] || models[CONFIG.MATCH_MODEL.default];
+    },
+
+    /**
+     * Lists the registered models as { key, label } pairs, e.g. to fill a select.
+     * @returns {Array<{ key: string, label: string }>}
+     */
+    list() {
+        return Object.values(models).map(({ key, label }) => ({ key, label }));
+    },
+
+    /**
+     * Registers (or replaces) a match model.
+     * @param {{ key: string, label: string, simulate: function(Object, Object): Object }} model
+     */
+    register(model) {
+        if (!model || !model.key || typeof model.simulate !== "function") {
+            throw new Error("MatchModels.register: model needs a key and a simulate function");
+        }
+        models[model.key] = model;
+    },
+};
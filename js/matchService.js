@@ -1,10 +1,12 @@
 import { CONFIG } from "./config.js";
+import { MatchModels } from "./matchModels.js";
 import { Utils } from "./utils.js";
 
 // Match services: initialization, validation, simulation, result creation
 export const MatchService = {
     /**
-     * Initialize a match with scores and simulated flag
+     * Initialize a match with empty scores and no score source
+     * (source is one of "manual", "simulated", "official" once a score is set)
      * @param {Object} match - Match object to be initialized
      * @returns {Object} Initialized match object
      */
@@ -13,7 +15,7 @@ export const MatchService = {
             ...match,
             homeScore: "",
             awayScore: "",
-            simulated: false,
+            source: null,
         };
     },
 
@@ -52,15 +54,32 @@ export const MatchService = {
     },
 
     /**
-     * Simulates a match by generating random scores for the home and away teams.
-     * The scores are generated using a weighted distribution to make the results more
-     * realistic.
+     * Simulates a match with the match model named in `context.model`.
+     * See MatchModels for the available models; the weighted-random behaviour is
+     * available as the "random" model.
+     * Randomness comes from `context.random` when given (e.g. one stream for a whole
+     * bulk simulation); otherwise a generator is derived from `context.seed` and the
+     * match id, so the same seed always gives the same score for that match.
+     * @param {Object} match - The match to be simulated
+     * @param {Object} [context] - { model, standings, seed, random } as built by createSimulationContext
      * @returns {Object} An object containing the simulated scores for the home and away teams.
      */
-    simulateMatch() {
+    simulateMatch(match, context = {}) {
+        const random = context.random || Utils.createRandom(`${context.seed}:${match.id}`);
+        return MatchModels.get(context.model).simulate(match, { ...context, random });
+    },
+
+    /**
+     * Builds the simulation context for simulateMatch from the application state:
+     * the selected match model, the base standings used for team ratings and the seed.
+     * @param {Object} state - application state
+     * @returns {Object} { model, standings, seed }
+     */
+    createSimulationContext(state) {
         return {
-            homeScore: Utils.generateRandomScore(),
-            awayScore: Utils.generateRandomScore(),
+            model: state && state.matchModel,
+            standings: (state && state.initialStandings) || [],
+            seed: (state && state.seed) || "",
         };
     },
 
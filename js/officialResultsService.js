@@ -0,0 +1,423 @@
+import { CONFIG } from './config.js';
+import { MatchService } from './matchService.js';
+import { MatchManager } from './matchManager.js';
+import { StandingsCalculator } from './standingsCalculator.js';
+import { TeamService } from './teamService.js';
+import { state } from './dataManager.js';
+
+// Official results are stored per data set, apart from the scenario: `${STORAGE_KEY}:<competition>/<season>`
+const STORAGE_KEY = 'simulador-brasileirao:oficiais';
+const STORAGE_VERSION = 1;
+
+// CSV header names (normalized, see normalizeName) accepted for each column
+const CSV_COLUMNS = {
+    round: ['rodada', 'round', 'matchday', 'jornada'],
+    home: ['mandante', 'home', 'home team', 'hometeam', 'casa', 'time mandante'],
+    away: ['visitante', 'away', 'away team', 'awayteam', 'fora', 'time visitante'],
+    homeScore: ['gols mandante', 'home score', 'homescore', 'home goals', 'fthg', 'placar mandante'],
+    awayScore: ['gols visitante', 'away score', 'awayscore', 'away goals', 'ftag', 'placar visitante'],
+    score: ['placar', 'score', 'resultado', 'result']
+};
+
+// Words that only tell the kind of club ("Santos FC", "CR Flamengo") and are ignored when matching names
+const CLUB_WORDS = new Set(['fc', 'ec', 'sc', 'se', 'cr', 'ca', 'fr', 'ac', 'fbpa', 'clube', 'club', 'esporte', 'esportivo', 'futebol', 'regatas', 'de', 'da', 'do', 'dos', 'e']);
+
+/**
+ * Lower-cases a name and strips accents and punctuation ("Atlético-MG" → "atletico mg").
+ * @param {string} name
+ * @returns {string}
+ * @private
+ */
+function normalizeName(name) {
+    return String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Significant words of a name (club-kind words removed).
+ * @param {string} name
+ * @returns {Array<string>}
+ * @private
+ */
+function nameWords(name) {
+    return normalizeName(name).split(' ').filter(word => word && !CLUB_WORDS.has(word));
+}
+
+/**
+ * Last path segment of a crest URL without its extension (football-data.org crests
+ * are named after the team id, e.g. ".../1766.png" → "1766").
+ * @param {string} url
+ * @returns {string}
+ * @private
+ */
+function crestKey(url) {
+    const match = /([^/]+)\.[a-z]+$/i.exec(String(url || ''));
+    return match ? match[1] : '';
+}
+
+/**
+ * Splits a CSV line on the given delimiter, honouring double-quoted fields.
+ * @param {string} line
+ * @param {string} delimiter
+ * @returns {Array<string>}
+ * @private
+ */
+function splitCsvLine(line, delimiter) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+// Official results: reads a results feed (CSV or football-data.org JSON), stores the
+// results per data set and folds fully played rounds into the base standings
+export const OfficialResultsService = {
+    /**
+     * Parses a results feed. JSON is read as a football-data.org `matches` response
+     * (only finished matches with a full-time score count); anything else as CSV with
+     * a header row (see CSV_COLUMNS; the score may be in one column, e.g. "2-1" or "2 x 1";
+     * `,`, `;` or tab separated). Rows without a score are ignored.
+     * @param {string} text - file contents
+     * @returns {{ format: string, entries: Array<{ line: number, round: number|null, home: Object, away: Object, homeScore: number, awayScore: number }> }}
+     *   home/away are { names: Array<string>, crest: string }
+     * @throws {Error} when the feed cannot be read
+     */
+    parseFeed(text) {
+        const trimmed = String(text || '').replace(/^\uFEFF/, '').trim();
+        if (!trimmed) throw new Error('arquivo vazio');
+        if (trimmed[0] === '{' || trimmed[0] === '[') return this._parseFootballData(trimmed);
+        return this._parseCsv(trimmed);
+    },
+
+    /**
+     * Parses a football-data.org style JSON feed (see parseFeed).
+     * @param {string} text
+     * @returns {Object} { format, entries }
+     * @private
+     */
+    _parseFootballData(text) {
+        let doc;
+        try {
+            doc = JSON.parse(text);
+        } catch (err) {
+            throw new Error('JSON inválido');
+        }
+        const matches = Array.isArray(doc) ? doc : doc && doc.matches;
+        if (!Array.isArray(matches)) throw new Error('o JSON não tem a lista "matches"');
+        const side = (team) => ({
+            names: [team && team.name, team && team.shortName, team && team.tla].filter(Boolean),
+            crest: (team && (team.crest || (team.id !== undefined ? `${team.id}.png` : ''))) || ''
+        });
+        const entries = [];
+        matches.forEach((match, index) => {
+            const fullTime = (match && match.score && match.score.fullTime) || {};
+            // v4 uses home/away, v2 homeTeam/awayTeam
+            const homeScore = fullTime.home ?? fullTime.homeTeam;
+            const awayScore = fullTime.away ?? fullTime.awayTeam;
+            if (match.status && match.status !== 'FINISHED') return;
+            if (!Number.isInteger(homeScore) || !Number.isInteger(awayScore)) return;
+            entries.push({
+                line: index + 1,
+                round: Number.isInteger(match.matchday) ? match.matchday : null,
+                home: side(match.homeTeam),
+                away: side(match.awayTeam),
+                homeScore,
+                awayScore
+            });
+        });
+        return { format: 'football-data', entries };
+    },
+
+    /**
+     * Parses a CSV feed with a header row (see parseFeed).
+     * @param {string} text
+     * @returns {Object} { format, entries }
+     * @private
+     */
+    _parseCsv(text) {
+        const lines = text.split(/\r?\n/);
+        const header = lines[0];
+        const delimiter = ['\t', ';', ','].reduce((best, d) => (header.split(d).length > header.split(best).length ? d : best), ',');
+        const columns = splitCsvLine(header, delimiter).map(normalizeName);
+        const index = {};
+        Object.keys(CSV_COLUMNS).forEach(key => {
+            index[key] = columns.findIndex(column => CSV_COLUMNS[key].includes(column));
+        });
+        const hasScores = (index.homeScore >= 0 && index.awayScore >= 0) || index.score >= 0;
+        if (index.home < 0 || index.away < 0 || !hasScores) {
+            throw new Error('o CSV precisa das colunas mandante, visitante e placar (ou gols_mandante e gols_visitante)');
+        }
+        const entries = [];
+        lines.slice(1).forEach((line, i) => {
+            if (!line.trim()) return;
+            const fields = splitCsvLine(line, delimiter);
+            let homeScore = index.homeScore >= 0 ? fields[index.homeScore] : '';
+            let awayScore = index.awayScore >= 0 ? fields[index.awayScore] : '';
+            if ((homeScore === '' || awayScore === '') && index.score >= 0) {
+                const score = /^\s*(\d+)\s*[-x×:]\s*(\d+)\s*$/i.exec(fields[index.score] || '');
+                if (score) [, homeScore, awayScore] = score;
+            }
+            if (!/^\d+$/.test(String(homeScore)) || !/^\d+$/.test(String(awayScore))) return;
+            const round = index.round >= 0 ? parseInt(fields[index.round], 10) : NaN;
+            entries.push({
+                line: i + 2,
+                round: Number.isNaN(round) ? null : round,
+                home: { names: [fields[index.home]].filter(Boolean), crest: '' },
+                away: { names: [fields[index.away]].filter(Boolean), crest: '' },
+                homeScore: parseInt(homeScore, 10),
+                awayScore: parseInt(awayScore, 10)
+            });
+        });
+        return { format: 'csv', entries };
+    },
+
+    /**
+     * Finds the teams.json id of a team named in a feed: by crest (football-data.org
+     * crest URLs or ids), then by acronym, full name or an entry of the team's
+     * `aliases`, then by the team whose significant name words are all in the feed
+     * name (e.g. "CR Vasco da Gama" → Vasco). Ambiguous names are not resolved.
+     * @param {{ names: Array<string>, crest?: string }} side - names (and crest) in the feed
+     * @returns {number|null} team id
+     */
+    resolveTeam(side) {
+        const teams = state.teams || [];
+        const crest = crestKey(side.crest);
+        if (crest) {
+            const byCrest = teams.filter(team => team.image && crestKey(team.image) === crest);
+            if (byCrest.length === 1) return byCrest[0].id;
+        }
+        const names = (side.names || []).map(normalizeName).filter(Boolean);
+        const exact = teams.filter(team => [team.name, team.acronym, ...(team.aliases || [])]
+            .map(normalizeName).some(name => name && names.includes(name)));
+        if (exact.length === 1) return exact[0].id;
+        for (const name of side.names || []) {
+            const words = new Set(nameWords(name));
+            const byWords = teams.filter(team => {
+                const teamWords = nameWords(team.name);
+                return teamWords.length > 0 && teamWords.every(word => words.has(word));
+            });
+            if (byWords.length === 1) return byWords[0].id;
+        }
+        return null;
+    },
+
+    /**
+     * Matches parsed feed entries to the fixtures by home and away team. When the
+     * fixtures list the same pair more than once, the entry's round picks the match
+     * (for pending matches, their original round).
+     * @param {Array<Object>} entries - entries from parseFeed
+     * @returns {{ results: Object, unresolved: Array<string>, beforeData: number, skipped: Array<{ line: number, reason: string }> }}
+     *   results keyed by match id ({ homeTeamId, awayTeamId, homeScore, awayScore });
+     *   beforeData counts games played before the data set's first round (already in
+     *   initial_standings.json)
+     */
+    matchEntries(entries) {
+        const fixtures = new Map();
+        const addFixture = (match, round) => {
+            const key = `${match.homeTeam.id}:${match.awayTeam.id}`;
+            if (!fixtures.has(key)) fixtures.set(key, []);
+            fixtures.get(key).push({ match, round });
+        };
+        Object.keys(state.allMatches || {}).forEach(round => state.allMatches[round].forEach(match => addFixture(match, Number(round))));
+        (state.pendingMatches || []).concat(state.playedMatches || [])
+            .forEach(match => addFixture(match, match.pending ? match.originalRound : match.round));
+        const report = { results: {}, unresolved: [], beforeData: 0, skipped: [] };
+        const unresolved = new Set();
+        entries.forEach(entry => {
+            const homeTeamId = this.resolveTeam(entry.home);
+            const awayTeamId = this.resolveTeam(entry.away);
+            if (homeTeamId === null) unresolved.add(entry.home.names[0] || '?');
+            if (awayTeamId === null) unresolved.add(entry.away.names[0] || '?');
+            if (homeTeamId === null || awayTeamId === null) {
+                report.skipped.push({ line: entry.line, reason: 'time não reconhecido' });
+                return;
+            }
+            if (!MatchService.isValidScore(entry.homeScore) || !MatchService.isValidScore(entry.awayScore)) {
+                report.skipped.push({ line: entry.line, reason: 'placar inválido' });
+                return;
+            }
+            const candidates = fixtures.get(`${homeTeamId}:${awayTeamId}`) || [];
+            if (candidates.length === 0) {
+                report.beforeData += 1;
+                return;
+            }
+            const inRound = candidates.filter(candidate => candidate.round === entry.round);
+            const match = candidates.length === 1 ? candidates[0].match : inRound.length === 1 ? inRound[0].match : null;
+            if (!match) {
+                report.skipped.push({ line: entry.line, reason: 'confronto repetido na tabela; informe a rodada' });
+                return;
+            }
+            report.results[match.id] = { homeTeamId, awayTeamId, homeScore: entry.homeScore, awayScore: entry.awayScore };
+        });
+        report.unresolved = [...unresolved].sort();
+        return report;
+    },
+
+    /**
+     * Returns the localStorage key of a data set's official results.
+     * @param {string} [datasetId=state.datasetId]
+     * @returns {string}
+     */
+    getStorageKey(datasetId = state.datasetId) {
+        return `${STORAGE_KEY}:${datasetId}`;
+    },
+
+    /**
+     * Reads the loaded data set's stored official results.
+     * @returns {Object} { [matchId]: { homeTeamId, awayTeamId, homeScore, awayScore } }
+     */
+    getStoredResults() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.getStorageKey()) || 'null');
+            return saved && saved.version === STORAGE_VERSION && saved.results ? saved.results : {};
+        } catch (err) {
+            console.warn('OfficialResultsService: ignoring unreadable official results', err);
+            return {};
+        }
+    },
+
+    /**
+     * Tells whether a match's official result comes from an imported feed (and not
+     * from a score confirmed by hand, see MatchManager.confirmOfficialResult).
+     * @param {Object} match - match object
+     * @returns {boolean}
+     */
+    isImported(match) {
+        return Object.prototype.hasOwnProperty.call(this.getStoredResults(), String(match.id));
+    },
+
+    /**
+     * Reads a feed and merges its results into the stored official results (a newer
+     * feed replaces the scores of the matches it lists). The caller reloads the data
+     * set so applyToState folds them in.
+     * @param {string} text - feed contents (see parseFeed)
+     * @returns {{ ok: boolean, error?: string, format?: string, imported?: number, changed?: number,
+     *   unresolved?: Array<string>, beforeData?: number, skipped?: Array<Object> }}
+     */
+    importFeed(text) {
+        let parsed;
+        try {
+            parsed = this.parseFeed(text);
+        } catch (err) {
+            return { ok: false, error: err.message };
+        }
+        const report = this.matchEntries(parsed.entries);
+        const stored = this.getStoredResults();
+        let changed = 0;
+        Object.keys(report.results).forEach(matchId => {
+            const previous = stored[matchId];
+            const next = report.results[matchId];
+            if (!previous || previous.homeScore !== next.homeScore || previous.awayScore !== next.awayScore) changed += 1;
+            stored[matchId] = next;
+        });
+        try {
+            localStorage.setItem(this.getStorageKey(), JSON.stringify({ version: STORAGE_VERSION, importedAt: new Date().toISOString(), results: stored }));
+        } catch (err) {
+            return { ok: false, error: 'não foi possível salvar os resultados' };
+        }
+        return {
+            ok: true,
+            format: parsed.format,
+            imported: Object.keys(report.results).length,
+            changed,
+            unresolved: report.unresolved,
+            beforeData: report.beforeData,
+            skipped: report.skipped
+        };
+    },
+
+    /**
+     * Removes the loaded data set's stored official results and clears the official
+     * scores still in the fixtures, so the saved scenario does not bring them back.
+     * The caller reloads the data set to restore the rounds added to the initial standings.
+     */
+    clear() {
+        localStorage.removeItem(this.getStorageKey());
+        MatchManager.getAllMatches()
+            .filter(match => match.source === 'official')
+            .forEach(match => MatchManager.setMatchResult(match.id, '', ''));
+    },
+
+    /**
+     * Applies the stored official results to a freshly loaded data set (called by
+     * dataManager.loadData before the scenario is restored):
+     * - CONFIG.MIN_ROUND moves to the first round with a match without official result;
+     * - the rounds before it, and the official pending matches scheduled before it,
+     *   are added to state.initialStandings and moved to state.playedMatches;
+     * - the other official results are applied as locked results ("official" source).
+     * Results whose teams no longer match the fixture are ignored.
+     * @returns {{ folded: number, applied: number, minRound: number }}
+     */
+    applyToState() {
+        state.playedMatches = [];
+        const stored = this.getStoredResults();
+        const official = new Map();
+        Object.keys(stored).forEach(matchId => {
+            const match = MatchManager.findMatch(matchId);
+            const result = stored[matchId];
+            if (!match || match.homeTeam.id !== result.homeTeamId || match.awayTeam.id !== result.awayTeamId) return;
+            official.set(match, result);
+        });
+        if (official.size === 0) return { folded: 0, applied: 0, minRound: CONFIG.MIN_ROUND };
+
+        let minRound = CONFIG.MAX_ROUND;
+        for (let round = CONFIG.MIN_ROUND; round <= CONFIG.MAX_ROUND; round++) {
+            if ((state.allMatches[round] || []).some(match => !official.has(match))) {
+                minRound = round;
+                break;
+            }
+        }
+        // Pending matches are placed by date, so this needs every round still in place
+        const foldedPending = (state.pendingMatches || [])
+            .filter(match => official.has(match) && MatchManager.getScheduledRound(match) < minRound);
+        const folded = [];
+        for (let round = CONFIG.MIN_ROUND; round < minRound; round++) {
+            (state.allMatches[round] || []).forEach(match => folded.push(Object.assign(match, { round })));
+            delete state.allMatches[round];
+        }
+        state.pendingMatches = state.pendingMatches.filter(match => !foldedPending.includes(match));
+        folded.push(...foldedPending);
+
+        folded.forEach(match => {
+            const result = official.get(match);
+            Object.assign(match, { homeScore: result.homeScore, awayScore: result.awayScore, source: 'official' });
+        });
+        const base = state.initialStandings.map(team => TeamService.ensureTeamStats(team));
+        state.initialStandings = folded.reduce(
+            (standings, match) => StandingsCalculator.applyMatchResult(standings, MatchService.createMatchResult(match)),
+            base
+        );
+        state.standings = state.initialStandings.map(team => TeamService.ensureTeamStats(team));
+        state.playedMatches = folded;
+        CONFIG.MIN_ROUND = minRound;
+
+        let applied = 0;
+        official.forEach((result, match) => {
+            if (folded.includes(match)) return;
+            MatchManager.setMatchResult(match.id, result.homeScore, result.awayScore, 'official');
+            applied += 1;
+        });
+        return { folded: folded.length, applied, minRound };
+    }
+};
@@ -0,0 +1,256 @@
+import { CONFIG } from './config.js';
+import { MatchService } from './matchService.js';
+import { MatchManager } from './matchManager.js';
+import { state } from './dataManager.js';
+
+// Pools are stored per data set, apart from the scenario: `${STORAGE_KEY}:<competition>/<season>`
+const STORAGE_KEY = 'simulador-brasileirao:bolao';
+const STORAGE_VERSION = 1;
+
+// Kinds of hit, from the most to the least valuable (keys of the scoring rules)
+const HIT_KINDS = ['exact', 'goalDifference', 'outcome'];
+
+// The loaded data set's pool, read from localStorage on first use:
+// { datasetId, scoring: { exact, goalDifference, outcome }, nextPlayerId,
+//   players: [{ id, name, predictions: { [matchId]: { homeScore, awayScore } } }] }
+let pool = null;
+
+/**
+ * Parses a score as typed in a prediction input.
+ * @param {number|string} value
+ * @returns {number|string} the score, or "" when empty or invalid
+ * @private
+ */
+function parseScore(value) {
+    if (value === '' || value === null || value === undefined) return '';
+    const n = parseInt(value, 10);
+    return Number.isNaN(n) || !MatchService.isValidScore(n) ? '' : n;
+}
+
+// Prediction pool ("bolão"): named players, their predicted scores and the ranking
+// against the official results of the scenario
+export const PoolService = {
+    /**
+     * Returns the localStorage key of a data set's pool.
+     * @param {string} [datasetId=state.datasetId]
+     * @returns {string}
+     */
+    getStorageKey(datasetId = state.datasetId) {
+        return `${STORAGE_KEY}:${datasetId}`;
+    },
+
+    /**
+     * Returns the pool of the loaded data set, reading it from localStorage the first
+     * time (an empty pool with the CONFIG.POOL_SCORING points when nothing was saved).
+     * @returns {Object} the pool
+     */
+    getPool() {
+        if (pool && pool.datasetId === state.datasetId) return pool;
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.getStorageKey()) || 'null');
+        } catch (err) {
+            console.warn('PoolService: ignoring unreadable saved pool', err);
+        }
+        const valid = saved && saved.version === STORAGE_VERSION && Array.isArray(saved.players);
+        pool = {
+            datasetId: state.datasetId,
+            scoring: { ...CONFIG.POOL_SCORING, ...(valid ? saved.scoring : {}) },
+            nextPlayerId: valid ? saved.nextPlayerId || saved.players.length + 1 : 1,
+            players: valid ? saved.players : []
+        };
+        return pool;
+    },
+
+    /**
+     * Writes the pool to localStorage.
+     * @returns {boolean} true when saved
+     */
+    save() {
+        try {
+            const { scoring, nextPlayerId, players } = this.getPool();
+            localStorage.setItem(this.getStorageKey(), JSON.stringify({ version: STORAGE_VERSION, scoring, nextPlayerId, players }));
+            return true;
+        } catch (err) {
+            console.warn('PoolService: could not save pool', err);
+            return false;
+        }
+    },
+
+    /**
+     * Adds a player with no predictions.
+     * @param {string} name - player name (trimmed; must be unique, ignoring case)
+     * @returns {Object|null} the new player, or null when the name is empty or taken
+     */
+    addPlayer(name) {
+        const current = this.getPool();
+        const trimmed = String(name || '').trim();
+        if (!trimmed || current.players.some(p => p.name.toLowerCase() === trimmed.toLowerCase())) return null;
+        const player = { id: current.nextPlayerId++, name: trimmed, predictions: {} };
+        current.players.push(player);
+        this.save();
+        return player;
+    },
+
+    /**
+     * Removes a player and their predictions.
+     * @param {number} playerId - player id
+     * @returns {boolean} false when the player does not exist
+     */
+    removePlayer(playerId) {
+        const { players } = this.getPool();
+        const index = players.findIndex(p => p.id === playerId);
+        if (index < 0) return false;
+        players.splice(index, 1);
+        this.save();
+        return true;
+    },
+
+    /**
+     * Returns a player by id.
+     * @param {number} playerId - player id
+     * @returns {Object|null}
+     */
+    getPlayer(playerId) {
+        return this.getPool().players.find(p => p.id === playerId) || null;
+    },
+
+    /**
+     * Returns a player's prediction for a match.
+     * @param {number} playerId - player id
+     * @param {number|string} matchId - match id
+     * @returns {{ homeScore: (number|string), awayScore: (number|string) }} "" for missing scores
+     */
+    getPrediction(playerId, matchId) {
+        const player = this.getPlayer(playerId);
+        const prediction = player && player.predictions[matchId];
+        return prediction ? { ...prediction } : { homeScore: '', awayScore: '' };
+    },
+
+    /**
+     * Sets one score of a player's prediction, as typed. Matches with an official
+     * result are closed and keep their prediction.
+     * @param {number} playerId - player id
+     * @param {number|string} matchId - match id
+     * @param {string} field - 'homeScore' or 'awayScore'
+     * @param {number|string} value - the score ("" to clear)
+     * @returns {boolean} false when the player or match does not exist, or the match is closed
+     */
+    setPrediction(playerId, matchId, field, value) {
+        const player = this.getPlayer(playerId);
+        const match = MatchManager.findMatch(matchId);
+        if (!player || !match || this.isClosed(match) || (field !== 'homeScore' && field !== 'awayScore')) return false;
+        const prediction = this.getPrediction(playerId, match.id);
+        prediction[field] = parseScore(value);
+        if (prediction.homeScore === '' && prediction.awayScore === '') delete player.predictions[match.id];
+        else player.predictions[match.id] = prediction;
+        this.save();
+        return true;
+    },
+
+    /**
+     * Replaces the points of the scoring rules (non-negative integers; others are ignored).
+     * @param {Object} scoring - { exact?, goalDifference?, outcome? }
+     * @returns {Object} the scoring rules in use
+     */
+    setScoring(scoring) {
+        const current = this.getPool().scoring;
+        HIT_KINDS.forEach(kind => {
+            const points = parseInt(scoring && scoring[kind], 10);
+            if (!Number.isNaN(points) && points >= 0) current[kind] = points;
+        });
+        this.save();
+        return current;
+    },
+
+    /**
+     * Tells whether a match has its official result, which closes its predictions
+     * and makes them count.
+     * @param {Object} match - match object
+     * @returns {boolean}
+     */
+    isClosed(match) {
+        return match.source === 'official' && MatchService.isMatchComplete(match);
+    },
+
+    /**
+     * Scores a prediction against the official result of a match: the exact score, the
+     * right outcome with the right goal difference (a non-exact draw counts here), or
+     * the right outcome only (see MatchService.getMatchResult).
+     * @param {{ homeScore, awayScore }} prediction - predicted scores
+     * @param {Object} match - match object
+     * @param {Object} [scoring=this.getPool().scoring] - points per kind of hit
+     * @returns {{ kind: string, points: number }|null} kind is 'exact', 'goalDifference',
+     *   'outcome', 'miss' or 'none' (no prediction); null while the match has no official result
+     */
+    scorePrediction(prediction, match, scoring = this.getPool().scoring) {
+        if (!this.isClosed(match)) return null;
+        if (!prediction || prediction.homeScore === '' || prediction.awayScore === '') return { kind: 'none', points: 0 };
+        const predicted = { home: Number(prediction.homeScore), away: Number(prediction.awayScore) };
+        const actual = { home: Number(match.homeScore), away: Number(match.awayScore) };
+        let kind = 'miss';
+        if (predicted.home === actual.home && predicted.away === actual.away) {
+            kind = 'exact';
+        } else if (MatchService.getMatchResult(predicted.home, predicted.away) === MatchService.getMatchResult(actual.home, actual.away)) {
+            kind = predicted.home - predicted.away === actual.home - actual.away ? 'goalDifference' : 'outcome';
+        }
+        return { kind, points: scoring[kind] || 0 };
+    },
+
+    /**
+     * Scores every player on the given matches.
+     * @param {Array<Object>} matches - matches to score (those without an official result are skipped)
+     * @returns {Array<Object>} per player, in pool order: { id, name, points, scored,
+     *   exact, goalDifference, outcome, miss, none, matches: { [matchId]: { kind, points } } }
+     */
+    scorePlayers(matches) {
+        const { scoring } = this.getPool();
+        const closed = matches.filter(match => this.isClosed(match));
+        return this.getPool().players.map(player => {
+            const row = { id: player.id, name: player.name, points: 0, scored: 0, exact: 0, goalDifference: 0, outcome: 0, miss: 0, none: 0, matches: {} };
+            closed.forEach(match => {
+                const hit = this.scorePrediction(player.predictions[match.id], match, scoring);
+                row.matches[match.id] = hit;
+                row.points += hit.points;
+                row[hit.kind] += 1;
+                row.scored += 1;
+            });
+            return row;
+        });
+    },
+
+    /**
+     * Returns the first and last round with matches for the pool, including the rounds
+     * whose official results were added to the initial standings (state.playedMatches).
+     * @returns {{ min: number, max: number }}
+     */
+    getRoundRange() {
+        const played = (state.playedMatches || []).filter(match => !match.pending).map(match => match.round);
+        return { min: Math.min(CONFIG.MIN_ROUND, ...played), max: CONFIG.MAX_ROUND };
+    },
+
+    /**
+     * Returns the pool ranking over every match of the data set: points, then exact
+     * scores, goal differences and outcomes, then name.
+     * @returns {Array<Object>} rows of scorePlayers with a `position`
+     */
+    getRanking() {
+        const rows = this.scorePlayers(MatchManager.getAllMatches().concat(state.playedMatches || []));
+        rows.sort((a, b) => b.points - a.points || b.exact - a.exact || b.goalDifference - a.goalDifference
+            || b.outcome - a.outcome || a.name.localeCompare(b.name));
+        return rows.map((row, index) => ({ ...row, position: index + 1 }));
+    },
+
+    /**
+     * Returns the scores of every player in one round (pending matches count in the
+     * round they are scheduled in, see MatchManager.getMatchesByRound; rounds before
+     * CONFIG.MIN_ROUND come from state.playedMatches).
+     * @param {number} round - round number
+     * @returns {{ round: number, matches: Array<Object>, players: Array<Object> }} players as in scorePlayers
+     */
+    getRoundBreakdown(round) {
+        const entry = MatchManager.getMatchesByRound().find(r => r.round === round);
+        const matches = entry ? entry.matches : (state.playedMatches || []).filter(match => !match.pending && match.round === round);
+        return { round, matches, players: this.scorePlayers(matches) };
+    }
+};
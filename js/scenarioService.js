@@ -0,0 +1,310 @@
+import { CONFIG } from './config.js';
+import { MatchService } from './matchService.js';
+import { MatchManager } from './matchManager.js';
+import { StandingsCalculator } from './standingsCalculator.js';
+import { TeamService } from './teamService.js';
+import { Utils } from './utils.js';
+import { state } from './dataManager.js';
+
+// Scenarios are stored per data set: `${STORAGE_KEY}:<competition>/<season>`
+const STORAGE_KEY = 'simulador-brasileirao:cenario';
+const STORAGE_VERSION = 1;
+const SAVE_DELAY_MS = 300;
+// Exported scenario files
+const FILE_FORMAT = 'simulador-brasileirao/cenario';
+const FILE_VERSION = 1;
+// Accepted score sources (see MatchManager)
+const SOURCES = ['manual', 'simulated', 'official'];
+
+// Scenario (entered results + view preferences) collection, application and persistence
+export const ScenarioService = {
+    /**
+     * Returns the localStorage key of a data set's scenario.
+     * @param {string} [datasetId=state.datasetId]
+     * @returns {string}
+     */
+    getStorageKey(datasetId = state.datasetId) {
+        return `${STORAGE_KEY}:${datasetId}`;
+    },
+
+    /**
+     * Tells which data set a scenario without a data set id (saved, exported or
+     * shared before the data catalogue existed) belongs to: the manifest default,
+     * the only data set the app had back then.
+     * @returns {string|null}
+     */
+    getLegacyDatasetId() {
+        return (state.manifest && state.manifest.default) || null;
+    },
+
+    /**
+     * Returns a short fingerprint of the loaded fixtures: match ids, rounds and
+     * teams, including the pending matches. It changes whenever the fixture data changes, so a saved scenario can
+     * tell whether its match ids still mean the same games.
+     * @param {Object} allMatches - state.allMatches
+     * @param {Array<Object>} pendingMatches - state.pendingMatches
+     * @returns {string} base-36 hash
+     */
+    getFixturesFingerprint(allMatches = state.allMatches, pendingMatches = state.pendingMatches, playedMatches = state.playedMatches) {
+        const entries = [];
+        Object.keys(allMatches || {}).forEach(round => {
+            allMatches[round].forEach(m => entries.push(`${m.id}:${round}:${m.homeTeam.id}-${m.awayTeam.id}`));
+        });
+        (pendingMatches || []).forEach(m => entries.push(`${m.id}:atrasado-${m.originalRound}:${m.homeTeam.id}-${m.awayTeam.id}`));
+        // Rounds folded into the initial standings by official results keep the fingerprint
+        (playedMatches || []).forEach(m => entries.push(m.pending
+            ? `${m.id}:atrasado-${m.originalRound}:${m.homeTeam.id}-${m.awayTeam.id}`
+            : `${m.id}:${m.round}:${m.homeTeam.id}-${m.awayTeam.id}`));
+        entries.sort();
+        return Utils.hashString(entries.join('|')).toString(36);
+    },
+
+    /**
+     * Collects every complete match result (rounds and pending matches), keyed by match id.
+     * Team ids are included so the result can be checked against other fixture data.
+     * @returns {Object} { [matchId]: { homeTeamId, awayTeamId, homeScore, awayScore, source } }
+     */
+    collectResults() {
+        const results = {};
+        MatchManager.getAllMatches().forEach(match => {
+            if (!MatchService.isMatchComplete(match)) return;
+            const { homeTeamId, awayTeamId, homeScore, awayScore } = MatchService.createMatchResult(match);
+            results[match.id] = { homeTeamId, awayTeamId, homeScore, awayScore, source: match.source || 'manual' };
+        });
+        return results;
+    },
+
+    /**
+     * Applies results (as returned by collectResults) through MatchManager.setMatchResult,
+     * keeping each entry's source (entries without one count as manual scores).
+     * Entries whose match id does not exist, or whose teams differ from the loaded
+     * fixture, are skipped and reported instead of being applied. Matches with an
+     * official result are locked and silently kept, including those already added to
+     * the initial standings (state.playedMatches).
+     * @param {Object} results - { [matchId]: { homeTeamId?, awayTeamId?, homeScore, awayScore, source? } }
+     * @returns {{ applied: Array<string>, skipped: Array<{ matchId: string, reason: string }> }}
+     */
+    applyResults(results) {
+        const report = { applied: [], skipped: [] };
+        Object.keys(results || {}).forEach(matchId => {
+            const entry = results[matchId] || {};
+            const match = MatchManager.findMatch(matchId);
+            const isPlayed = (state.playedMatches || []).some(m => String(m.id) === String(matchId));
+            if (isPlayed || (match && match.source === 'official')) return;
+            if (!match) {
+                report.skipped.push({ matchId, reason: 'jogo inexistente' });
+                return;
+            }
+            const teamsDiffer = (entry.homeTeamId !== undefined && entry.homeTeamId !== match.homeTeam.id)
+                || (entry.awayTeamId !== undefined && entry.awayTeamId !== match.awayTeam.id);
+            if (teamsDiffer) {
+                report.skipped.push({ matchId, reason: 'times diferentes' });
+                return;
+            }
+            if (!MatchService.isValidScore(entry.homeScore) || !MatchService.isValidScore(entry.awayScore)
+                || entry.homeScore === '' || entry.awayScore === '') {
+                report.skipped.push({ matchId, reason: 'placar inválido' });
+                return;
+            }
+            const source = SOURCES.includes(entry.source) ? entry.source : 'manual';
+            MatchManager.setMatchResult(match.id, parseInt(entry.homeScore, 10), parseInt(entry.awayScore, 10), source);
+            report.applied.push(String(match.id));
+        });
+        return report;
+    },
+
+    /**
+     * Removes every manual and simulated result (in all rounds and pending matches)
+     * through MatchManager.setMatchResult, reversing its effect on the standings.
+     * Official results are kept.
+     */
+    clearResults() {
+        MatchManager.getAllMatches().forEach(match => {
+            if (match.source === 'official') return;
+            if (match.homeScore === '' && match.awayScore === '') return;
+            MatchManager.setMatchResult(match.id, '', '');
+        });
+    },
+
+    /**
+     * Writes the current scenario to localStorage: results, current round,
+     * compact-table preference, standings view and match model, tagged with the fixtures fingerprint.
+     * @returns {boolean} true when saved
+     */
+    save() {
+        try {
+            const payload = {
+                version: STORAGE_VERSION,
+                fingerprint: this.getFixturesFingerprint(),
+                savedAt: new Date().toISOString(),
+                currentRound: state.currentRound,
+                compactTable: !!state.compactTable,
+                standingsView: state.standingsView,
+                matchModel: state.matchModel,
+                results: this.collectResults()
+            };
+            localStorage.setItem(this.getStorageKey(), JSON.stringify(payload));
+            return true;
+        } catch (err) {
+            console.warn('ScenarioService: could not save scenario', err);
+            return false;
+        }
+    },
+
+    /**
+     * Saves the scenario shortly after the last change, so bulk actions that touch
+     * many matches only write once.
+     */
+    scheduleSave: Utils.debounce(() => ScenarioService.save(), SAVE_DELAY_MS),
+
+    /**
+     * Reads the loaded data set's saved scenario from localStorage and applies it to
+     * the freshly loaded state. When the fixtures changed since the save, only results whose match id and
+     * teams still match are applied, and the report is flagged as `stale`.
+     * @returns {{ restored: boolean, stale: boolean, applied: Array<string>, skipped: Array<Object> }}
+     */
+    restore() {
+        const empty = { restored: false, stale: false, applied: [], skipped: [] };
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.getStorageKey()) || 'null');
+            // Scenarios saved before the data catalogue used a single key
+            if (!saved && state.datasetId === this.getLegacyDatasetId()) {
+                saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+                localStorage.removeItem(STORAGE_KEY);
+            }
+        } catch (err) {
+            console.warn('ScenarioService: ignoring unreadable saved scenario', err);
+            return empty;
+        }
+        if (!saved || saved.version !== STORAGE_VERSION) return empty;
+
+        const stale = saved.fingerprint !== this.getFixturesFingerprint();
+        if (typeof saved.compactTable === 'boolean') state.compactTable = saved.compactTable;
+        if (saved.standingsView === 'round' || saved.standingsView === 'final') state.standingsView = saved.standingsView;
+        if (saved.matchModel) state.matchModel = saved.matchModel;
+        if (state.allMatches[saved.currentRound]) state.currentRound = saved.currentRound;
+        const report = this.applyResults(saved.results);
+        return { restored: true, stale, ...report };
+    },
+
+    /**
+     * Builds the versioned document written by "Exportar JSON": the data set it was
+     * built on (id and fixtures fingerprint), every entered score keyed by match id and the resulting standings.
+     * @returns {Object} the export document
+     */
+    buildExportDocument() {
+        const standings = StandingsCalculator.sortStandings(state.standings || []).map(team => {
+            const meta = TeamService.getTeamById(team.id, state) || team;
+            return {
+                position: team.position,
+                id: team.id,
+                name: meta.name || team.name || '',
+                points: team.points,
+                games: team.games,
+                victories: team.victories,
+                draws: team.draws || 0,
+                defeats: team.defeats || 0,
+                goal_pro: team.goal_pro,
+                goal_against: team.goal_against || 0,
+                balance_goals: team.balance_goals
+            };
+        });
+        return {
+            format: FILE_FORMAT,
+            version: FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            dataset: {
+                id: state.datasetId,
+                fixturesFingerprint: this.getFixturesFingerprint(),
+                teams: (state.teams || []).map(team => team.id),
+                minRound: CONFIG.MIN_ROUND,
+                maxRound: CONFIG.MAX_ROUND
+            },
+            seed: state.seed,
+            matchModel: state.matchModel,
+            results: this.collectResults(),
+            standings
+        };
+    },
+
+    /**
+     * Checks an imported document against the loaded data set, teams.json and
+     * round_fixtures.json; documents of another data set are rejected.
+     * Structural problems make the whole document invalid; per-match problems are
+     * returned in `skipped` so the rest can still be applied.
+     * @param {Object} doc - parsed JSON document
+     * @returns {{ valid: boolean, error?: string, warnings: Array<string>, results: Object, skipped: Array<{ matchId: string, reason: string }> }}
+     */
+    validateImportDocument(doc) {
+        const invalid = (error) => ({ valid: false, error, warnings: [], results: {}, skipped: [] });
+        if (!doc || typeof doc !== 'object') return invalid('arquivo não contém um objeto JSON');
+        if (doc.format !== FILE_FORMAT) return invalid('formato de arquivo desconhecido');
+        if (doc.version !== FILE_VERSION) return invalid(`versão ${doc.version} não suportada`);
+        if (!doc.results || typeof doc.results !== 'object' || Array.isArray(doc.results)) {
+            return invalid('lista de resultados ausente');
+        }
+
+        const warnings = [];
+        const teamIds = new Set((state.teams || []).map(team => team.id));
+        const dataset = doc.dataset || {};
+        // Never apply a scenario to another league's (or season's) fixtures
+        const datasetId = dataset.id || this.getLegacyDatasetId();
+        if (datasetId !== state.datasetId) return invalid(`o arquivo é de outro campeonato (${datasetId})`);
+        if (dataset.fixturesFingerprint && dataset.fixturesFingerprint !== this.getFixturesFingerprint()) {
+            warnings.push('o arquivo foi gerado com outra versão da tabela de jogos');
+        }
+        const unknownTeams = (dataset.teams || []).filter(id => !teamIds.has(id));
+        if (unknownTeams.length > 0) warnings.push(`times desconhecidos no arquivo: ${unknownTeams.join(', ')}`);
+
+        const results = {};
+        const skipped = [];
+        Object.keys(doc.results).forEach(matchId => {
+            const entry = doc.results[matchId] || {};
+            const match = MatchManager.findMatch(matchId);
+            if (!match) {
+                skipped.push({ matchId, reason: 'jogo inexistente' });
+            } else if (!teamIds.has(entry.homeTeamId) || !teamIds.has(entry.awayTeamId)) {
+                skipped.push({ matchId, reason: 'time desconhecido' });
+            } else if (entry.homeTeamId !== match.homeTeam.id || entry.awayTeamId !== match.awayTeam.id) {
+                skipped.push({ matchId, reason: 'times diferentes' });
+            } else if (!Number.isInteger(entry.homeScore) || !Number.isInteger(entry.awayScore)
+                || !MatchService.isValidScore(entry.homeScore) || !MatchService.isValidScore(entry.awayScore)) {
+                skipped.push({ matchId, reason: 'placar inválido' });
+            } else {
+                results[matchId] = entry;
+            }
+        });
+        return { valid: true, warnings, results, skipped };
+    },
+
+    /**
+     * Replaces the current results with the ones in an exported document, applying
+     * them through MatchManager. Nothing changes when the document is invalid.
+     * @param {Object} doc - parsed JSON document
+     * @returns {{ ok: boolean, error?: string, warnings: Array<string>, applied: Array<string>, skipped: Array<Object> }}
+     */
+    importDocument(doc) {
+        const validation = this.validateImportDocument(doc);
+        if (!validation.valid) return { ok: false, error: validation.error, warnings: [], applied: [], skipped: [] };
+        this.clearResults();
+        const report = this.applyResults(validation.results);
+        return {
+            ok: true,
+            warnings: validation.warnings,
+            applied: report.applied,
+            skipped: validation.skipped.concat(report.skipped)
+        };
+    },
+
+    /**
+     * Removes the loaded data set's saved scenario from localStorage.
+     */
+    clear() {
+        try {
+            localStorage.removeItem(this.getStorageKey());
+        } catch (err) {
+            console.warn('ScenarioService: could not clear saved scenario', err);
+        }
+    }
+};
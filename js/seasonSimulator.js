@@ -0,0 +1,87 @@
+import { CONFIG } from "./config.js";
+import { MatchService } from "./matchService.js";
+import { StandingsCalculator } from "./standingsCalculator.js";
+import { SimulationEngine } from "./simulationEngine.js";
+import { state } from "./dataManager.js";
+
+// Monte Carlo simulation of the remaining championship, run by SimulationEngine on
+// the current scenario
+export const SeasonSimulator = {
+    /**
+     * Returns the matches still to be played between the given rounds (inclusive),
+     * followed by the incomplete pending (postponed) matches. By default every round
+     * of the championship is considered, whatever round is on screen.
+     * Matches that already have both scores (typed or simulated) are considered
+     * fixed and are not returned.
+     * @param {number} [fromRound=CONFIG.MIN_ROUND] - first round to consider
+     * @param {number} [toRound=CONFIG.MAX_ROUND] - last round to consider
+     * @returns {Array<Object>} the incomplete matches in round order
+     */
+    getRemainingMatches(fromRound = CONFIG.MIN_ROUND, toRound = CONFIG.MAX_ROUND) {
+        const remaining = [];
+        for (let round = fromRound; round <= toRound; round++) {
+            const matches = state.allMatches[round] || [];
+            matches.forEach((match) => {
+                if (!MatchService.isMatchComplete(match)) remaining.push(match);
+            });
+        }
+        (state.pendingMatches || []).forEach((match) => {
+            if (!MatchService.isMatchComplete(match)) remaining.push(match);
+        });
+        return remaining;
+    },
+
+    /**
+     * Runs `iterations` full simulations of every remaining match, starting from the
+     * current standings (which already include every applied result), and counts how
+     * often each team finishes inside each of the CONFIG.PROBABILITY_ZONES ranges.
+     * The work is split into chunks so the page stays responsive; `onProgress` is
+     * called with a value between 0 and 1 after each chunk.
+     * The result is stored in state.seasonProbabilities and returned.
+     * @async
+     * @param {number} [iterations=CONFIG.SEASON_SIMULATIONS] - number of seasons to simulate
+     * @param {Object} [options]
+     * @param {function(number):void} [options.onProgress] - progress callback
+     * @returns {Promise<Object>} { iterations, teams: { [teamId]: { [zoneKey]: probability } } }
+     */
+    async run(iterations = CONFIG.SEASON_SIMULATIONS, { onProgress } = {}) {
+        const result = await SimulationEngine.simulateProbabilities({
+            standings: state.standings || [],
+            remaining: this.getRemainingMatches(),
+            // Applied results feed the head-to-head tie-breaker of every simulated table
+            knownResults: StandingsCalculator.getAppliedResults(),
+            context: MatchService.createSimulationContext(state),
+            rules: StandingsCalculator.getRules(),
+            iterations,
+            onProgress,
+        });
+        state.seasonProbabilities = { iterations: result.iterations, teams: result.teams };
+        return state.seasonProbabilities;
+    },
+
+    /**
+     * Estimates, with the current match model, how many points were enough to finish
+     * at each of the given positions or better: in every simulated season that is one
+     * point more than the team right below the position. Reports the totals that
+     * were enough in half and in 90% of the seasons. Runs in chunks, like run().
+     * @async
+     * @param {Array<number>} positions - positions to report (below the last one)
+     * @param {number} [iterations=CONFIG.SEASON_SIMULATIONS] - number of seasons to simulate
+     * @param {Object} [options]
+     * @param {function(number):void} [options.onProgress] - progress callback
+     * @returns {Promise<Object>} { iterations, model, cutoffs: { [position]: { median, p90 } } }
+     */
+    async estimateCutoffs(positions, iterations = CONFIG.SEASON_SIMULATIONS, { onProgress } = {}) {
+        const result = await SimulationEngine.estimateCutoffs({
+            standings: state.standings || [],
+            remaining: this.getRemainingMatches(),
+            positions: positions.filter((position) => position < CONFIG.TEAM_COUNT),
+            knownResults: StandingsCalculator.getAppliedResults(),
+            context: MatchService.createSimulationContext(state),
+            rules: StandingsCalculator.getRules(),
+            iterations,
+            onProgress,
+        });
+        return { iterations: result.iterations, model: state.matchModel, cutoffs: result.cutoffs };
+    },
+};
@@ -0,0 +1,186 @@
+import { MatchManager } from './matchManager.js';
+import { ScenarioService } from './scenarioService.js';
+import { state } from './dataManager.js';
+
+// Fragment layout: #c=<version>.<data set id>.<match id ranges>.<scores>
+// (version 1 links, from before the data catalogue, have no data set id)
+const HASH_PREFIX = 'c=';
+const FORMAT_VERSION = '2';
+const LEGACY_FORMAT_VERSION = '1';
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+// Scores up to SMALL_SCORE on both sides fit in one character; others are escaped
+const SMALL_SCORE = 6;
+const ESCAPE = ALPHABET[ALPHABET.length - 1];
+
+/**
+ * Compresses a sorted list of integer ids into base-36 ranges, e.g. [1,2,3,7] -> "1-3_7".
+ * @param {Array<number>} ids - ascending ids
+ * @returns {string}
+ * @private
+ */
+function encodeRanges(ids) {
+    const parts = [];
+    for (let i = 0; i < ids.length; i++) {
+        const start = ids[i];
+        while (i + 1 < ids.length && ids[i + 1] === ids[i] + 1) i++;
+        const end = ids[i];
+        parts.push(start === end ? start.toString(36) : `${start.toString(36)}-${end.toString(36)}`);
+    }
+    return parts.join('_');
+}
+
+/**
+ * Expands the output of encodeRanges back into a list of ids.
+ * @param {string} text - encoded ranges
+ * @returns {Array<number>} ids
+ * @throws {Error} when the ranges are malformed
+ * @private
+ */
+function decodeRanges(text) {
+    if (!text) return [];
+    const ids = [];
+    text.split('_').forEach(part => {
+        const [startText, endText] = part.split('-');
+        const start = parseInt(startText, 36);
+        const end = endText === undefined ? start : parseInt(endText, 36);
+        if (!/^[0-9a-z]+(-[0-9a-z]+)?$/.test(part) || Number.isNaN(start) || Number.isNaN(end) || end < start) {
+            throw new Error(`intervalo inválido "${part}"`);
+        }
+        for (let id = start; id <= end; id++) ids.push(id);
+    });
+    return ids;
+}
+
+// Shareable scenario links: every entered score packed into the URL fragment
+export const ShareService = {
+    /**
+     * Encodes results (as returned by ScenarioService.collectResults) into the compact
+     * fragment payload, tagged with the data set they belong to. Match ids are stored
+     * as ranges; each score pair takes one character when both sides are at most
+     * SMALL_SCORE goals, three otherwise.
+     * @param {Object} results - { [matchId]: { homeScore, awayScore } }
+     * @param {string} [datasetId=state.datasetId] - "<competition>/<season>"
+     * @returns {string} payload without the leading "#c="
+     */
+    encode(results, datasetId = state.datasetId) {
+        const ids = Object.keys(results).map(Number).filter(Number.isInteger).sort((a, b) => a - b);
+        const scores = ids.map(id => {
+            const home = parseInt(results[id].homeScore, 10);
+            const away = parseInt(results[id].awayScore, 10);
+            if (home <= SMALL_SCORE && away <= SMALL_SCORE) return ALPHABET[home * (SMALL_SCORE + 1) + away];
+            return ESCAPE + ALPHABET[home] + ALPHABET[away];
+        }).join('');
+        return `${FORMAT_VERSION}.${encodeURIComponent(datasetId)}.${encodeRanges(ids)}.${scores}`;
+    },
+
+    /**
+     * Decodes a payload produced by encode. Version 1 payloads are attributed to the
+     * legacy data set (see ScenarioService.getLegacyDatasetId).
+     * @param {string} payload - text after "#c="
+     * @returns {{ datasetId: string|null, results: Object }} results as { [matchId]: { homeScore, awayScore } }
+     * @throws {Error} when the payload is malformed
+     */
+    decode(payload) {
+        const parts = String(payload).split('.');
+        let datasetId;
+        if (parts[0] === LEGACY_FORMAT_VERSION) {
+            datasetId = ScenarioService.getLegacyDatasetId();
+        } else if (parts[0] === FORMAT_VERSION) {
+            datasetId = decodeURIComponent(parts.splice(1, 1)[0] || '');
+        } else {
+            throw new Error('versão de link desconhecida');
+        }
+        const [, ranges, scores = ''] = parts;
+        const ids = decodeRanges(ranges);
+        const results = {};
+        let pos = 0;
+        ids.forEach(id => {
+            const code = ALPHABET.indexOf(scores[pos++]);
+            if (code < 0) throw new Error('placar inválido');
+            let homeScore;
+            let awayScore;
+            if (scores[pos - 1] === ESCAPE) {
+                homeScore = ALPHABET.indexOf(scores[pos++]);
+                awayScore = ALPHABET.indexOf(scores[pos++]);
+                if (homeScore < 0 || awayScore < 0) throw new Error('placar inválido');
+            } else {
+                homeScore = Math.floor(code / (SMALL_SCORE + 1));
+                awayScore = code % (SMALL_SCORE + 1);
+            }
+            results[id] = { homeScore, awayScore };
+        });
+        if (pos !== scores.length) throw new Error('quantidade de placares não confere');
+        return { datasetId, results };
+    },
+
+    /**
+     * Builds a link to the current page (keeping the seed in the query string) whose
+     * fragment holds every entered score.
+     * @returns {string} absolute URL
+     */
+    buildLink() {
+        const url = new URL(window.location.href);
+        url.hash = HASH_PREFIX + this.encode(ScenarioService.collectResults());
+        return url.toString();
+    },
+
+    /**
+     * Returns the data set of the scenario in the URL fragment, or null when there is
+     * none or it cannot be read.
+     * @returns {string|null}
+     */
+    getSharedDatasetId() {
+        if (!this.hasSharedScenario()) return null;
+        try {
+            return this.decode(window.location.hash.slice(HASH_PREFIX.length + 1)).datasetId;
+        } catch (err) {
+            return null;
+        }
+    },
+
+    /**
+     * Tells whether the current URL carries a shared scenario.
+     * @returns {boolean}
+     */
+    hasSharedScenario() {
+        return (window.location.hash || '').startsWith(`#${HASH_PREFIX}`);
+    },
+
+    /**
+     * Reads the shared scenario from the URL fragment and applies it through
+     * ScenarioService.applyResults, replacing every current result. The whole link is
+     * rejected (nothing is changed) when it is malformed, belongs to another data set
+     * or refers to a match id that does not exist in the loaded fixtures. The fragment is removed afterwards so a
+     * reload keeps later edits.
+     * @returns {{ ok: boolean, applied?: number, error?: string }}
+     */
+    applyFromLocation() {
+        if (!this.hasSharedScenario()) return { ok: false, error: 'nenhum cenário no link' };
+        const payload = window.location.hash.slice(HASH_PREFIX.length + 1);
+        let decoded;
+        try {
+            decoded = this.decode(payload);
+        } catch (err) {
+            return { ok: false, error: `link inválido: ${err.message}` };
+        }
+        if (decoded.datasetId !== state.datasetId) {
+            return { ok: false, error: `o link é de outro campeonato (${decoded.datasetId})` };
+        }
+        const results = decoded.results;
+        const missing = Object.keys(results).filter(id => !MatchManager.findMatch(id)
+            && !(state.playedMatches || []).some(match => String(match.id) === id));
+        if (missing.length > 0) {
+            return { ok: false, error: `o link cita jogo(s) inexistente(s) nesta tabela: ${missing.join(', ')}` };
+        }
+        ScenarioService.clearResults();
+        const report = ScenarioService.applyResults(results);
+        try {
+            const url = new URL(window.location.href);
+            url.hash = '';
+            window.history.replaceState(null, '', url);
+        } catch (err) {
+            console.debug('ShareService: could not clear shared fragment', err);
+        }
+        return { ok: true, applied: report.applied.length };
+    }
+};
@@ -0,0 +1,843 @@
+import { CONFIG } from "./config.js";
+import { MatchService } from "./matchService.js";
+import { Utils } from "./utils.js";
+
+// Headless standings and simulation engine. Everything here works on the data it is
+// given (standings rows, matches, results and a rules object) and never reads the DOM,
+// `state` or the per-data-set values of CONFIG, so it can be imported from Node:
+//   import { SimulationEngine } from "./js/simulationEngine.js";
+// StandingsCalculator and SeasonSimulator adapt it to the application state.
+
+// Rules used when none are given: the competition defaults of config.js, copied at load
+// (before any data set changes CONFIG)
+const DEFAULT_RULES = Utils.deepClone({
+    points: CONFIG.POINTS,
+    tiebreakers: CONFIG.TIEBREAKERS,
+    zones: CONFIG.PROBABILITY_ZONES,
+    seed: "",
+});
+
+// Number of simulated seasons between yields to the event loop
+const CHUNK_SIZE = 100;
+
+// Ranking criteria. `compare` orders two teams (negative when `a` ranks higher);
+// head-to-head needs the whole tied group and is handled by rankGroup.
+const TIEBREAKERS = {
+    points: { label: "Pontos", compare: (a, b) => b.points - a.points },
+    victories: { label: "Vitórias", compare: (a, b) => b.victories - a.victories },
+    balance_goals: { label: "Saldo de gols", compare: (a, b) => b.balance_goals - a.balance_goals },
+    goal_pro: { label: "Gols pró", compare: (a, b) => b.goal_pro - a.goal_pro },
+    goal_against: { label: "Gols sofridos", compare: (a, b) => (a.goal_against || 0) - (b.goal_against || 0) },
+    head_to_head: { label: "Confronto direto" },
+    red_cards: { label: "Cartões vermelhos", compare: (a, b) => (a.red_cards || 0) - (b.red_cards || 0) },
+    yellow_cards: { label: "Cartões amarelos", compare: (a, b) => (a.yellow_cards || 0) - (b.yellow_cards || 0) },
+    draw: { label: "Sorteio", compare: (a, b, context) => drawNumber(a, context.seed) - drawNumber(b, context.seed) },
+};
+
+/**
+ * Deterministic "draw" for a team: a hash of the simulation seed and the team id,
+ * so fully tied teams keep the same order across renders.
+ * @param {Object} team - standings row
+ * @param {string} seed - simulation seed
+ * @returns {number}
+ * @private
+ */
+function drawNumber(team, seed) {
+    return Utils.hashString(`${seed}:sorteio:${team.id}`);
+}
+
+/**
+ * Points each of two teams earned in the matches between them.
+ * @param {Object} a - standings row
+ * @param {Object} b - standings row
+ * @param {Object} context - { results, scoring, headToHead } shared by one sort
+ * @returns {Array<number>} [points of a, points of b]
+ * @private
+ */
+function headToHeadPoints(a, b, context) {
+    if (!context.headToHead) {
+        // index results by unordered pair of team ids, built only when needed
+        context.headToHead = new Map();
+        context.results.forEach((result) => {
+            const key = [result.homeTeamId, result.awayTeamId].sort().join("-");
+            if (!context.headToHead.has(key)) context.headToHead.set(key, []);
+            context.headToHead.get(key).push(result);
+        });
+    }
+    const points = { [a.id]: 0, [b.id]: 0 };
+    (context.headToHead.get([a.id, b.id].sort().join("-")) || []).forEach((result) => {
+        const home = parseInt(result.homeScore) || 0;
+        const away = parseInt(result.awayScore) || 0;
+        const { win, draw, loss = 0 } = context.scoring;
+        if (home === away) {
+            points[result.homeTeamId] += draw;
+            points[result.awayTeamId] += draw;
+        } else {
+            points[result.homeTeamId] += home > away ? win : loss;
+            points[result.awayTeamId] += home > away ? loss : win;
+        }
+    });
+    return [points[a.id], points[b.id]];
+}
+
+/**
+ * Orders a group of teams by the first criterion and ranks each subgroup that is
+ * still tied by the remaining ones. The criterion that separates a team from the
+ * team right above it is stored in `context.deciders` (except for points).
+ * @param {Array<Object>} group - teams to order
+ * @param {Array<string>} criteria - remaining criterion keys
+ * @param {Object} context - { results, scoring, seed, deciders, headToHead } shared by one sort
+ * @returns {Array<Object>} the ordered teams
+ * @private
+ */
+function rankGroup(group, criteria, context) {
+    if (group.length <= 1) return group;
+    if (criteria.length === 0) return group.sort((a, b) => a.id - b.id);
+    const [key, ...rest] = criteria;
+    const record = (team) => { if (key !== "points") context.deciders.set(team.id, key); };
+
+    if (key === "head_to_head") {
+        // CBF: head-to-head only applies to ties between two teams
+        if (group.length !== 2) return rankGroup(group, rest, context);
+        const [a, b] = group;
+        const [pointsA, pointsB] = headToHeadPoints(a, b, context);
+        if (pointsA === pointsB) return rankGroup(group, rest, context);
+        const ordered = pointsA > pointsB ? [a, b] : [b, a];
+        record(ordered[1]);
+        return ordered;
+    }
+
+    const criterion = TIEBREAKERS[key];
+    if (!criterion) return rankGroup(group, rest, context);
+    const compare = (a, b) => criterion.compare(a, b, context);
+    group.sort(compare);
+    const ranked = [];
+    let start = 0;
+    for (let i = 1; i <= group.length; i++) {
+        if (i < group.length && compare(group[start], group[i]) === 0) continue;
+        const subgroup = rankGroup(group.slice(start, i), rest, context);
+        if (start > 0) record(subgroup[0]);
+        ranked.push(...subgroup);
+        start = i;
+    }
+    return ranked;
+}
+
+/**
+ * Turns remaining matches into [homeTeamId, awayTeamId] pairs between teams of the table.
+ * @param {Array<Object>} remaining - matches with homeTeam and awayTeam
+ * @param {Map<number, number>} points - current points per team id
+ * @returns {Array<Array<number>>}
+ * @private
+ */
+function toFixturePairs(remaining, points) {
+    return remaining
+        .map((match) => [match.homeTeam.id, match.awayTeam.id])
+        .filter(([home, away]) => points.has(home) && points.has(away));
+}
+
+/**
+ * Number of seasons to simulate: `iterations` clamped to 1..maxIterations.
+ * @param {number} iterations
+ * @param {number} maxIterations
+ * @returns {number}
+ * @private
+ */
+function clampIterations(iterations, maxIterations) {
+    return Math.max(1, Math.min(parseInt(iterations) || CONFIG.SEASON_SIMULATIONS, maxIterations));
+}
+
+/**
+ * Simulates `total` seasons in chunks, yielding to the event loop between chunks so
+ * a page stays responsive (harmless in Node).
+ * @param {number} total - number of seasons
+ * @param {function(): void} simulateOne - simulates and records one season
+ * @param {function(number):void} [onProgress] - called with 0..1 after each chunk
+ * @returns {Promise<void>}
+ * @private
+ */
+async function runInChunks(total, simulateOne, onProgress) {
+    for (let done = 0; done < total; ) {
+        const chunkEnd = Math.min(total, done + CHUNK_SIZE);
+        for (; done < chunkEnd; done++) simulateOne();
+        if (typeof onProgress === "function") onProgress(done / total);
+        if (done < total) await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+}
+
+/**
+ * Maximum flow from `source` to `sink` (Dinic's algorithm).
+ * @param {number} nodeCount - number of nodes, numbered 0..nodeCount-1
+ * @param {Array<Array<number>>} edges - [from, to, capacity] triples
+ * @param {number} source - source node
+ * @param {number} sink - sink node
+ * @returns {number} the flow value
+ * @private
+ */
+function maxFlow(nodeCount, edges, source, sink) {
+    const graph = Array.from({ length: nodeCount }, () => []);
+    const to = [];
+    const cap = [];
+    edges.forEach(([from, target, capacity]) => {
+        graph[from].push(to.length);
+        to.push(target);
+        cap.push(capacity);
+        graph[target].push(to.length);
+        to.push(from);
+        cap.push(0);
+    });
+    const level = new Array(nodeCount);
+    const next = new Array(nodeCount);
+
+    const buildLevels = () => {
+        level.fill(-1);
+        level[source] = 0;
+        const queue = [source];
+        for (let head = 0; head < queue.length; head++) {
+            const node = queue[head];
+            graph[node].forEach((edge) => {
+                if (cap[edge] > 0 && level[to[edge]] < 0) {
+                    level[to[edge]] = level[node] + 1;
+                    queue.push(to[edge]);
+                }
+            });
+        }
+        return level[sink] >= 0;
+    };
+    const push = (node, limit) => {
+        if (node === sink) return limit;
+        for (; next[node] < graph[node].length; next[node]++) {
+            const edge = graph[node][next[node]];
+            if (cap[edge] <= 0 || level[to[edge]] !== level[node] + 1) continue;
+            const pushed = push(to[edge], Math.min(limit, cap[edge]));
+            if (pushed > 0) {
+                cap[edge] -= pushed;
+                cap[edge ^ 1] += pushed;
+                return pushed;
+            }
+        }
+        return 0;
+    };
+
+    let flow = 0;
+    while (buildLevels()) {
+        next.fill(0);
+        let pushed;
+        while ((pushed = push(source, Infinity)) > 0) flow += pushed;
+    }
+    return flow;
+}
+
+/**
+ * Best final position `teamId` can still reach, counting only teams that must end
+ * with strictly more points (ties are assumed to go its way). The team wins every
+ * remaining match; the other matches are relaxed to hand out the smallest number of
+ * points a real match gives, split freely between the two teams, and a max-flow
+ * tells how many points cannot be absorbed without pushing teams above it. Each
+ * team allowed above raises that flow by at most its spare capacity (min cut), which
+ * bounds how many teams must end above. The bound never misses a reachable position,
+ * but it can be optimistic: with 3/1/0 points a real match gives 2 or 3 points, which
+ * the relaxation cannot tell apart.
+ * @param {number} teamId - team analysed
+ * @param {Map<number, number>} points - current points per team id
+ * @param {Array<Array<number>>} fixtures - remaining [homeTeamId, awayTeamId] pairs
+ * @param {{ win: number, draw: number, loss: number }} scoring - points per result
+ * @returns {number} best position (1-based)
+ * @private
+ */
+function bestFinalPosition(teamId, points, fixtures, scoring) {
+    const { win, draw, loss = 0 } = scoring;
+    const perGame = Math.min(win - loss, 2 * (draw - loss));
+    const final = new Map(points);
+    fixtures.forEach(([home, away]) => {
+        final.set(home, final.get(home) + loss);
+        final.set(away, final.get(away) + loss);
+        if (home === teamId || away === teamId) final.set(teamId, final.get(teamId) + win - loss);
+    });
+    const target = final.get(teamId);
+    const above = new Set([...final.keys()].filter((id) => id !== teamId && final.get(id) > target));
+    const games = fixtures.filter(([home, away]) => ![home, away].some((id) => id === teamId || above.has(id)));
+    const teams = [...final.keys()].filter((id) => id !== teamId && !above.has(id));
+    if (games.length === 0 || perGame <= 0) return above.size + 1;
+
+    // nodes: source, games, teams, sink
+    const teamNode = new Map(teams.map((id, i) => [id, 1 + games.length + i]));
+    const sink = 1 + games.length + teams.length;
+    const edges = [];
+    const gameCount = new Map(teams.map((id) => [id, 0]));
+    games.forEach(([home, away], i) => {
+        edges.push([0, 1 + i, perGame], [1 + i, teamNode.get(home), perGame], [1 + i, teamNode.get(away), perGame]);
+        gameCount.set(home, gameCount.get(home) + 1);
+        gameCount.set(away, gameCount.get(away) + 1);
+    });
+    const spare = (id) => target - final.get(id);
+    teams.forEach((id) => edges.push([teamNode.get(id), sink, spare(id)]));
+    let excess = perGame * games.length - maxFlow(sink + 1, edges, 0, sink);
+
+    const relief = teams.map((id) => Math.max(0, perGame * gameCount.get(id) - spare(id))).sort((a, b) => b - a);
+    let forced = 0;
+    while (excess > 0 && forced < relief.length) excess -= relief[forced++];
+    return above.size + forced + 1;
+}
+
+/**
+ * Worst final position `teamId` can still fall to, counting every team that may end
+ * with at least as many points (ties are assumed to go against it). By default the
+ * team loses every remaining match; with `record` it wins and draws that many of
+ * them and the opponents may take the rest, in whichever matches suit them worst.
+ * The other matches are relaxed to hand out the largest number of points a real
+ * match gives, split freely, and a max-flow bounds how many of the teams below can
+ * reach its total together. The bound never misses a reachable position, but it can
+ * be pessimistic, for the same reason as in bestFinalPosition.
+ * @param {number} teamId - team analysed
+ * @param {Map<number, number>} points - current points per team id
+ * @param {Array<Array<number>>} fixtures - remaining [homeTeamId, awayTeamId] pairs
+ * @param {{ win: number, draw: number, loss: number }} scoring - points per result
+ * @param {{ wins: number, draws: number }} [record] - results of the team in its remaining matches
+ * @returns {number} worst position (1-based)
+ * @private
+ */
+function worstFinalPosition(teamId, points, fixtures, scoring, record = { wins: 0, draws: 0 }) {
+    const { win, draw, loss = 0 } = scoring;
+    const perGame = Math.max(win - loss, 2 * (draw - loss));
+    const final = new Map(points);
+    const ownGames = fixtures.filter(([home, away]) => home === teamId || away === teamId);
+    fixtures.forEach(([home, away]) => {
+        final.set(home, final.get(home) + loss);
+        final.set(away, final.get(away) + loss);
+    });
+    final.set(teamId, final.get(teamId) + record.wins * (win - loss) + record.draws * (draw - loss));
+    // points the opponents take from the team: a win in each match it loses, a draw in each it draws
+    const losses = ownGames.length - record.wins - record.draws;
+    const conceded = losses * (win - loss) + record.draws * (draw - loss);
+    const ownCap = losses > 0 ? win - loss : draw - loss;
+
+    const target = final.get(teamId);
+    const level = new Set([...final.keys()].filter((id) => id !== teamId && final.get(id) >= target));
+    const teams = [...final.keys()].filter((id) => id !== teamId && !level.has(id));
+    // matches between teams already level only matter to nobody
+    const games = fixtures.filter(([home, away]) => !level.has(home) || !level.has(away));
+    if (games.length === 0 || teams.length === 0) return level.size + 1;
+
+    // nodes: source, hub for the team's own matches, games, teams, sink
+    const hub = 1;
+    const teamNode = new Map(teams.map((id, i) => [id, 2 + games.length + i]));
+    const sink = 2 + games.length + teams.length;
+    const edges = [[0, hub, conceded]];
+    const reachable = new Map(teams.map((id) => [id, 0]));
+    games.forEach(([home, away], i) => {
+        const own = home === teamId || away === teamId;
+        const capacity = own ? ownCap : perGame;
+        edges.push(own ? [hub, 2 + i, capacity] : [0, 2 + i, capacity]);
+        [home, away].filter((id) => teamNode.has(id)).forEach((id) => {
+            edges.push([2 + i, teamNode.get(id), capacity]);
+            reachable.set(id, reachable.get(id) + capacity);
+        });
+    });
+    const need = (id) => target - final.get(id);
+    teams.forEach((id) => edges.push([teamNode.get(id), sink, need(id)]));
+    let flow = maxFlow(sink + 1, edges, 0, sink);
+
+    // teams that can catch up all together need, in total, at most the flow
+    const needs = teams.filter((id) => need(id) <= Math.min(reachable.get(id), flow)).map(need).sort((a, b) => a - b);
+    let caught = 0;
+    while (caught < needs.length && needs[caught] <= flow) flow -= needs[caught++];
+    return level.size + caught + 1;
+}
+
+/**
+ * Adds (or, with a multiplier of -1, removes) a single result to a standings row in place.
+ * @param {Object} team - the standings row to mutate
+ * @param {number} goalsFor - goals scored by the team
+ * @param {number} goalsAgainst - goals conceded by the team
+ * @param {number} multiplier - multiplier of the stats changes
+ * @param {{ win: number, draw: number, loss: number }} points - points per result
+ * @private
+ */
+function addResult(team, goalsFor, goalsAgainst, multiplier, points) {
+    team.games += 1 * multiplier;
+    team.goal_pro += goalsFor * multiplier;
+    team.goal_against = (team.goal_against || 0) + goalsAgainst * multiplier;
+    team.balance_goals = team.goal_pro - team.goal_against;
+    let result = "draw";
+    if (goalsFor > goalsAgainst) result = "win";
+    else if (goalsFor < goalsAgainst) result = "loss";
+    SimulationEngine.updateResultStats(team, result, multiplier, points);
+}
+
+// Standings, tie-breakers, simulation and final-position analysis without application state
+export const SimulationEngine = {
+    /**
+     * Builds a complete rules object; missing entries come from the competition
+     * defaults of config.js.
+     * @param {Object} [rules]
+     * @param {{ win: number, draw: number, loss: number }} [rules.points] - points per result
+     * @param {Array<string>} [rules.tiebreakers] - tie-breaker keys applied after points
+     * @param {Array<Object>} [rules.zones] - { key, label, from, to } ranges counted by simulateProbabilities
+     * @param {string} [rules.seed] - seed of the draw tie-breaker
+     * @returns {{ points: Object, tiebreakers: Array<string>, zones: Array<Object>, seed: string }}
+     */
+    createRules(rules = {}) {
+        return {
+            points: { ...DEFAULT_RULES.points, ...(rules.points || {}) },
+            tiebreakers: Array.isArray(rules.tiebreakers) ? rules.tiebreakers.slice() : DEFAULT_RULES.tiebreakers.slice(),
+            zones: Array.isArray(rules.zones) ? rules.zones.map((zone) => ({ ...zone })) : Utils.deepClone(DEFAULT_RULES.zones),
+            seed: rules.seed !== undefined && rules.seed !== null ? String(rules.seed) : DEFAULT_RULES.seed,
+        };
+    },
+
+    /**
+     * Completes a standings row with the counters the engine updates (draws, defeats,
+     * goals against) and recomputes the goal balance.
+     * @param {Object} team - standings row ({ id, points, games, victories, goal_pro, ... })
+     * @returns {Object} a new row
+     */
+    createTeamRow(team) {
+        return {
+            points: 0,
+            games: 0,
+            victories: 0,
+            draws: 0,
+            defeats: 0,
+            goal_pro: 0,
+            goal_against: 0,
+            ...team,
+            balance_goals: (team.goal_pro || 0) - (team.goal_against || 0),
+        };
+    },
+
+    /**
+     * Updates the team's stats according to the result of a single match.
+     * A multiplier of -1 reverses a result applied before.
+     * @param {Object} team - the standings row (not mutated)
+     * @param {number} homeScore - the score of the home team
+     * @param {number} awayScore - the score of the away team
+     * @param {boolean} isHomeTeam - whether the team is the home team
+     * @param {number} [multiplier=1] - multiplier of the stats changes
+     * @param {{ win: number, draw: number, loss: number }} [points] - points per result
+     * @returns {Object} the updated row
+     */
+    updateTeamStats(team, homeScore, awayScore, isHomeTeam, multiplier = 1, points = DEFAULT_RULES.points) {
+        const updatedTeam = Utils.deepClone(team);
+        if (isHomeTeam) addResult(updatedTeam, homeScore, awayScore, multiplier, points);
+        else addResult(updatedTeam, awayScore, homeScore, multiplier, points);
+        return updatedTeam;
+    },
+
+    /**
+     * Adds a win, draw or loss and its points to a standings row, in place.
+     * @param {Object} team - the standings row to mutate
+     * @param {string} result - "win", "loss" or "draw"
+     * @param {number} [multiplier=1] - multiplier of the stats changes
+     * @param {{ win: number, draw: number, loss: number }} [points] - points per result
+     */
+    updateResultStats(team, result, multiplier = 1, points = DEFAULT_RULES.points) {
+        switch (result) {
+            case "win":
+                team.victories += 1 * multiplier;
+                team.points += points.win * multiplier;
+                break;
+            case "loss":
+                team.defeats = (team.defeats || 0) + 1 * multiplier;
+                team.points += (points.loss || 0) * multiplier;
+                break;
+            case "draw":
+                team.draws = (team.draws || 0) + 1 * multiplier;
+                team.points += points.draw * multiplier;
+                break;
+        }
+    },
+
+    /**
+     * Updates the stats of the two teams of a match result without sorting.
+     * @param {Array<Object>} standings - standings rows (not mutated)
+     * @param {{ homeTeamId: number, awayTeamId: number, homeScore: number, awayScore: number }} result
+     * @param {Object} [rules] - see createRules
+     * @param {boolean} [isReversing=false] - whether the result is being undone
+     * @returns {Array<Object>} a new, unsorted standings array
+     */
+    applyResult(standings, result, rules = DEFAULT_RULES, isReversing = false) {
+        const { homeTeamId, awayTeamId, homeScore, awayScore } = result;
+        const multiplier = isReversing ? -1 : 1;
+        return standings.map((team) => {
+            if (team.id === homeTeamId) return this.updateTeamStats(team, homeScore, awayScore, true, multiplier, rules.points);
+            if (team.id === awayTeamId) return this.updateTeamStats(team, homeScore, awayScore, false, multiplier, rules.points);
+            return team;
+        });
+    },
+
+    /**
+     * Applies (or reverses) several match results without sorting.
+     * @param {Array<Object>} standings - standings rows (not mutated)
+     * @param {Array<Object>} results - match results (see applyResult)
+     * @param {Object} [rules] - see createRules
+     * @param {boolean} [isReversing=false] - whether the results are being undone
+     * @returns {Array<Object>} a new, unsorted standings array
+     */
+    applyResults(standings, results, rules = DEFAULT_RULES, isReversing = false) {
+        return results.reduce((acc, result) => this.applyResult(acc, result, rules, isReversing), standings);
+    },
+
+    /**
+     * Sorts standings by points and then by `rules.tiebreakers` (CBF order by default:
+     * victories, goal balance, goals for, head-to-head between exactly two tied teams,
+     * fewer red cards, fewer yellow cards and a draw seeded by `rules.seed`).
+     * Head-to-head only sees the given results.
+     * Returns new rows with `position` set and `tiebreaker` naming the criterion that
+     * placed the team below the one above on equal points (null otherwise).
+     * @param {Array<Object>} standings - standings rows (not mutated)
+     * @param {Array<Object>} [results=[]] - applied match results, for head-to-head
+     * @param {Object} [rules] - see createRules
+     * @returns {Array<Object>} the sorted rows
+     */
+    sortStandings(standings, results = [], rules = DEFAULT_RULES) {
+        const deciders = new Map();
+        const context = { results, scoring: rules.points, seed: rules.seed, deciders, headToHead: null };
+        return rankGroup([...standings], ["points", ...rules.tiebreakers], context)
+            .map((team, index) => ({ ...team, position: index + 1, tiebreaker: deciders.get(team.id) || null }));
+    },
+
+    /**
+     * Returns the label of a tie-breaker criterion, e.g. "Confronto direto".
+     * @param {string} key - criterion key
+     * @returns {string}
+     */
+    getTiebreakerLabel(key) {
+        return (TIEBREAKERS[key] && TIEBREAKERS[key].label) || key;
+    },
+
+    /**
+     * Builds the standings after every round: the results of each round are applied
+     * in order and the table is sorted with every result so far.
+     * @param {Array<Object>} baseStandings - standings before the first round (not mutated)
+     * @param {Array<{ round: number, results: Array<Object> }>} rounds - results per round, in order
+     * @param {Array<Object>} [knownResults=[]] - results already in baseStandings (for head-to-head)
+     * @param {Object} [rules] - see createRules
+     * @returns {Array<{ round: number, standings: Array<Object> }>} sorted standings per round
+     */
+    buildRoundSnapshots(baseStandings, rounds, knownResults = [], rules = DEFAULT_RULES) {
+        const snapshots = [];
+        const resultsSoFar = knownResults.slice();
+        let standings = baseStandings;
+        rounds.forEach(({ round, results }) => {
+            standings = this.applyResults(standings, results, rules);
+            resultsSoFar.push(...results);
+            standings = this.sortStandings(standings, resultsSoFar.slice(), rules);
+            snapshots.push({ round, standings });
+        });
+        return snapshots;
+    },
+
+    /**
+     * Compares two sorted tables. Each team present in both gets
+     * { direction: "up"|"down"|"none", positionsChanged, simulated }, where `simulated`
+     * tells whether the team is in `affectedTeamIds` (e.g. played a simulated match).
+     * @param {Array<Object>} newStandings - the new sorted standings
+     * @param {Array<Object>} oldStandings - the old sorted standings
+     * @param {Set<number>|Array<number>} [affectedTeamIds] - teams flagged as `simulated`
+     * @returns {Object} { [teamId]: change }
+     */
+    getPositionChanges(newStandings, oldStandings, affectedTeamIds = []) {
+        const affected = new Set([...affectedTeamIds].map(String));
+        const oldPositions = new Map(oldStandings.map((team) => [team.id, team.position]));
+        const changes = {};
+        newStandings.forEach((team) => {
+            const oldPosition = oldPositions.get(team.id);
+            if (oldPosition === undefined) return;
+            changes[team.id] = {
+                direction: team.position === oldPosition ? "none" : team.position < oldPosition ? "up" : "down",
+                positionsChanged: Math.abs(team.position - oldPosition),
+                simulated: affected.has(String(team.id)),
+            };
+        });
+        return changes;
+    },
+
+    /**
+     * Computes the best and worst final position every team can still reach, taking
+     * into account that teams play each other in the remaining fixtures (see
+     * bestFinalPosition / worstFinalPosition). Tie-breakers are not predicted: the
+     * best position assumes every points tie is won and the worst that every one is
+     * lost. Both are conservative bounds: every position a team can still reach is
+     * inside the range, so anything the range rules out is certain, but with 3/1/0
+     * points the range can be wider than the true one (draws and wins are relaxed to
+     * a share of points), so an outcome already decided may not show yet.
+     * @param {Array<Object>} standings - current standings (every applied result)
+     * @param {Array<Object>} remaining - matches still to be played
+     * @param {Object} [rules] - see createRules
+     * @returns {Object} { [teamId]: { best: number, worst: number } }
+     */
+    analyzeFinalPositions(standings, remaining, rules = DEFAULT_RULES) {
+        const points = new Map(standings.map((team) => [team.id, team.points || 0]));
+        const fixtures = toFixturePairs(remaining, points);
+        const analysis = {};
+        standings.forEach((team) => {
+            analysis[team.id] = {
+                best: bestFinalPosition(team.id, points, fixtures, rules.points),
+                worst: worstFinalPosition(team.id, points, fixtures, rules.points),
+            };
+        });
+        return analysis;
+    },
+
+    /**
+     * Computes how many points a team needs from its remaining matches to finish at
+     * `position` or better whatever the other results are (see worstFinalPosition;
+     * points ties count against the team). Every way of making a points total
+     * (wins and draws) must be safe, and so must every larger total.
+     * @param {number} teamId - team analysed
+     * @param {number} position - lowest final position that meets the goal
+     * @param {Array<Object>} standings - current standings
+     * @param {Array<Object>} remaining - matches still to be played
+     * @param {Object} [rules] - see createRules
+     * @returns {{ current: number, games: number, reachable: boolean, needed: number|null,
+     *   record: { wins: number, draws: number }|null }} `reachable` is false when the goal
+     *   is out of reach even winning every match; `needed` is null when winning every
+     *   match still depends on other results; `record` is the cheapest safe record,
+     *   with as few matches won or drawn as possible
+     */
+    analyzeTarget(teamId, position, standings, remaining, rules = DEFAULT_RULES) {
+        const { win, draw } = rules.points;
+        const points = new Map(standings.map((team) => [team.id, team.points || 0]));
+        const fixtures = toFixturePairs(remaining, points);
+        const games = fixtures.filter(([home, away]) => home === teamId || away === teamId).length;
+        const current = points.get(teamId) || 0;
+        const outcome = { current, games, reachable: true, needed: null, record: null };
+        if (bestFinalPosition(teamId, points, fixtures, rules.points) > position) return { ...outcome, reachable: false };
+
+        // every record the team can still make, grouped by points total
+        const totals = new Map();
+        for (let wins = 0; wins <= games; wins++) {
+            for (let draws = 0; wins + draws <= games; draws++) {
+                const total = wins * win + draws * draw;
+                if (!totals.has(total)) totals.set(total, []);
+                totals.get(total).push({ wins, draws });
+            }
+        }
+        // walk down from the maximum while every record stays safe
+        const ordered = [...totals.keys()].sort((a, b) => b - a);
+        for (const total of ordered) {
+            const records = totals.get(total);
+            if (!records.every((record) => worstFinalPosition(teamId, points, fixtures, rules.points, record) <= position)) break;
+            outcome.needed = total;
+            outcome.record = records.reduce((cheapest, record) => (record.wins + record.draws < cheapest.wins + cheapest.draws ? record : cheapest));
+        }
+        return outcome;
+    },
+
+    /**
+     * Simulates every given match once on a private copy of the standings and returns
+     * the sorted final table. The table is only sorted once, at the end.
+     * @param {Array<Object>} baseStandings - standings to start from (not mutated)
+     * @param {Array<Object>} matches - matches to simulate
+     * @param {Object} context - simulation context (see MatchService.simulateMatch)
+     * @param {Array<Object>} [knownResults=[]] - results already in baseStandings (for head-to-head)
+     * @param {Object} [rules] - see createRules
+     * @returns {Array<Object>} sorted standings with positions
+     */
+    simulateSeason(baseStandings, matches, context, knownResults = [], rules = DEFAULT_RULES) {
+        const table = baseStandings.map((team) => ({ ...team }));
+        const byId = new Map(table.map((team) => [team.id, team]));
+        const results = knownResults.slice();
+        matches.forEach((match) => {
+            const { homeScore, awayScore } = MatchService.simulateMatch(match, context);
+            results.push({ homeTeamId: match.homeTeam.id, awayTeamId: match.awayTeam.id, homeScore, awayScore });
+            const home = byId.get(match.homeTeam.id);
+            const away = byId.get(match.awayTeam.id);
+            if (home) addResult(home, homeScore, awayScore, 1, rules.points);
+            if (away) addResult(away, awayScore, homeScore, 1, rules.points);
+        });
+        return this.sortStandings(table, results, rules);
+    },
+
+    /**
+     * Runs `iterations` simulations of the remaining matches from the given standings
+     * and counts how often each team finishes inside each of `rules.zones`. One seeded
+     * stream (`${context.seed}:temporadas`) drives the whole run, so a seed always
+     * gives the same probabilities.
+     * @async
+     * @param {Object} options
+     * @param {Array<Object>} options.standings - current standings (every applied result)
+     * @param {Array<Object>} options.remaining - matches still to be played
+     * @param {Array<Object>} [options.knownResults=[]] - results already in the standings (for head-to-head)
+     * @param {Object} [options.context={}] - { model, standings, seed } (see MatchService.createSimulationContext)
+     * @param {Object} [options.rules] - see createRules
+     * @param {number} [options.iterations=CONFIG.SEASON_SIMULATIONS] - number of seasons
+     * @param {function(number):void} [options.onProgress] - progress callback (0..1)
+     * @returns {Promise<Object>} { iterations, teams: { [teamId]: { [zoneKey]: probability } } }
+     */
+    async simulateProbabilities({ standings, remaining, knownResults = [], context = {}, rules = DEFAULT_RULES,
+        iterations = CONFIG.SEASON_SIMULATIONS, onProgress } = {}) {
+        const total = clampIterations(iterations, CONFIG.SEASON_SIMULATIONS_MAX);
+        const runContext = { ...context, random: Utils.createRandom(`${context.seed || ""}:temporadas`) };
+        const counts = {};
+        standings.forEach((team) => {
+            counts[team.id] = {};
+            rules.zones.forEach((zone) => { counts[team.id][zone.key] = 0; });
+        });
+
+        await runInChunks(total, () => {
+            this.simulateSeason(standings, remaining, runContext, knownResults, rules).forEach((team) => {
+                rules.zones.forEach((zone) => {
+                    if (team.position >= zone.from && team.position <= zone.to) counts[team.id][zone.key] += 1;
+                });
+            });
+        }, onProgress);
+
+        const teams = {};
+        Object.keys(counts).forEach((id) => {
+            teams[id] = {};
+            rules.zones.forEach((zone) => { teams[id][zone.key] = counts[id][zone.key] / total; });
+        });
+        return { iterations: total, teams };
+    },
+
+    /**
+     * Estimates how many points were enough to finish at each of the given positions
+     * or better: in every simulated season that is one point more than the team right
+     * below the position. Reports the totals that were enough in half and in 90% of
+     * the seasons (seeded stream `${context.seed}:metas`).
+     * @async
+     * @param {Object} options - as simulateProbabilities, plus:
+     * @param {Array<number>} options.positions - positions to report (below the last one)
+     * @returns {Promise<Object>} { iterations, cutoffs: { [position]: { median, p90 } } }
+     */
+    async estimateCutoffs({ standings, remaining, positions, knownResults = [], context = {}, rules = DEFAULT_RULES,
+        iterations = CONFIG.SEASON_SIMULATIONS, onProgress } = {}) {
+        const total = clampIterations(iterations, CONFIG.SEASON_SIMULATIONS_MAX);
+        const wanted = positions.filter((position) => position >= 1 && position < standings.length);
+        const runContext = { ...context, random: Utils.createRandom(`${context.seed || ""}:metas`) };
+        const samples = {};
+        wanted.forEach((position) => { samples[position] = []; });
+
+        await runInChunks(total, () => {
+            const finalTable = this.simulateSeason(standings, remaining, runContext, knownResults, rules);
+            wanted.forEach((position) => samples[position].push(finalTable[position].points + 1));
+        }, onProgress);
+
+        const quantile = (sorted, q) => sorted[Math.min(sorted.length - 1, Math.ceil(q * sorted.length) - 1)];
+        const cutoffs = {};
+        wanted.forEach((position) => {
+            const sorted = samples[position].sort((a, b) => a - b);
+            cutoffs[position] = { median: quantile(sorted, 0.5), p90: quantile(sorted, 0.9) };
+        });
+        return { iterations: total, cutoffs };
+    },
+
+    /**
+     * Creates an engine bound to one championship, for scripts and tests:
+     *   const engine = SimulationEngine.create({ teams, roundFixtures, standings, results });
+     *   engine.applyResults([{ matchId: 1, homeScore: 2, awayScore: 0 }]);
+     *   engine.getStandings(); await engine.simulateProbabilities({ iterations: 500 });
+     * Results are keyed by match id; entering a result for a match that already has one
+     * replaces it. Every returned table is sorted.
+     * @param {Object} data
+     * @param {Array<Object>} [data.teams=[]] - teams.json entries; teams without a standings row start at zero
+     * @param {Object} [data.roundFixtures={}] - round_fixtures.json content ({ [round]: { matches } })
+     * @param {Array<Object>} [data.pendingMatches=[]] - postponed matches ({ id, homeTeam, awayTeam })
+     * @param {Array<Object>} [data.standings=[]] - base standings (initial_standings.json)
+     * @param {Array<Object>} [data.results=[]] - results to apply at once ({ matchId, homeScore, awayScore })
+     * @param {Object} [data.rules] - see createRules
+     * @param {string} [data.model] - match model key (see MatchModels)
+     * @returns {Object} the engine
+     */
+    create({ teams = [], roundFixtures = {}, pendingMatches = [], standings = [], results = [], rules, model } = {}) {
+        const engine = this;
+        const fullRules = this.createRules(rules);
+        const baseRows = standings.map((team) => this.createTeamRow(team));
+        teams.filter((team) => !baseRows.some((row) => row.id === team.id))
+            .forEach((team) => baseRows.push(this.createTeamRow({ id: team.id })));
+        const matches = Object.keys(roundFixtures)
+            .sort((a, b) => Number(a) - Number(b))
+            .flatMap((round) => ((roundFixtures[round] && roundFixtures[round].matches) || []).map((match) => ({ ...match, round: Number(round) })))
+            .concat(pendingMatches.map((match) => ({ ...match, pending: true })));
+        const byId = new Map(matches.map((match) => [match.id, match]));
+        // applied results by match id, in the order they were entered
+        const applied = new Map();
+        let table = this.sortStandings(baseRows, [], fullRules);
+
+        const toResult = ({ matchId, homeScore, awayScore }) => {
+            const match = byId.get(matchId);
+            if (!match) throw new Error(`Jogo ${matchId} não existe na tabela`);
+            const home = parseInt(homeScore);
+            const away = parseInt(awayScore);
+            if (isNaN(home) || isNaN(away) || home < 0 || away < 0) throw new Error(`Placar inválido no jogo ${matchId}`);
+            return { matchId, homeTeamId: match.homeTeam.id, awayTeamId: match.awayTeam.id, homeScore: home, awayScore: away };
+        };
+
+        const instance = {
+            rules: fullRules,
+            model,
+            /** @returns {Array<Object>} every match, in round order, then the pending ones */
+            getMatches: () => matches.slice(),
+            /** @returns {Array<Object>} applied match results */
+            getResults: () => [...applied.values()],
+            /** @returns {Array<Object>} matches without an applied result */
+            getRemainingMatches: () => matches.filter((match) => !applied.has(match.id)),
+            /** @returns {Array<Object>} the sorted standings with every applied result */
+            getStandings: () => table,
+            /**
+             * Applies results (replacing earlier ones of the same matches) and sorts once.
+             * @param {Array<{ matchId: number, homeScore: number, awayScore: number }>} list
+             * @returns {Array<Object>} the sorted standings
+             */
+            applyResults(list) {
+                let rows = table;
+                list.map(toResult).forEach((result) => {
+                    if (applied.has(result.matchId)) rows = engine.applyResult(rows, applied.get(result.matchId), fullRules, true);
+                    applied.delete(result.matchId);
+                    applied.set(result.matchId, result);
+                    rows = engine.applyResult(rows, result, fullRules);
+                });
+                table = engine.sortStandings(rows, instance.getResults(), fullRules);
+                return table;
+            },
+            /**
+             * Removes the results of the given matches.
+             * @param {Array<number>} matchIds
+             * @returns {Array<Object>} the sorted standings
+             */
+            clearResults(matchIds) {
+                let rows = table;
+                matchIds.filter((id) => applied.has(id)).forEach((id) => {
+                    rows = engine.applyResult(rows, applied.get(id), fullRules, true);
+                    applied.delete(id);
+                });
+                table = engine.sortStandings(rows, instance.getResults(), fullRules);
+                return table;
+            },
+            /**
+             * Simulates the remaining matches once (match ids seed the scores) and
+             * applies the results.
+             * @param {string} [seed=fullRules.seed]
+             * @returns {Array<Object>} the sorted standings
+             */
+            simulateRemaining(seed = fullRules.seed) {
+                const context = { model, standings: baseRows, seed };
+                return instance.applyResults(instance.getRemainingMatches()
+                    .map((match) => ({ matchId: match.id, ...MatchService.simulateMatch(match, context) })));
+            },
+            /**
+             * Zone probabilities over simulated seasons (see SimulationEngine.simulateProbabilities).
+             * @param {Object} [options] - { iterations, seed, onProgress }
+             * @returns {Promise<Object>}
+             */
+            simulateProbabilities({ iterations, seed = fullRules.seed, onProgress } = {}) {
+                return engine.simulateProbabilities({
+                    standings: table, remaining: instance.getRemainingMatches(), knownResults: instance.getResults(),
+                    context: { model, standings: baseRows, seed }, rules: fullRules, iterations, onProgress,
+                });
+            },
+            /** @returns {Object} best and worst reachable position per team (see analyzeFinalPositions) */
+            analyzeFinalPositions: () => engine.analyzeFinalPositions(table, instance.getRemainingMatches(), fullRules),
+            /**
+             * Position changes from an earlier table to the current one.
+             * @param {Array<Object>} previous - a table returned earlier
+             * @returns {Object} see SimulationEngine.getPositionChanges
+             */
+            getPositionChanges: (previous) => engine.getPositionChanges(table, previous),
+        };
+        if (results.length) instance.applyResults(results);
+        return instance;
+    },
+};
@@ -1,9 +1,25 @@
-import { Utils } from "./utils.js";
-import { TeamService } from './teamService.js';
+import { CONFIG } from "./config.js";
+import { MatchService } from "./matchService.js";
+import { SimulationEngine } from "./simulationEngine.js";
 import { state } from './dataManager.js';
 
-// Standings calculation and sorting
+// Standings calculation and sorting for the application: adapts SimulationEngine to
+// `state` (applied results, remaining matches, seed) and the loaded competition rules
 export const StandingsCalculator = {
+    /**
+     * Rules of the loaded competition for SimulationEngine: points, tie-breakers and
+     * probability zones from CONFIG, and the simulation seed of the draw tie-breaker.
+     * @returns {Object} see SimulationEngine.createRules
+     */
+    getRules() {
+        return SimulationEngine.createRules({
+            points: CONFIG.POINTS,
+            tiebreakers: CONFIG.TIEBREAKERS,
+            zones: CONFIG.PROBABILITY_ZONES,
+            seed: state ? state.seed : "",
+        });
+    },
+
     /**
      * Updates the team's stats according to the result of a single match, using the given scores and whether the team is home or away.
      * If the match is a simulated match, the multiplier parameter can be used to multiply the effects of the match on the team's stats.
@@ -15,87 +31,64 @@ export const StandingsCalculator = {
      * @returns {Object} The updated team object.
      */
     updateTeamStats(team, homeScore, awayScore, isHomeTeam, multiplier = 1) {
-        const updatedTeam = Utils.deepClone(team);
-        const goalsFor = isHomeTeam ? homeScore : awayScore;
-        const goalsAgainst = isHomeTeam ? awayScore : homeScore;
-        updatedTeam.games += 1 * multiplier;
-        updatedTeam.goal_pro += goalsFor * multiplier;
-        updatedTeam.goal_against =
-            (updatedTeam.goal_against || 0) + goalsAgainst * multiplier;
-        updatedTeam.balance_goals = updatedTeam.goal_pro - updatedTeam.goal_against;
-        let result;
-        if (homeScore > awayScore) {
-            result = isHomeTeam ? "win" : "loss";
-        } else if (awayScore > homeScore) {
-            result = isHomeTeam ? "loss" : "win";
-        } else {
-            result = "draw";
-        }
-        this.updateResultStats(updatedTeam, result, multiplier);
-        return updatedTeam;
+        return SimulationEngine.updateTeamStats(team, homeScore, awayScore, isHomeTeam, multiplier, CONFIG.POINTS);
     },
 
     /**
-     * Updates the team's stats according to the result of a single match.
+     * Updates the team's stats according to the result of a single match, awarding
+     * the points in CONFIG.POINTS.
      * @param {Object} team - The team object to update.
      * @param {String} result - The result of the match, one of "win", "loss" or "draw".
      * @param {Number} [multiplier=1] - The multiplier to apply to the stats changes (default is 1).
      */
     updateResultStats(team, result, multiplier) {
-        switch (result) {
-            case "win":
-                team.victories += 1 * multiplier;
-                team.points += 3 * multiplier;
-                break;
-            case "loss":
-                team.defeats = (team.defeats || 0) + 1 * multiplier;
-                break;
-            case "draw":
-                team.draws = (team.draws || 0) + 1 * multiplier;
-                team.points += 1 * multiplier;
-                break;
-        }
+        SimulationEngine.updateResultStats(team, result, multiplier, CONFIG.POINTS);
     },
 
 
     /**
-     * Sorts the given array of team standings objects in descending order, according to
-     * the following rules, in order of priority:
-     * 1. Points
-     * 2. Victories
-     * 3. Goal Balance
-     * 4. Goals For
-     * 5. Goals Against
-     * 6. Team Name
-     * Returns a new array with the sorted teams, with each team having a new 'position' property
-     * set according to its position in the sorted array.
+     * Sorts the given array of team standings objects by points and then by the
+     * tie-breakers listed in CONFIG.TIEBREAKERS (CBF order by default):
+     * 1. Victories
+     * 2. Goal Balance
+     * 3. Goals For
+     * 4. Head-to-head points (only when exactly two teams are tied)
+     * 5. Fewer red cards (optional `red_cards` field)
+     * 6. Fewer yellow cards (optional `yellow_cards` field)
+     * 7. Draw (deterministic for the current seed)
+     * Head-to-head only sees the given match results, i.e. games of the loaded
+     * fixtures; results played before them are not known.
+     * Returns a new array with the sorted teams, with each team having a new 'position'
+     * property set according to its position in the sorted array, and a 'tiebreaker'
+     * property naming the criterion that placed it below the team above when both
+     * have the same points (null otherwise).
      * @param {Array<Object>} standings - the array of team standings objects to sort
+     * @param {Array<Object>} [results] - applied match results ({ homeTeamId, awayTeamId,
+     *   homeScore, awayScore }); defaults to the ones in state.simulatedMatches
      * @returns {Array<Object>} - the sorted team standings array
      */
-    sortStandings(standings) {
-        return [...standings]
-            .sort((a, b) => {
-                if (b.points !== a.points) return b.points - a.points;
-                if (b.victories !== a.victories) return b.victories - a.victories;
-                if (b.balance_goals !== a.balance_goals)
-                    return b.balance_goals - a.balance_goals;
-                if (b.goal_pro !== a.goal_pro) return b.goal_pro - a.goal_pro;
-                const aGoalsAgainst = a.goal_against || 0;
-                const bGoalsAgainst = b.goal_against || 0;
-                if (aGoalsAgainst !== bGoalsAgainst)
-                    return aGoalsAgainst - bGoalsAgainst;
-                // Tie-breaker by canonical team name
-                try {
-                    const aMeta = TeamService.getTeamById(a.id, state) || a;
-                    const bMeta = TeamService.getTeamById(b.id, state) || b;
-                    const aName = (aMeta && aMeta.name) ? aMeta.name : (a.name || '');
-                    const bName = (bMeta && bMeta.name) ? bMeta.name : (b.name || '');
-                    return aName.localeCompare(bName);
-                } catch (err) {
-                    return (a.name || '').localeCompare(b.name || '');
-                }
-            })
-            .map((team, index) => ({ ...team, position: index + 1 }));
+    sortStandings(standings, results = this.getAppliedResults()) {
+        return SimulationEngine.sortStandings(standings, results, this.getRules());
+    },
+
+    /**
+     * Returns the label of a tie-breaker criterion, e.g. "Confronto direto".
+     * @param {string} key - criterion key (see CONFIG.TIEBREAKERS)
+     * @returns {string}
+     */
+    getTiebreakerLabel(key) {
+        return SimulationEngine.getTiebreakerLabel(key);
+    },
+
+    /**
+     * Lists the match results currently applied to state.standings, including the
+     * official results already added to the initial standings (state.playedMatches).
+     * @returns {Array<Object>} match results with homeTeamId, awayTeamId and scores
+     */
+    getAppliedResults() {
+        if (!state || !state.simulatedMatches) return [];
+        const played = (state.playedMatches || []).map((match) => MatchService.createMatchResult(match));
+        return played.concat([...state.simulatedMatches.values()].filter((result) => result.homeTeamId !== undefined));
     },
 
     /**
@@ -113,95 +106,107 @@ export const StandingsCalculator = {
      * @returns {Array<Object>} the updated standings array
      */
     processMatchResult(standings, matchResult, isReversing = false) {
-        const { homeTeamId, awayTeamId, homeScore, awayScore } = matchResult;
-        const multiplier = isReversing ? -1 : 1;
-        const newStandings = standings.map((team) => {
-            if (team.id === homeTeamId) {
-                return this.updateTeamStats(
-                    team,
-                    homeScore,
-                    awayScore,
-                    true,
-                    multiplier
-                );
-            }
-            if (team.id === awayTeamId) {
-                return this.updateTeamStats(
-                    team,
-                    homeScore,
-                    awayScore,
-                    false,
-                    multiplier
-                );
-            }
-            return team;
-        });
-        return this.sortStandings(newStandings);
+        return this.sortStandings(this.applyMatchResult(standings, matchResult, isReversing));
     },
 
     /**
-     * Computes the position changes for each team between the old and new standings arrays.
-     * Returns an object where the keys are the team ids and the values are objects with two properties:
-     * - direction: one of "up", "down" or "none", indicating whether the team went up or down in the standings or not.
-     * - positionsChanged: the number of positions the team changed in the standings.
+     * Updates the stats of the two teams involved in a match result without sorting.
+     * @param {Array<Object>} standings - the array of team standings objects
+     * @param {Object} matchResult - match result (see processMatchResult)
+     * @param {boolean} [isReversing=false] - whether the result is being undone
+     * @returns {Array<Object>} a new, unsorted standings array
+     */
+    applyMatchResult(standings, matchResult, isReversing = false) {
+        return SimulationEngine.applyResult(standings, matchResult, this.getRules(), isReversing);
+    },
+
+    /**
+     * Builds the standings after every round: starting from `baseStandings`, the
+     * results of each round are applied in order and the table is sorted with every
+     * result so far (so head-to-head sees them).
+     * @param {Array<Object>} baseStandings - standings before the first round (not mutated)
+     * @param {Array<{ round: number, results: Array<Object> }>} rounds - results per round,
+     *   in round order (see processMatchResult for the result shape)
+     * @param {Array<Object>} [knownResults=[]] - results already in baseStandings (for head-to-head)
+     * @returns {Array<{ round: number, standings: Array<Object> }>} sorted standings per round
+     */
+    buildRoundSnapshots(baseStandings, rounds, knownResults = []) {
+        return SimulationEngine.buildRoundSnapshots(baseStandings, rounds, knownResults, this.getRules());
+    },
+
+    /**
+     * Lists the matches without a full score in state.allMatches and the pending
+     * matches, i.e. the fixtures still to be played in the current scenario.
+     * @returns {Array<Object>} match objects
+     */
+    getRemainingFixtures() {
+        const rounds = Object.values(state.allMatches || {}).flat();
+        return rounds.concat(state.pendingMatches || []).filter((match) => !MatchService.isMatchComplete(match));
+    },
+
+    /**
+     * Computes the best and worst final position every team can still reach, taking
+     * into account that teams play each other in the remaining fixtures (see
+     * bestFinalPosition / worstFinalPosition). Tie-breakers are not predicted: the
+     * best position assumes every points tie is won and the worst that every one is
+     * lost. The range is a conservative bound: what it rules out is certain, but it
+     * can be wider than the true one, so a decided outcome may not be flagged yet.
+     * @param {Array<Object>} [standings=state.standings] - current standings (every applied result)
+     * @param {Array<Object>} [remaining=this.getRemainingFixtures()] - matches still to be played
+     * @returns {Object} { [teamId]: { best: number, worst: number } }
+     */
+    analyzeFinalPositions(standings = state.standings, remaining = this.getRemainingFixtures()) {
+        return SimulationEngine.analyzeFinalPositions(standings, remaining, this.getRules());
+    },
+
+    /**
+     * Lists the goals offered by the target calculator: every target of the
+     * competition that starts at the top (title, G4, G6...) and escaping the target
+     * that ends at the bottom (e.g. the Z4).
+     * @returns {Array<{ key: string, label: string, position: number }>} goals, where
+     *   `position` is the lowest final position that meets the goal
+     */
+    getTargetGoals() {
+        const goals = CONFIG.PROBABILITY_ZONES
+            .filter((zone) => zone.from === 1)
+            .map((zone) => ({ key: zone.key, label: zone.to === 1 ? "Título" : zone.label, position: zone.to }));
+        const bottom = CONFIG.PROBABILITY_ZONES.find((zone) => zone.to >= CONFIG.TEAM_COUNT && zone.from > 1);
+        if (bottom) goals.push({ key: `escape-${bottom.key}`, label: `Escapar do ${bottom.label}`, position: bottom.from - 1 });
+        return goals;
+    },
+
+    /**
+     * Computes how many points a team needs from its remaining matches to finish at
+     * `position` or better whatever the other results are (see worstFinalPosition;
+     * points ties count against the team). Every way of making a points total
+     * (wins and draws) must be safe, and so must every larger total.
+     * @param {number} teamId - team analysed
+     * @param {number} position - lowest final position that meets the goal
+     * @param {Array<Object>} [standings=state.standings] - current standings
+     * @param {Array<Object>} [remaining=this.getRemainingFixtures()] - matches still to be played
+     * @returns {{ current: number, games: number, reachable: boolean, needed: number|null,
+     *   record: { wins: number, draws: number }|null }} `reachable` is false when the goal
+     *   is out of reach even winning every match; `needed` is null when winning every
+     *   match still depends on other results; `record` is the cheapest safe record,
+     *   with as few matches won or drawn as possible
+     */
+    analyzeTarget(teamId, position, standings = state.standings, remaining = this.getRemainingFixtures()) {
+        return SimulationEngine.analyzeTarget(teamId, position, standings, remaining, this.getRules());
+    },
+
+    /**
+     * Computes the position changes for each team between the old and new standings
+     * (see SimulationEngine.getPositionChanges). Teams of the current round's matches
+     * with a result in state.simulatedMatches are flagged as `simulated`.
      * @param {Array<Object>} newStandings - the new standings array
      * @param {Array<Object>} oldStandings - the old standings array
      * @returns {Object} - an object with the position changes for each team
      */
     getPositionChanges(newStandings, oldStandings) {
-        const changes = {};
-        const oldPositions = {};
-        oldStandings.forEach((team) => {
-            oldPositions[team.id] = team.position;
-        });
-
-        // Prepare a set of simulated match ids for quick lookup
-        const simulatedMatchIds = new Set();
-        try {
-            if (state && state.simulatedMatches && typeof state.simulatedMatches.forEach === 'function') {
-                state.simulatedMatches.forEach((v, k) => simulatedMatchIds.add(String(k)));
-            }
-        } catch (err) {
-            // ignore
-        }
-        newStandings.forEach((team) => {
-            const oldPosition = oldPositions[team.id];
-            if (oldPosition !== undefined) {
-                // determine if this team was involved in any simulated match
-                let simulatedAffected = false;
-                try {
-                    if (simulatedMatchIds.size > 0 && state && Array.isArray(state.matches)) {
-                        for (const mid of simulatedMatchIds) {
-                            const m = state.matches.find(x => String(x.id) === String(mid));
-                            if (m) {
-                                const hid = m.homeTeam && m.homeTeam.id;
-                                const aid = m.awayTeam && m.awayTeam.id;
-                                if (String(hid) === String(team.id) || String(aid) === String(team.id)) {
-                                    simulatedAffected = true;
-                                    break;
-                                }
-                            }
-                        }
-                    }
-                } catch (err) {
-                    simulatedAffected = false;
-                }
-
-                if (team.position !== oldPosition) {
-                    changes[team.id] = {
-                        direction: team.position < oldPosition ? "up" : "down",
-                        positionsChanged: Math.abs(team.position - oldPosition),
-                        simulated: simulatedAffected,
-                    };
-                } else {
-                    changes[team.id] = {
-                        direction: "none",
-                        positionsChanged: 0,
-                        simulated: simulatedAffected,
-                    };
-                }
-            }
-        });
-        return changes;
+        const applied = new Set(state && state.simulatedMatches ? [...state.simulatedMatches.keys()].map(String) : []);
+        const affected = ((state && state.matches) || [])
+            .filter((match) => applied.has(String(match.id)))
+            .flatMap((match) => [match.homeTeam && match.homeTeam.id, match.awayTeam && match.awayTeam.id]);
+        return SimulationEngine.getPositionChanges(newStandings, oldStandings, affected);
     },
 };
@@ -1,8 +1,98 @@
 import { MatchManager } from './matchManager.js';
+import { MatchService } from './matchService.js';
 import { dataManager, state } from './dataManager.js';
 import { UIRenderer } from './uiRenderer.js';
 import { CONFIG } from './config.js';
 import { Utils } from './utils.js';
+import { SeasonSimulator } from './seasonSimulator.js';
+import { MatchModels } from './matchModels.js';
+import { ScenarioService } from './scenarioService.js';
+import { ShareService } from './shareService.js';
+import { TeamService } from './teamService.js';
+import { StandingsCalculator } from './standingsCalculator.js';
+import { PoolService } from './poolService.js';
+import { OfficialResultsService } from './officialResultsService.js';
+import { DataValidator } from './dataValidator.js';
+import { LeagueService } from './leagueService.js';
+
+// Team shown in the side panel (null when the panel shows something else or is closed)
+let panelTeamId = null;
+// Element focused before the panel opened, focused again when it closes
+let panelReturnFocus = null;
+// Player and round shown by the pool ("bolão") panel; null when it is not open
+let poolView = null;
+// League builder panel: the draft being edited (null for the list of leagues) and the
+// seed typed for the fixture generator; null when the builder is not open
+let leagueView = null;
+// Largest side, in pixels, of an uploaded crest (stored as a data URL in localStorage)
+const CREST_SIZE = 96;
+// Teams muted in the position-evolution chart
+const hiddenChartTeams = new Set();
+// Target calculator of the team panel: selected goal and the match-model estimate,
+// which only holds for the scenario it was computed on
+const panelTarget = { goalKey: null, estimate: null, scenarioKey: null };
+
+/**
+ * Identifies the current scenario (scores, match model and seed), to tell whether a
+ * model estimate is still valid.
+ * @returns {string}
+ * @private
+ */
+function getScenarioKey() {
+	return JSON.stringify([ScenarioService.collectResults(), state.matchModel, state.seed]);
+}
+
+/**
+ * Options for UIRenderer.renderTeamPanel from the target calculator state.
+ * @returns {{ goalKey: string|null, estimate: Object|null }}
+ * @private
+ */
+function getTeamPanelOptions() {
+	const fresh = panelTarget.estimate && panelTarget.scenarioKey === getScenarioKey();
+	return { goalKey: panelTarget.goalKey, estimate: fresh ? panelTarget.estimate : null };
+}
+
+/**
+ * Reads an uploaded crest as a PNG data URL, scaled down to CREST_SIZE so saved
+ * leagues stay small.
+ * @param {File} file - image file
+ * @returns {Promise<string>} the data URL
+ * @private
+ */
+function readCrest(file) {
+	return new Promise((resolve, reject) => {
+		const reader = new FileReader();
+		reader.onerror = () => reject(reader.error);
+		reader.onload = () => {
+			const image = new Image();
+			image.onerror = () => reject(new Error('Imagem inválida'));
+			image.onload = () => {
+				const scale = Math.min(1, CREST_SIZE / Math.max(image.width || CREST_SIZE, image.height || CREST_SIZE));
+				const canvas = document.createElement('canvas');
+				canvas.width = Math.max(1, Math.round((image.width || CREST_SIZE) * scale));
+				canvas.height = Math.max(1, Math.round((image.height || CREST_SIZE) * scale));
+				canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+				resolve(canvas.toDataURL('image/png'));
+			};
+			image.src = reader.result;
+		};
+		reader.readAsDataURL(file);
+	});
+}
+
+/**
+ * Selector that finds a league builder field again after the panel is re-rendered.
+ * @param {Element} el - the field
+ * @returns {string|null}
+ * @private
+ */
+function getLeagueFieldSelector(el) {
+	if (!el || !el.attributes || !elements.panelBody || !elements.panelBody.contains(el)) return null;
+	const form = el.closest('[data-league-add-team]');
+	if (form && el.name) return `[data-league-add-team] [name="${el.name}"]`;
+	const attributes = [...el.attributes].filter(attr => attr.name.startsWith('data-league-'));
+	return attributes.length ? attributes.map(attr => `[${attr.name}="${attr.value}"]`).join('') : null;
+}
 
 // Elements are queried lazily to avoid timing issues when modules load
 const elements = {
@@ -14,12 +104,56 @@ const elements = {
 	loading: null,
 	simulateRoundBtn: null,
 	clearRoundBtn: null,
+	undoBtn: null,
+	redoBtn: null,
+	resimulateRoundBtn: null,
+	clearSimulatedRoundBtn: null,
+	simulateChampionshipBtn: null,
+	clearChampionshipBtn: null,
+	keepTypedScoresCheckbox: null,
+	matchModelSelect: null,
+	seedInput: null,
+	newSeedBtn: null,
 	resetChampionshipBtn: null,
+	openPoolBtn: null,
+	openDiagnosticsBtn: null,
+	openLeagueBuilderBtn: null,
+	shareScenarioBtn: null,
+	exportScenarioBtn: null,
+	importScenarioBtn: null,
+	importScenarioFile: null,
+	importOfficialBtn: null,
+	importOfficialFile: null,
+	importOfficialUrlBtn: null,
+	clearOfficialBtn: null,
 	// compact/full table controls (mobile)
 	compactTableBtn: null,
 	fullTableBtn: null,
 	standingsFixedBody: null,
-	standingsScrollBody: null
+	standingsScrollBody: null,
+	standingsViewRoundBtn: null,
+	evolutionSection: null,
+	evolutionChart: null,
+	crosstableSection: null,
+	crosstableGrid: null,
+	standingsViewFinalBtn: null,
+	datasetSelect: null,
+	// "Jogos atrasados" section
+	pendingSection: null,
+	pendingMatchesList: null,
+	pendingCount: null,
+	simulatePendingBtn: null,
+	clearPendingBtn: null,
+	// side panel (team details)
+	panelOverlay: null,
+	panel: null,
+	panelTitle: null,
+	panelBody: null,
+	panelCloseBtn: null,
+	// Monte Carlo season simulation controls
+	seasonIterationsInput: null,
+	simulateSeasonsBtn: null,
+	seasonProgress: null
 };
 
 /**
@@ -37,13 +171,86 @@ function refreshElements() {
 	elements.loading = document.getElementById('loading');
 	elements.simulateRoundBtn = document.getElementById('simulate-round');
 	elements.clearRoundBtn = document.getElementById('clear-round');
+	elements.undoBtn = document.getElementById('undo');
+	elements.redoBtn = document.getElementById('redo');
+	elements.resimulateRoundBtn = document.getElementById('resimulate-round');
+	elements.clearSimulatedRoundBtn = document.getElementById('clear-simulated-round');
+	elements.simulateChampionshipBtn = document.getElementById('simulate-championship');
+	elements.clearChampionshipBtn = document.getElementById('clear-championship');
+	elements.keepTypedScoresCheckbox = document.getElementById('keep-typed-scores');
+	elements.matchModelSelect = document.getElementById('match-model');
+	elements.seedInput = document.getElementById('seed');
+	elements.newSeedBtn = document.getElementById('new-seed');
 	elements.resetChampionshipBtn = document.getElementById('reset-championship');
+	elements.openPoolBtn = document.getElementById('open-pool');
+	elements.openDiagnosticsBtn = document.getElementById('open-diagnostics');
+	elements.openLeagueBuilderBtn = document.getElementById('open-league-builder');
+	elements.shareScenarioBtn = document.getElementById('share-scenario');
+	elements.exportScenarioBtn = document.getElementById('export-scenario');
+	elements.importScenarioBtn = document.getElementById('import-scenario');
+	elements.importScenarioFile = document.getElementById('import-scenario-file');
+	elements.importOfficialBtn = document.getElementById('import-official');
+	elements.importOfficialFile = document.getElementById('import-official-file');
+	elements.importOfficialUrlBtn = document.getElementById('import-official-url');
+	elements.clearOfficialBtn = document.getElementById('clear-official');
+	elements.datasetSelect = document.getElementById('dataset-select');
+	elements.pendingSection = document.getElementById('pending-section');
+	elements.pendingMatchesList = document.getElementById('pending-matches-list');
+	elements.pendingCount = document.getElementById('pending-count');
+	elements.simulatePendingBtn = document.getElementById('simulate-pending');
+	elements.clearPendingBtn = document.getElementById('clear-pending');
+	elements.panelOverlay = document.getElementById('panel-overlay');
+	elements.panel = document.getElementById('panel');
+	elements.panelTitle = document.getElementById('panel-title');
+	elements.panelBody = document.getElementById('panel-body');
+	elements.panelCloseBtn = document.getElementById('panel-close');
 
 	// compact/full table controls
 	elements.compactTableBtn = document.getElementById('compact-table');
 	elements.fullTableBtn = document.getElementById('full-table');
 	elements.standingsFixedBody = document.getElementById('standings-fixed-body');
 	elements.standingsScrollBody = document.getElementById('standings-scroll-body');
+	elements.standingsViewRoundBtn = document.getElementById('standings-view-round');
+	elements.evolutionSection = document.getElementById('evolution-section');
+	elements.evolutionChart = document.getElementById('evolution-chart');
+	elements.crosstableSection = document.getElementById('crosstable-section');
+	elements.crosstableGrid = document.getElementById('crosstable-grid');
+	elements.standingsViewFinalBtn = document.getElementById('standings-view-final');
+
+	// season simulation controls
+	elements.seasonIterationsInput = document.getElementById('season-iterations');
+	elements.simulateSeasonsBtn = document.getElementById('simulate-seasons');
+	elements.seasonProgress = document.getElementById('season-progress');
+}
+
+/**
+ * Attaches change handlers to the score inputs inside `container` so manual input
+ * updates the standings immediately.
+ * @param {HTMLElement} container - element holding rendered match cards
+ * @private
+ */
+function bindScoreInputs(container) {
+	const inputs = container.querySelectorAll('.match-input');
+	inputs.forEach(inp => {
+		inp.addEventListener('change', (e) => {
+			const id = e.target.getAttribute('data-match-id');
+			const field = e.target.getAttribute('data-field');
+			const raw = e.target.value;
+			let value;
+			if (raw === '' || raw === null) {
+				value = "";
+			} else {
+				const n = parseInt(raw, 10);
+				value = Number.isNaN(n) ? "" : n;
+			}
+			// delegate to MatchManager and then refresh UI
+			if (MatchManager && typeof MatchManager.updateMatchScore === 'function') {
+				MatchManager.updateMatchScore(id, field, value);
+			}
+			UIManager.renderMatches();
+			UIManager.renderStandings();
+		});
+	});
 }
 
 /**
@@ -58,7 +265,7 @@ function setupEventListeners() {
 			const matchId = e.target.getAttribute('data-match-id');
 			const teamId = e.target.getAttribute('data-team-id');
 			// Find the match object
-			const match = state.matches.find(m => String(m.id) === String(matchId));
+			const match = MatchManager.findMatch(matchId);
 			if (!match) return;
 			// Highlight both teams, passing matchId
 			Utils.highlightTeamsInStandings([match.homeTeam.id, match.awayTeam.id], matchId);
@@ -101,6 +308,126 @@ function setupEventListeners() {
 		UIManager.renderStandings();
 	});
 
+	if (elements.undoBtn) elements.undoBtn.addEventListener('click', () => UIManager.undo());
+	if (elements.redoBtn) elements.redoBtn.addEventListener('click', () => UIManager.redo());
+
+	if (elements.resimulateRoundBtn) elements.resimulateRoundBtn.addEventListener('click', () => {
+		MatchManager.simulateRound({ overwrite: true });
+		UIManager.renderMatches();
+		UIManager.renderStandings();
+	});
+
+	if (elements.clearSimulatedRoundBtn) elements.clearSimulatedRoundBtn.addEventListener('click', () => {
+		MatchManager.clearRound({ onlySimulated: true });
+		UIManager.renderMatches();
+		UIManager.renderStandings();
+	});
+
+	if (elements.simulatePendingBtn) elements.simulatePendingBtn.addEventListener('click', () => {
+		MatchManager.simulateRound({ matches: state.pendingMatches });
+		UIManager.renderMatches();
+		UIManager.renderStandings();
+	});
+
+	if (elements.clearPendingBtn) elements.clearPendingBtn.addEventListener('click', () => {
+		MatchManager.clearRound({ matches: state.pendingMatches });
+		UIManager.renderMatches();
+		UIManager.renderStandings();
+	});
+
+	// Match model selector: used by simulateRound and the season simulation
+	if (elements.matchModelSelect) {
+		elements.matchModelSelect.innerHTML = MatchModels.list()
+			.map(model => `<option value="${model.key}">${model.label}</option>`)
+			.join('');
+		elements.matchModelSelect.value = MatchModels.get(state.matchModel).key;
+		elements.matchModelSelect.addEventListener('change', (e) => UIManager.setMatchModel(e.target.value));
+	}
+
+	// Seed controls: typing a seed reproduces the simulations of whoever shared it
+	if (elements.seedInput) {
+		elements.seedInput.value = state.seed;
+		elements.seedInput.addEventListener('change', (e) => UIManager.setSeed(e.target.value));
+	}
+	if (elements.newSeedBtn) elements.newSeedBtn.addEventListener('click', () => UIManager.setSeed(''));
+
+	if (elements.simulateSeasonsBtn) elements.simulateSeasonsBtn.addEventListener('click', () => UIManager.runSeasonSimulation());
+
+	// Popover menus in the action bar close once one of their actions is chosen
+	document.querySelectorAll('#floating-actions details').forEach(menu => {
+		menu.addEventListener('click', (e) => {
+			if (e.target && e.target.closest && e.target.closest('[data-close-menu]')) menu.open = false;
+		});
+	});
+
+	if (elements.shareScenarioBtn) elements.shareScenarioBtn.addEventListener('click', () => UIManager.shareScenario());
+
+	if (elements.exportScenarioBtn) elements.exportScenarioBtn.addEventListener('click', () => UIManager.exportScenario());
+	if (elements.importScenarioBtn && elements.importScenarioFile) {
+		elements.importScenarioBtn.addEventListener('click', () => elements.importScenarioFile.click());
+		elements.importScenarioFile.addEventListener('change', async (e) => {
+			const file = e.target.files && e.target.files[0];
+			// reset so choosing the same file again still fires `change`
+			e.target.value = '';
+			if (file) await UIManager.importScenario(file);
+		});
+	}
+
+	// Official results feed: uploaded file, or a file served with the app
+	if (elements.importOfficialBtn && elements.importOfficialFile) {
+		elements.importOfficialBtn.addEventListener('click', () => elements.importOfficialFile.click());
+		elements.importOfficialFile.addEventListener('change', async (e) => {
+			const file = e.target.files && e.target.files[0];
+			e.target.value = '';
+			if (file) await UIManager.importOfficialResults(await file.text());
+		});
+	}
+	if (elements.importOfficialUrlBtn) elements.importOfficialUrlBtn.addEventListener('click', async () => {
+		const url = prompt('Endereço do arquivo de resultados (CSV ou JSON):', `${dataManager.getDatasetPath(state.datasetId)}resultados.csv`);
+		if (!url) return;
+		try {
+			const response = await fetch(url);
+			if (!response.ok) throw new Error(`HTTP ${response.status}`);
+			await UIManager.importOfficialResults(await response.text());
+		} catch (err) {
+			console.error('Erro ao buscar resultados oficiais:', err);
+			UIManager.notify(`Não foi possível ler ${url}.`, 'error');
+		}
+	});
+	if (elements.clearOfficialBtn) elements.clearOfficialBtn.addEventListener('click', () => UIManager.clearOfficialResults());
+
+	// Data set selector: the scenario of each data set is kept separately
+	if (elements.datasetSelect && state.manifest) {
+		UIManager.renderDatasetOptions();
+		elements.datasetSelect.addEventListener('change', (e) => UIManager.switchDataset(e.target.value));
+	}
+
+	// Opening another shared link in the same tab only changes the fragment
+	window.addEventListener('hashchange', async () => {
+		if (!ShareService.hasSharedScenario()) return;
+		const datasetId = ShareService.getSharedDatasetId();
+		const other = datasetId && datasetId !== state.datasetId && dataManager.getDataset(datasetId);
+		const question = other
+			? `O link é do campeonato ${other.label || datasetId}. Trocar de campeonato e carregar os placares do link?`
+			: 'Substituir os placares atuais pelos do link compartilhado?';
+		if (!confirm(question)) return;
+		if (other) await UIManager.switchDataset(datasetId, { restoreScenario: false });
+		UIManager.applySharedScenario();
+	});
+
+	if (elements.simulateChampionshipBtn) elements.simulateChampionshipBtn.addEventListener('click', () => {
+		const keepTyped = !elements.keepTypedScoresCheckbox || elements.keepTypedScoresCheckbox.checked;
+		MatchManager.simulateChampionship({ keepTyped });
+		UIManager.renderMatches();
+		UIManager.renderStandings();
+	});
+
+	if (elements.clearChampionshipBtn) elements.clearChampionshipBtn.addEventListener('click', () => {
+		MatchManager.clearChampionship();
+		UIManager.renderMatches();
+		UIManager.renderStandings();
+	});
+
 	if (elements.resetChampionshipBtn) elements.resetChampionshipBtn.addEventListener('click', async () => {
 		const ok = await dataManager.resetChampionship();
 		if (ok) {
@@ -132,9 +459,18 @@ function setupEventListeners() {
 			return;
 		}
 
+		const k = (e.key || '').toLowerCase();
+		// Ctrl/Cmd + Z -> undo, Ctrl/Cmd + Shift + Z -> redo; text fields keep their own undo
+		if (k === 'z') {
+			if (e.target && e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+			e.preventDefault();
+			if (e.shiftKey) UIManager.redo();
+			else UIManager.undo();
+			return;
+		}
+
 		// Use Shift + key to avoid conflicting with browser shortcuts (e.g., Ctrl+S, Ctrl+R)
 		if (!e.shiftKey) return;
-		const k = (e.key || '').toLowerCase();
 		switch (k) {
 			case 's': // Ctrl/Cmd + Shift + S -> simulate
 				e.preventDefault();
@@ -151,6 +487,266 @@ function setupEventListeners() {
 		}
 	});
 
+	// Standings follow the selected round, or stay pinned to the final table
+	if (elements.standingsViewRoundBtn) elements.standingsViewRoundBtn.addEventListener('click', () => UIManager.setStandingsView('round'));
+	if (elements.standingsViewFinalBtn) elements.standingsViewFinalBtn.addEventListener('click', () => UIManager.setStandingsView('final'));
+
+	// Position-evolution chart: drawn when opened; team toggles mute lines, double click isolates one
+	if (elements.evolutionSection) elements.evolutionSection.addEventListener('toggle', () => UIManager.renderEvolutionChart());
+	// Crosstable: drawn when opened; the round links show that round's matches
+	if (elements.crosstableSection) elements.crosstableSection.addEventListener('toggle', () => UIManager.renderCrosstable());
+	if (elements.crosstableGrid) {
+		elements.crosstableGrid.addEventListener('click', (e) => {
+			const roundLink = e.target && e.target.closest && e.target.closest('[data-crosstable-round]');
+			if (!roundLink) return;
+			UIManager.goToRound(Number(roundLink.getAttribute('data-crosstable-round')));
+			// Postponed matches are listed in their own section, not in the round
+			let destination = document.querySelector('[data-section="matches-section"]');
+			if (roundLink.hasAttribute('data-crosstable-pending') && elements.pendingSection) {
+				elements.pendingSection.open = true;
+				destination = elements.pendingSection;
+			}
+			if (destination && typeof destination.scrollIntoView === 'function') destination.scrollIntoView({ behavior: 'smooth', block: 'start' });
+		});
+	}
+	if (elements.evolutionChart) {
+		elements.evolutionChart.addEventListener('click', (e) => {
+			const teamBtn = e.target && e.target.closest && e.target.closest('[data-chart-team]');
+			const allBtn = e.target && e.target.closest && e.target.closest('[data-chart-all]');
+			if (teamBtn) {
+				const id = Number(teamBtn.getAttribute('data-chart-team'));
+				if (hiddenChartTeams.has(id)) hiddenChartTeams.delete(id);
+				else hiddenChartTeams.add(id);
+			} else if (allBtn) {
+				hiddenChartTeams.clear();
+				if (allBtn.getAttribute('data-chart-all') === 'hide') state.standings.forEach(team => hiddenChartTeams.add(team.id));
+			} else {
+				return;
+			}
+			UIManager.renderEvolutionChart();
+		});
+		elements.evolutionChart.addEventListener('dblclick', (e) => {
+			const teamBtn = e.target && e.target.closest && e.target.closest('[data-chart-team]');
+			if (!teamBtn) return;
+			const id = Number(teamBtn.getAttribute('data-chart-team'));
+			state.standings.forEach(team => { if (team.id !== id) hiddenChartTeams.add(team.id); });
+			hiddenChartTeams.delete(id);
+			UIManager.renderEvolutionChart();
+		});
+	}
+
+	// Standings rows open the team panel (click, or Enter on the focused row)
+	[elements.standingsFixedBody, elements.standingsScrollBody].forEach(body => {
+		if (!body) return;
+		body.addEventListener('click', (e) => {
+			const row = e.target && e.target.closest && e.target.closest('tr[data-team-id]');
+			if (row) UIManager.openTeamPanel(Number(row.getAttribute('data-team-id')));
+		});
+		body.addEventListener('keydown', (e) => {
+			if (e.key !== 'Enter' && e.key !== ' ') return;
+			const row = e.target && e.target.matches && e.target.matches('tr[data-team-id]') ? e.target : null;
+			if (!row) return;
+			e.preventDefault();
+			UIManager.openTeamPanel(Number(row.getAttribute('data-team-id')));
+		});
+	});
+
+	// Side panel: close button, click outside it and Esc
+	if (elements.panelCloseBtn) elements.panelCloseBtn.addEventListener('click', () => UIManager.closePanel());
+	// Target calculator inside the team panel (its markup is replaced on every refresh)
+	if (elements.panelBody) {
+		elements.panelBody.addEventListener('change', (e) => {
+			if (!e.target || e.target.id !== 'target-goal') return;
+			panelTarget.goalKey = e.target.value;
+			UIManager.refreshTeamPanel();
+		});
+		elements.panelBody.addEventListener('click', (e) => {
+			const apply = e.target && e.target.closest && e.target.closest('[data-apply-target]');
+			if (apply) UIManager.applyTargetPath(apply.getAttribute('data-apply-target'));
+			if (e.target && e.target.closest && e.target.closest('[data-estimate-target]')) UIManager.estimateTarget();
+		});
+	}
+	// Pool panel: players, scoring rules, predictions and round navigation
+	if (elements.openPoolBtn) elements.openPoolBtn.addEventListener('click', () => UIManager.openPool());
+	if (elements.openDiagnosticsBtn) elements.openDiagnosticsBtn.addEventListener('click', () => UIManager.openDiagnostics());
+	if (elements.panelBody) {
+		elements.panelBody.addEventListener('submit', (e) => {
+			if (!poolView || !e.target.matches('[data-pool-add]')) return;
+			e.preventDefault();
+			const input = e.target.querySelector('input[name="name"]');
+			const player = PoolService.addPlayer(input ? input.value : '');
+			if (!player) {
+				UIManager.notify('Informe um nome que ainda não esteja no bolão.', 'error');
+				return;
+			}
+			poolView.playerId = player.id;
+			UIManager.refreshPool();
+			const next = elements.panelBody.querySelector('[data-pool-add] input[name="name"]');
+			if (next) next.focus();
+		});
+		elements.panelBody.addEventListener('change', (e) => {
+			if (!poolView || !e.target) return;
+			if (e.target.id === 'pool-player') {
+				poolView.playerId = Number(e.target.value);
+				UIManager.refreshPool();
+			} else if (e.target.matches('input.pool-input')) {
+				const player = PoolService.getPlayer(poolView.playerId) || PoolService.getPool().players[0];
+				if (player) PoolService.setPrediction(player.id, e.target.getAttribute('data-match-id'), e.target.getAttribute('data-field'), e.target.value);
+			} else if (e.target.matches('[data-pool-scoring]')) {
+				PoolService.setScoring({ [e.target.getAttribute('data-pool-scoring')]: e.target.value });
+				UIManager.refreshPool();
+			}
+		});
+		elements.panelBody.addEventListener('click', (e) => {
+			if (!poolView || !e.target || !e.target.closest) return;
+			const remove = e.target.closest('[data-pool-remove]');
+			const roundBtn = e.target.closest('[data-pool-round]');
+			const confirmBtn = e.target.closest('[data-pool-confirm]');
+			const reopenBtn = e.target.closest('[data-pool-reopen]');
+			if (confirmBtn || reopenBtn) {
+				// Official results lock the score in the match list and standings too
+				if (confirmBtn) MatchManager.confirmOfficialResult(confirmBtn.getAttribute('data-pool-confirm'));
+				else MatchManager.reopenOfficialResult(reopenBtn.getAttribute('data-pool-reopen'));
+				UIManager.renderMatches();
+				UIManager.renderStandings();
+			} else if (remove) {
+				const player = PoolService.getPlayer(Number(remove.getAttribute('data-pool-remove')));
+				if (!player || !confirm(`Remover ${player.name} e todos os seus palpites?`)) return;
+				PoolService.removePlayer(player.id);
+				UIManager.refreshPool();
+			} else if (roundBtn) {
+				const step = roundBtn.getAttribute('data-pool-round') === 'prev' ? -1 : 1;
+				const rounds = PoolService.getRoundRange();
+				poolView.round = Math.min(rounds.max, Math.max(rounds.min, poolView.round + step));
+				UIManager.refreshPool();
+			}
+		});
+	}
+	// League builder: teams, crests, rules, zones and fixtures of the draft
+	if (elements.openLeagueBuilderBtn) elements.openLeagueBuilderBtn.addEventListener('click', () => UIManager.openLeagueBuilder());
+	if (elements.panelBody) {
+		elements.panelBody.addEventListener('submit', async (e) => {
+			if (!leagueView || !leagueView.draft || !e.target.matches('[data-league-add-team]')) return;
+			e.preventDefault();
+			const form = e.target;
+			const file = form.elements.crest && form.elements.crest.files && form.elements.crest.files[0];
+			let image = '';
+			try {
+				if (file) image = await readCrest(file);
+			} catch (err) {
+				console.warn('Escudo ignorado:', err);
+				UIManager.notify('Não foi possível ler a imagem do escudo.', 'error');
+			}
+			const team = LeagueService.addTeam(leagueView.draft, { name: form.elements.name.value, acronym: form.elements.acronym.value, image });
+			if (!team) {
+				UIManager.notify('Informe um nome de time que ainda não esteja na liga.', 'error');
+				return;
+			}
+			UIManager.refreshLeagueBuilder();
+			const next = elements.panelBody.querySelector('[data-league-add-team] input[name="name"]');
+			if (next) next.focus();
+		});
+		elements.panelBody.addEventListener('change', async (e) => {
+			const field = e.target;
+			if (!leagueView || !leagueView.draft || !field || !field.matches) return;
+			const { draft } = leagueView;
+			if (field.matches('[data-league-field]')) {
+				const key = field.getAttribute('data-league-field');
+				if (key.startsWith('points.')) draft.points[key.slice(7)] = field.value === '' ? NaN : Number(field.value);
+				else if (key === 'legs') draft.legs = Number(field.value);
+				else draft[key] = field.value;
+			} else if (field.matches('[data-league-team]')) {
+				const changed = LeagueService.updateTeam(draft, Number(field.getAttribute('data-league-team')), { [field.getAttribute('data-league-team-field')]: field.value });
+				if (!changed) UIManager.notify('O nome do time não pode ficar vazio nem repetir outro.', 'error');
+			} else if (field.matches('[data-league-crest]')) {
+				const file = field.files && field.files[0];
+				if (!file) return;
+				try {
+					LeagueService.updateTeam(draft, Number(field.getAttribute('data-league-crest')), { image: await readCrest(file) });
+				} catch (err) {
+					console.warn('Escudo ignorado:', err);
+					UIManager.notify('Não foi possível ler a imagem do escudo.', 'error');
+				}
+			} else if (field.matches('[data-league-zone]')) {
+				const zone = draft.zones[Number(field.getAttribute('data-league-zone'))];
+				const key = field.getAttribute('data-league-zone-field');
+				if (zone) zone[key] = key === 'from' || key === 'to' ? parseInt(field.value, 10) : field.value;
+			} else if (field.matches('[data-league-match]')) {
+				LeagueService.setMatchTeam(draft, Number(field.getAttribute('data-league-round')), Number(field.getAttribute('data-league-match')),
+					field.getAttribute('data-league-side'), Number(field.value));
+			} else if (field.matches('[data-league-seed]')) {
+				leagueView.seed = field.value;
+				return;
+			} else {
+				return;
+			}
+			// Re-render once the focus has moved on (e.g. Tab to the next field)
+			setTimeout(() => UIManager.refreshLeagueBuilder(), 0);
+		});
+		elements.panelBody.addEventListener('click', (e) => {
+			if (!leagueView || !e.target || !e.target.closest) return;
+			const target = e.target.closest('button');
+			if (!target) return;
+			const { draft } = leagueView;
+			const round = Number(target.getAttribute('data-league-round'));
+			if (target.hasAttribute('data-league-new')) {
+				leagueView = { draft: LeagueService.createDraft(), seed: '' };
+			} else if (target.hasAttribute('data-league-edit')) {
+				leagueView = { draft: LeagueService.createDraft(target.getAttribute('data-league-edit')), seed: '' };
+			} else if (target.hasAttribute('data-league-open')) {
+				UIManager.switchDataset(target.getAttribute('data-league-open'));
+				return;
+			} else if (target.hasAttribute('data-league-delete')) {
+				UIManager.deleteLeague(target.getAttribute('data-league-delete'));
+				return;
+			} else if (target.hasAttribute('data-league-save')) {
+				UIManager.saveLeague();
+				return;
+			} else if (target.hasAttribute('data-league-cancel')) {
+				if (!confirm('Descartar as alterações desta liga?')) return;
+				leagueView = { draft: null, seed: '' };
+			} else if (!draft) {
+				return;
+			} else if (target.hasAttribute('data-league-remove-team')) {
+				const team = draft.teams.find(t => t.id === Number(target.getAttribute('data-league-remove-team')));
+				if (!team || !confirm(`Remover ${team.name} e todos os seus jogos?`)) return;
+				LeagueService.removeTeam(draft, team.id);
+			} else if (target.hasAttribute('data-league-add-zone')) {
+				LeagueService.addZone(draft);
+			} else if (target.hasAttribute('data-league-remove-zone')) {
+				draft.zones.splice(Number(target.getAttribute('data-league-remove-zone')), 1);
+			} else if (target.hasAttribute('data-league-generate')) {
+				if (draft.roundFixtures && !confirm('Substituir a tabela atual por uma nova?')) return;
+				try {
+					LeagueService.generateFixtures(draft, { seed: leagueView.seed });
+				} catch (err) {
+					UIManager.notify(err.message, 'error');
+					return;
+				}
+			} else if (target.hasAttribute('data-league-add-round')) {
+				LeagueService.addRound(draft);
+			} else if (target.hasAttribute('data-league-remove-round')) {
+				LeagueService.removeLastRound(draft);
+			} else if (target.hasAttribute('data-league-add-match')) {
+				if (!LeagueService.addMatch(draft, Number(target.getAttribute('data-league-add-match')))) {
+					UIManager.notify('Todos os times já jogam nesta rodada.', 'warning');
+					return;
+				}
+			} else if (target.hasAttribute('data-league-remove-match')) {
+				LeagueService.removeMatch(draft, round, Number(target.getAttribute('data-league-remove-match')));
+			} else {
+				return;
+			}
+			UIManager.refreshLeagueBuilder();
+		});
+	}
+	if (elements.panelOverlay) elements.panelOverlay.addEventListener('click', (e) => {
+		if (e.target === elements.panelOverlay) UIManager.closePanel();
+	});
+	document.addEventListener('keydown', (e) => {
+		if (e.key === 'Escape' && elements.panelOverlay && !elements.panelOverlay.classList.contains('hidden')) UIManager.closePanel();
+	});
+
 	// Wire compact/full controls to UIManager.toggleCompact
 	if (elements.compactTableBtn) elements.compactTableBtn.addEventListener('click', () => UIManager.toggleCompact(true, true));
 	if (elements.fullTableBtn) elements.fullTableBtn.addEventListener('click', () => UIManager.toggleCompact(false, true));
@@ -216,6 +812,16 @@ export const UIManager = {
 	 */
 	renderStandings() {
 		UIRenderer.renderStandings();
+		UIManager.updateHistoryButtons();
+		UIManager.refreshTeamPanel();
+		UIManager.refreshPool();
+		UIManager.renderEvolutionChart();
+		UIManager.renderCrosstable();
+		// Drop the simulation summary once the probabilities went stale
+		refreshElements();
+		if (!state.seasonProbabilities && elements.seasonProgress && !(elements.simulateSeasonsBtn && elements.simulateSeasonsBtn.disabled)) {
+			elements.seasonProgress.textContent = '';
+		}
 		// Reapply user's compact table preference after rendering, but only when
 		// on small viewports. On desktop we respect a full-table view even if the
 		// user previously chose compact on mobile.
@@ -249,6 +855,7 @@ export const UIManager = {
 		refreshElements();
 		if (elements.roundTitle) elements.roundTitle.textContent = `Rodada ${state.currentRound}`;
 		if (elements.roundDate) elements.roundDate.textContent = state.currentRoundDate || '';
+		UIManager.renderPendingMatches();
 		const list = elements.matchesList;
 		if (!list) return;
 		const matches = (state && state.matches) || [];
@@ -258,29 +865,26 @@ export const UIManager = {
 		}
 		// render match cards
 		list.innerHTML = matches.map(m => UIRenderer.renderMatchCard(m)).join('');
+		bindScoreInputs(list);
+	},
 
-		// attach input change handlers so manual input updates standings immediately
-		const inputs = list.querySelectorAll('.match-input');
-		inputs.forEach(inp => {
-			inp.addEventListener('change', (e) => {
-				const id = e.target.getAttribute('data-match-id');
-				const field = e.target.getAttribute('data-field');
-				const raw = e.target.value;
-				let value;
-				if (raw === '' || raw === null) {
-					value = "";
-				} else {
-					const n = parseInt(raw, 10);
-					value = Number.isNaN(n) ? "" : n;
-				}
-				// delegate to MatchManager and then refresh UI
-				if (MatchManager && typeof MatchManager.updateMatchScore === 'function') {
-					MatchManager.updateMatchScore(id, field, value);
-				}
-				UIManager.renderMatches();
-				UIManager.renderStandings();
-			});
-		});
+	/**
+	 * Renders the "Jogos atrasados" section (postponed matches from earlier rounds).
+	 * The section stays hidden when the data set has no pending matches.
+	 */
+	renderPendingMatches() {
+		refreshElements();
+		const section = elements.pendingSection;
+		const list = elements.pendingMatchesList;
+		if (!section || !list) return;
+		const pending = state.pendingMatches || [];
+		section.classList.toggle('hidden', pending.length === 0);
+		if (elements.pendingCount) {
+			const open = pending.filter(match => !MatchService.isMatchComplete(match)).length;
+			elements.pendingCount.textContent = `${open} de ${pending.length} sem placar`;
+		}
+		list.innerHTML = pending.map(m => UIRenderer.renderPendingMatchCard(m)).join('');
+		bindScoreInputs(list);
 	},
 
 	/**
@@ -293,10 +897,22 @@ export const UIManager = {
 	 * @private
 	 */
 	changeRound(direction) {
+		let round = state.currentRound;
+		if (direction === 'prev') round -= 1;
+		if (direction === 'next') round += 1;
+		UIManager.goToRound(round);
+	},
+
+	/**
+	 * Shows the given round (clamped to CONFIG.MIN_ROUND..CONFIG.MAX_ROUND): updates
+	 * state.matches, the round title, date and navigation buttons, and re-renders
+	 * the matches and the standings (which follow the round unless pinned to the final table).
+	 * @param {number} round - round to show
+	 */
+	goToRound(round) {
 		const min = CONFIG.MIN_ROUND || 1;
 		const max = CONFIG.MAX_ROUND || 38;
-		if (direction === 'prev' && state.currentRound > min) state.currentRound -= 1;
-		if (direction === 'next' && state.currentRound < max) state.currentRound += 1;
+		state.currentRound = Math.min(max, Math.max(min, round));
 		state.matches = state.allMatches[state.currentRound] || [];
 
 		// Update UI
@@ -310,10 +926,594 @@ export const UIManager = {
 		state.currentRoundDate = newDate;
 		if (elements.roundDate) elements.roundDate.textContent = state.currentRoundDate;
 
+		ScenarioService.scheduleSave();
 		UIManager.renderMatches();
+		UIManager.renderStandings();
 	}
 	,
 
+	/**
+	 * Chooses the table shown in the standings panel.
+	 * @param {'round'|'final'} view - 'round' follows the selected round, 'final' pins the final table
+	 */
+	setStandingsView(view) {
+		const next = view === 'final' ? 'final' : 'round';
+		if (state.standingsView === next) return;
+		state.standingsView = next;
+		ScenarioService.scheduleSave();
+		UIManager.renderStandings();
+	},
+
+	/**
+	 * Loads another data set (competition/season) and re-renders everything. The
+	 * current scenario stays saved under its own data set.
+	 * @async
+	 * @param {string} datasetId - id listed in data/manifest.json
+	 * @param {Object} [options]
+	 * @param {boolean} [options.restoreScenario=true] - restore the new data set's saved scenario
+	 */
+	async switchDataset(datasetId, { restoreScenario = true } = {}) {
+		if (datasetId === state.datasetId) return;
+		UIManager.closePanel();
+		hiddenChartTeams.clear();
+		panelTarget.goalKey = null;
+		panelTarget.estimate = null;
+		UIManager.showLoading();
+		const ok = await dataManager.switchDataset(datasetId, { restoreScenario });
+		UIManager.hideLoading();
+		refreshElements();
+		if (elements.datasetSelect) elements.datasetSelect.value = state.datasetId;
+		if (!ok) {
+			UIManager.openDiagnostics();
+			return;
+		}
+		if (elements.seasonProgress) elements.seasonProgress.textContent = '';
+		UIManager.updateRoundInfo(state.currentRound, state.currentRoundDate);
+		UIManager.renderStandings();
+		UIManager.renderMatches();
+		const dataset = dataManager.getDataset();
+		UIManager.notify(`Campeonato carregado: ${(dataset && dataset.label) || state.datasetId}.`, 'info', 3000);
+	},
+
+	/**
+	 * Undoes the last score edit and shows its round, so the restored scores are
+	 * visible; the standings re-render with the usual FLIP animation.
+	 */
+	undo() {
+		const step = MatchManager.undo();
+		if (!step) return;
+		UIManager._showHistoryStep(step);
+		UIManager.notify(`Desfeito: ${step.label}.`, 'info', 3000);
+	},
+
+	/**
+	 * Redoes the last undone score edit (see undo).
+	 */
+	redo() {
+		const step = MatchManager.redo();
+		if (!step) return;
+		UIManager._showHistoryStep(step);
+		UIManager.notify(`Refeito: ${step.label}.`, 'info', 3000);
+	},
+
+	/**
+	 * Re-renders after an undo/redo, moving to the round the step was made in.
+	 * @param {Object} step - the history step
+	 * @private
+	 */
+	_showHistoryStep(step) {
+		if (step.round !== state.currentRound && state.allMatches[step.round]) {
+			UIManager.goToRound(step.round);
+			return;
+		}
+		UIManager.renderMatches();
+		UIManager.renderStandings();
+	},
+
+	/**
+	 * Enables the undo/redo buttons according to the history stacks and names the
+	 * step each one would act on.
+	 */
+	updateHistoryButtons() {
+		refreshElements();
+		const { undo, redo } = state.history;
+		if (elements.undoBtn) {
+			elements.undoBtn.disabled = undo.length === 0;
+			elements.undoBtn.title = undo.length ? `Desfazer: ${undo[undo.length - 1].label} (Ctrl+Z)` : 'Nada para desfazer';
+		}
+		if (elements.redoBtn) {
+			elements.redoBtn.disabled = redo.length === 0;
+			elements.redoBtn.title = redo.length ? `Refazer: ${redo[redo.length - 1].label} (Ctrl+Shift+Z)` : 'Nada para refazer';
+		}
+	},
+
+	/**
+	 * Draws the position-evolution chart, only while its section is open (the chart
+	 * rebuilds the table of every round).
+	 */
+	renderEvolutionChart() {
+		refreshElements();
+		if (!elements.evolutionSection || !elements.evolutionChart) return;
+		if (!elements.evolutionSection.open) {
+			elements.evolutionChart.innerHTML = '';
+			return;
+		}
+		elements.evolutionChart.innerHTML = UIRenderer.renderPositionChart(hiddenChartTeams);
+	},
+
+	/**
+	 * Draws the crosstable, only while its section is open. The focused score input
+	 * is focused again after a redraw so typing can go on from cell to cell.
+	 */
+	renderCrosstable() {
+		refreshElements();
+		if (!elements.crosstableSection || !elements.crosstableGrid) return;
+		if (!elements.crosstableSection.open) {
+			elements.crosstableGrid.innerHTML = '';
+			return;
+		}
+		const active = document.activeElement;
+		const focused = active && elements.crosstableGrid.contains(active) && active.matches('input.match-input')
+			? `input.match-input[data-match-id="${active.getAttribute('data-match-id')}"][data-field="${active.getAttribute('data-field')}"]`
+			: null;
+		const scroller = elements.crosstableGrid.querySelector('.overflow-x-auto');
+		const scrollLeft = scroller ? scroller.scrollLeft : 0;
+		elements.crosstableGrid.innerHTML = UIRenderer.renderCrosstable();
+		bindScoreInputs(elements.crosstableGrid);
+		const newScroller = elements.crosstableGrid.querySelector('.overflow-x-auto');
+		if (newScroller) newScroller.scrollLeft = scrollLeft;
+		const target = focused && elements.crosstableGrid.querySelector(focused);
+		if (target) target.focus();
+	},
+
+	/**
+	 * Opens the side panel with the given title and content.
+	 * @param {string} title - panel heading (text)
+	 * @param {string} html - panel body markup
+	 * @param {Object} [options]
+	 * @param {boolean} [options.wide=false] - wider panel (e.g. for match cards)
+	 */
+	openPanel(title, html, { wide = false } = {}) {
+		refreshElements();
+		if (!elements.panelOverlay || !elements.panelBody) return;
+		if (elements.panelOverlay.classList.contains('hidden')) panelReturnFocus = document.activeElement;
+		if (elements.panel) {
+			elements.panel.classList.toggle('max-w-md', !wide);
+			elements.panel.classList.toggle('max-w-2xl', wide);
+		}
+		if (elements.panelTitle) elements.panelTitle.textContent = title;
+		elements.panelBody.innerHTML = html;
+		elements.panelOverlay.classList.remove('hidden');
+		if (elements.panel) elements.panel.focus();
+	},
+
+	/**
+	 * Closes the side panel and gives the focus back to where it was.
+	 */
+	closePanel() {
+		refreshElements();
+		if (!elements.panelOverlay) return;
+		elements.panelOverlay.classList.add('hidden');
+		if (elements.panelBody) elements.panelBody.innerHTML = '';
+		panelTeamId = null;
+		poolView = null;
+		leagueView = null;
+		if (panelReturnFocus && typeof panelReturnFocus.focus === 'function') panelReturnFocus.focus();
+		panelReturnFocus = null;
+	},
+
+	/**
+	 * Opens the detail panel of a team. Scores edited in it go through
+	 * MatchManager.updateMatchScore, like the match cards.
+	 * @param {number} teamId - team id
+	 */
+	openTeamPanel(teamId) {
+		const team = TeamService.getTeamById(teamId, state);
+		if (!team) return;
+		if (teamId !== panelTeamId) panelTarget.goalKey = null;
+		poolView = null;
+		leagueView = null;
+		UIManager.openPanel(team.name || '', UIRenderer.renderTeamPanel(teamId, getTeamPanelOptions()));
+		panelTeamId = teamId;
+		bindScoreInputs(elements.panelBody);
+	},
+
+	/**
+	 * Re-renders the team panel, when open, after the scores changed. The focused
+	 * score input is focused again so typing can go on from one match to the next.
+	 */
+	refreshTeamPanel() {
+		if (panelTeamId === null) return;
+		refreshElements();
+		if (!elements.panelBody) return;
+		const active = document.activeElement;
+		const focused = active && elements.panelBody.contains(active) && active.matches('input.match-input')
+			? `input.match-input[data-match-id="${active.getAttribute('data-match-id')}"][data-field="${active.getAttribute('data-field')}"]`
+			: null;
+		const scrollTop = elements.panel ? elements.panel.scrollTop : 0;
+		elements.panelBody.innerHTML = UIRenderer.renderTeamPanel(panelTeamId, getTeamPanelOptions());
+		bindScoreInputs(elements.panelBody);
+		if (elements.panel) elements.panel.scrollTop = scrollTop;
+		const target = focused && elements.panelBody.querySelector(focused);
+		if (target) target.focus();
+	},
+
+	/**
+	 * Opens the prediction pool ("bolão") in the side panel, at the current round.
+	 * Predictions are kept by PoolService, apart from the scenario.
+	 */
+	openPool() {
+		panelTeamId = null;
+		leagueView = null;
+		poolView = { playerId: null, round: state.currentRound };
+		UIManager.openPanel('Bolão', UIRenderer.renderPool(poolView), { wide: true });
+	},
+
+	/**
+	 * Opens the league builder with the list of leagues built in the app; the loaded
+	 * league is opened for editing right away.
+	 */
+	openLeagueBuilder() {
+		panelTeamId = null;
+		poolView = null;
+		leagueView = { draft: LeagueService.isCustom(state.datasetId) ? LeagueService.createDraft(state.datasetId) : null, seed: '' };
+		UIManager.openPanel('Ligas próprias', UIRenderer.renderLeagueBuilder(leagueView), { wide: true });
+	},
+
+	/**
+	 * Re-renders the league builder, when open, keeping the scroll position and the
+	 * focused field.
+	 */
+	refreshLeagueBuilder() {
+		if (!leagueView) return;
+		refreshElements();
+		if (!elements.panelBody) return;
+		const focused = getLeagueFieldSelector(document.activeElement);
+		const scrollTop = elements.panel ? elements.panel.scrollTop : 0;
+		elements.panelBody.innerHTML = UIRenderer.renderLeagueBuilder(leagueView);
+		if (elements.panel) elements.panel.scrollTop = scrollTop;
+		const target = focused && elements.panelBody.querySelector(focused);
+		if (target) target.focus();
+	},
+
+	/**
+	 * Saves the league being edited (LeagueService.save) and opens it in place of the
+	 * current data set.
+	 * @async
+	 */
+	async saveLeague() {
+		if (!leagueView || !leagueView.draft) return;
+		const result = LeagueService.save(leagueView.draft);
+		if (!result.ok) {
+			UIManager.notify(result.error, 'error');
+			UIManager.refreshLeagueBuilder();
+			return;
+		}
+		await dataManager.loadManifest();
+		UIManager.renderDatasetOptions();
+		if (result.datasetId === state.datasetId) await UIManager.reloadDataset();
+		else await UIManager.switchDataset(result.datasetId);
+		UIManager.notify(`Liga salva: ${(dataManager.getDataset(result.datasetId) || {}).label || result.datasetId}.`);
+	},
+
+	/**
+	 * Deletes a league built in the app (after confirmation). When it is the loaded
+	 * data set, the default one of the manifest is opened instead.
+	 * @async
+	 * @param {string} datasetId
+	 */
+	async deleteLeague(datasetId) {
+		const entry = dataManager.getDataset(datasetId);
+		if (!confirm(`Excluir a liga ${(entry && entry.label) || datasetId}? Times, tabela e resultados dela serão perdidos.`)) return;
+		LeagueService.remove(datasetId);
+		await dataManager.loadManifest();
+		UIManager.renderDatasetOptions();
+		if (datasetId === state.datasetId) {
+			await UIManager.switchDataset(dataManager.resolveDatasetId(state.manifest.default));
+			return;
+		}
+		UIManager.refreshLeagueBuilder();
+	},
+
+	/**
+	 * Fills the data set selector from state.manifest, with the leagues built in the
+	 * app in their own group.
+	 */
+	renderDatasetOptions() {
+		refreshElements();
+		if (!elements.datasetSelect || !state.manifest) return;
+		const option = (entry) => `<option value="${Utils.escapeHtml(entry.id)}">${Utils.escapeHtml(entry.label || entry.id)}</option>`;
+		const custom = state.manifest.datasets.filter(entry => entry.custom);
+		elements.datasetSelect.innerHTML = state.manifest.datasets.filter(entry => !entry.custom).map(option).join('')
+			+ (custom.length ? `<optgroup label="Ligas próprias">${custom.map(option).join('')}</optgroup>` : '');
+		elements.datasetSelect.value = state.datasetId;
+	},
+
+	/**
+	 * Opens the list of problems found in the loaded data set's files (state.diagnostics).
+	 */
+	openDiagnostics() {
+		panelTeamId = null;
+		poolView = null;
+		leagueView = null;
+		UIManager.openPanel('Diagnóstico dos dados', UIRenderer.renderDiagnostics(state.diagnostics));
+	},
+
+	/**
+	 * Shows the diagnostics button with the number of errors and warnings of the
+	 * loaded data set, or hides it when the files have no problem.
+	 */
+	updateDiagnosticsButton() {
+		refreshElements();
+		if (!elements.openDiagnosticsBtn) return;
+		const { errors, warnings } = DataValidator.countIssues(state.diagnostics ? state.diagnostics.issues : []);
+		const parts = [];
+		if (errors > 0) parts.push(`${errors} erro${errors > 1 ? 's' : ''}`);
+		if (warnings > 0) parts.push(`${warnings} aviso${warnings > 1 ? 's' : ''}`);
+		elements.openDiagnosticsBtn.classList.toggle('hidden', parts.length === 0);
+		elements.openDiagnosticsBtn.classList.toggle('text-red-700', errors > 0);
+		elements.openDiagnosticsBtn.classList.toggle('text-amber-700', errors === 0);
+		elements.openDiagnosticsBtn.textContent = `⚠ ${parts.join(' · ')}`;
+	},
+
+	/**
+	 * Re-renders the pool panel, when open, keeping its scroll position.
+	 */
+	refreshPool() {
+		if (!poolView) return;
+		refreshElements();
+		if (!elements.panelBody) return;
+		const scrollTop = elements.panel ? elements.panel.scrollTop : 0;
+		elements.panelBody.innerHTML = UIRenderer.renderPool(poolView);
+		if (elements.panel) elements.panel.scrollTop = scrollTop;
+	},
+
+	/**
+	 * Fills the open matches of the team shown in the panel with the cheapest record
+	 * that guarantees the goal (StandingsCalculator.analyzeTarget), as one undoable step.
+	 * @param {string} goalKey - key of a goal from StandingsCalculator.getTargetGoals
+	 */
+	applyTargetPath(goalKey) {
+		if (panelTeamId === null) return;
+		const goal = StandingsCalculator.getTargetGoals().find(g => g.key === goalKey);
+		if (!goal) return;
+		const analysis = StandingsCalculator.analyzeTarget(panelTeamId, goal.position);
+		if (!analysis.record || !analysis.needed) return;
+		const team = TeamService.getTeamById(panelTeamId, state) || {};
+		const filled = MatchManager.applyTeamRecord(panelTeamId, analysis.record, `Caminho para ${goal.label}: ${team.name || ''}`);
+		UIManager.renderMatches();
+		UIManager.renderStandings();
+		UIManager.notify(`${filled} jogos do ${team.name || 'time'} preenchidos: ${analysis.record.wins} vitória(s) e ${analysis.record.draws} empate(s) (${analysis.needed} pts).`);
+	},
+
+	/**
+	 * Estimates with the current match model how many points were enough for each
+	 * goal (SeasonSimulator.estimateCutoffs) and shows it in the team panel.
+	 * @async
+	 */
+	async estimateTarget() {
+		refreshElements();
+		const button = elements.panelBody && elements.panelBody.querySelector('[data-estimate-target]');
+		if (button) button.disabled = true;
+		try {
+			const iterations = parseInt(elements.seasonIterationsInput && elements.seasonIterationsInput.value, 10) || CONFIG.SEASON_SIMULATIONS;
+			const scenarioKey = getScenarioKey();
+			const estimate = await SeasonSimulator.estimateCutoffs(StandingsCalculator.getTargetGoals().map(g => g.position), iterations, {
+				onProgress: (ratio) => {
+					const current = elements.panelBody && elements.panelBody.querySelector('[data-estimate-target]');
+					if (current) current.textContent = `Estimando… ${Math.round(ratio * 100)}%`;
+				}
+			});
+			panelTarget.estimate = estimate;
+			panelTarget.scenarioKey = scenarioKey;
+		} catch (err) {
+			console.error('Erro na estimativa de pontos:', err);
+			UIManager.notify('Não foi possível estimar os pontos pelo modelo.', 'error');
+		}
+		UIManager.refreshTeamPanel();
+	},
+
+	/**
+	 * Selects the match model used by future simulations. Season probabilities
+	 * computed with the previous model are discarded.
+	 * @param {string} key - key of a model registered in MatchModels
+	 */
+	setMatchModel(key) {
+		const model = MatchModels.get(key);
+		if (state.matchModel === model.key) return;
+		state.matchModel = model.key;
+		state.seasonProbabilities = null;
+		ScenarioService.scheduleSave();
+		UIManager.renderStandings();
+	},
+
+	/**
+	 * Applies a new simulation seed (a random one when empty) and reflects it in the UI.
+	 * @param {string} seed - the seed typed by the user
+	 */
+	setSeed(seed) {
+		const applied = dataManager.setSeed(seed);
+		refreshElements();
+		if (elements.seedInput) elements.seedInput.value = applied;
+		UIManager.renderStandings();
+	},
+
+	/**
+	 * Copies a link with every entered score to the clipboard. Falls back to a
+	 * prompt showing the link when the Clipboard API is unavailable.
+	 * @async
+	 */
+	async shareScenario() {
+		const link = ShareService.buildLink();
+		try {
+			await navigator.clipboard.writeText(link);
+			UIManager.notify('Link do cenário copiado para a área de transferência.');
+		} catch (err) {
+			window.prompt('Copie o link do cenário:', link);
+		}
+	},
+
+	/**
+	 * Downloads the current scenario as a versioned JSON file.
+	 */
+	exportScenario() {
+		const doc = ScenarioService.buildExportDocument();
+		const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+		const url = URL.createObjectURL(blob);
+		const link = document.createElement('a');
+		link.href = url;
+		link.download = `cenario-${String(state.datasetId).replace('/', '-')}-${doc.exportedAt.slice(0, 10)}.json`;
+		document.body.appendChild(link);
+		link.click();
+		link.remove();
+		setTimeout(() => URL.revokeObjectURL(url), 0);
+	},
+
+	/**
+	 * Reads a scenario file chosen by the user, replaces the current results with
+	 * it and reports every match that could not be applied.
+	 * @async
+	 * @param {File} file - JSON file exported by exportScenario
+	 */
+	async importScenario(file) {
+		let doc;
+		try {
+			doc = JSON.parse(await file.text());
+		} catch (err) {
+			UIManager.notify('Não foi possível ler o arquivo: JSON inválido.', 'error');
+			return;
+		}
+		const report = MatchManager.recordStep('Importar cenário', () => ScenarioService.importDocument(doc));
+		if (!report.ok) {
+			UIManager.notify(`Arquivo não importado: ${report.error}.`, 'error');
+			return;
+		}
+		UIManager.renderMatches();
+		UIManager.renderStandings();
+		report.warnings.forEach(warning => UIManager.notify(`Atenção: ${warning}.`, 'warning'));
+		if (report.skipped.length > 0) {
+			const listed = report.skipped.slice(0, 5).map(s => `jogo ${s.matchId} (${s.reason})`).join(', ');
+			const more = report.skipped.length > 5 ? ` e mais ${report.skipped.length - 5}` : '';
+			UIManager.notify(`${report.applied.length} placares importados; não aplicados: ${listed}${more}.`, 'warning', 10000);
+		} else {
+			UIManager.notify(`${report.applied.length} placares importados.`);
+		}
+	},
+
+	/**
+	 * Imports an official results feed (OfficialResultsService.importFeed) and reloads
+	 * the data set so fully played rounds move into the initial standings. Reports the
+	 * results imported, the new first round, the feed lines that were skipped and the
+	 * team names that were not recognized. The import is not an undoable step.
+	 * @async
+	 * @param {string} text - CSV or football-data.org JSON
+	 */
+	async importOfficialResults(text) {
+		const report = OfficialResultsService.importFeed(text);
+		if (!report.ok) {
+			UIManager.notify(`Resultados não importados: ${report.error}.`, 'error');
+			return;
+		}
+		const firstRound = CONFIG.MIN_ROUND;
+		await UIManager.reloadDataset();
+		const moved = CONFIG.MIN_ROUND !== firstRound ? ` A simulação agora começa na rodada ${CONFIG.MIN_ROUND}.` : '';
+		const before = report.beforeData > 0 ? ` ${report.beforeData} jogo(s) anteriores aos dados já estão na classificação inicial.` : '';
+		UIManager.notify(`${report.imported} resultado(s) oficiais importados (${report.changed} novos ou alterados).${moved}${before}`, 'info', 8000);
+		if (report.skipped.length > 0) {
+			// CSV entries are numbered by file line, football-data.org ones by position in the list
+			const unit = report.format === 'csv' ? 'linha' : 'jogo';
+			const listed = report.skipped.slice(0, 5).map(s => `${unit} ${s.line} (${s.reason})`).join(', ');
+			const more = report.skipped.length > 5 ? ` e mais ${report.skipped.length - 5}` : '';
+			UIManager.notify(`Não importados: ${listed}${more}.`, 'warning', 12000);
+		}
+		if (report.unresolved.length > 0) {
+			UIManager.notify(`Times não reconhecidos: ${report.unresolved.join(', ')}. Cadastre esses nomes no campo aliases do teams.json.`, 'warning', 12000);
+		}
+	},
+
+	/**
+	 * Removes the imported official results (after confirmation) and reloads the data
+	 * set, bringing back the rounds they had closed.
+	 * @async
+	 */
+	async clearOfficialResults() {
+		if (!confirm('Remover todos os resultados oficiais importados? Os placares digitados e simulados são mantidos.')) return;
+		OfficialResultsService.clear();
+		await UIManager.reloadDataset();
+		UIManager.notify('Resultados oficiais removidos.');
+	},
+
+	/**
+	 * Reloads the data set keeping the scenario (dataManager.reloadDataset) and redraws
+	 * the page.
+	 * @async
+	 * @returns {Promise<boolean>}
+	 */
+	async reloadDataset() {
+		UIManager.closePanel();
+		UIManager.showLoading();
+		const ok = await dataManager.reloadDataset();
+		UIManager.hideLoading();
+		if (!ok) {
+			UIManager.openDiagnostics();
+			return false;
+		}
+		refreshElements();
+		if (elements.seasonProgress) elements.seasonProgress.textContent = '';
+		UIManager.updateRoundInfo(state.currentRound, state.currentRoundDate);
+		UIManager.renderStandings();
+		UIManager.renderMatches();
+		return true;
+	},
+
+	/**
+	 * Applies the scenario encoded in the URL fragment and reports the outcome.
+	 * @param {Object} [options]
+	 * @param {boolean} [options.fallbackToSaved=false] - restore the saved scenario when the link is rejected
+	 * @param {boolean} [options.render=true] - re-render matches and standings afterwards
+	 */
+	applySharedScenario({ fallbackToSaved = false, render = true } = {}) {
+		const result = MatchManager.recordStep('Abrir link compartilhado', () => ShareService.applyFromLocation());
+		if (result.ok) {
+			UIManager.notify(`Cenário compartilhado carregado (${result.applied} placares).`);
+		} else {
+			UIManager.notify(`Não foi possível abrir o cenário: ${result.error}.`, 'error');
+			if (fallbackToSaved) dataManager.restoreScenario();
+		}
+		if (render) {
+			UIManager.renderMatches();
+			UIManager.renderStandings();
+		}
+	},
+
+	/**
+	 * Runs the Monte Carlo season simulation with the number of seasons typed by the
+	 * user, showing progress while it runs and re-rendering the standings with the
+	 * probability columns once it finishes.
+	 * @async
+	 */
+	async runSeasonSimulation() {
+		refreshElements();
+		const btn = elements.simulateSeasonsBtn;
+		const progress = elements.seasonProgress;
+		const iterations = parseInt(elements.seasonIterationsInput && elements.seasonIterationsInput.value, 10) || CONFIG.SEASON_SIMULATIONS;
+		if (btn) btn.disabled = true;
+		try {
+			const result = await SeasonSimulator.run(iterations, {
+				onProgress: (ratio) => {
+					if (progress) progress.textContent = `${Math.round(ratio * 100)}%`;
+				}
+			});
+			if (progress) progress.textContent = `${result.iterations} temporadas simuladas`;
+			UIManager.renderStandings();
+		} catch (err) {
+			console.error('Erro na simulação de temporadas:', err);
+			if (progress) progress.textContent = 'Erro na simulação';
+		} finally {
+			if (btn) btn.disabled = false;
+		}
+	},
+
 	/**
 	 * Update the round title and date in the UI
 	 * @param {number} round
@@ -323,6 +1523,34 @@ export const UIManager = {
 		refreshElements();
 		if (elements.roundTitle) elements.roundTitle.textContent = `Rodada ${round}`;
 		if (elements.roundDate) elements.roundDate.textContent = date || '';
+		// keep navigation in sync when the round was restored rather than navigated to
+		if (elements.prevRoundBtn) elements.prevRoundBtn.disabled = round <= CONFIG.MIN_ROUND;
+		if (elements.nextRoundBtn) elements.nextRoundBtn.disabled = round >= CONFIG.MAX_ROUND;
+	},
+
+	/**
+	 * Shows a short-lived notification in the toast region.
+	 * @param {string} message - text to show
+	 * @param {'info'|'warning'|'error'} [type='info'] - controls the colour
+	 * @param {number} [durationMs=6000] - how long the notification stays visible
+	 */
+	notify(message, type = 'info', durationMs = 6000) {
+		const region = document.getElementById('toast-region');
+		if (!region) {
+			console.info(message);
+			return;
+		}
+		const colors = {
+			info: 'bg-white border-gray-200 text-gray-700',
+			warning: 'bg-yellow-50 border-yellow-300 text-yellow-800',
+			error: 'bg-red-50 border-red-300 text-red-800'
+		};
+		const toast = document.createElement('div');
+		toast.className = `pointer-events-auto max-w-sm border rounded-lg shadow px-4 py-2 text-sm ${colors[type] || colors.info}`;
+		toast.setAttribute('role', type === 'info' ? 'status' : 'alert');
+		toast.textContent = message;
+		region.appendChild(toast);
+		setTimeout(() => toast.remove(), durationMs);
 	},
 
 	/**
@@ -398,6 +1626,7 @@ export const UIManager = {
 			// persist the user's choice (mobile preference) but do not force it
 			// to apply on desktop — applyCompact already handles that.
 			state.compactTable = !!compact;
+			ScenarioService.scheduleSave();
 			// update visual state
 			UIManager.updateCompactButtons();
 		}
@@ -5,6 +5,106 @@ import { state } from './dataManager.js';
 import { StandingsCalculator } from './standingsCalculator.js';
 import { MatchManager } from './matchManager.js';
 import { Utils } from './utils.js';
+import { CONFIG } from './config.js';
+import { ChartRenderer } from './chartRenderer.js';
+import { PoolService } from './poolService.js';
+import { DataValidator } from './dataValidator.js';
+import { LeagueService } from './leagueService.js';
+import { OfficialResultsService } from './officialResultsService.js';
+
+// Visual treatment of each score source (see MatchManager)
+const SCORE_SOURCES = {
+    manual: {
+        label: 'Digitado',
+        short: 'D',
+        title: 'Placar digitado por você',
+        card: 'border border-blue-200',
+        badge: 'bg-blue-50 text-blue-700',
+        input: 'text-blue-800'
+    },
+    simulated: {
+        label: 'Simulado',
+        short: 'S',
+        title: 'Placar gerado pela simulação',
+        card: 'border border-dashed border-purple-300',
+        badge: 'bg-purple-50 text-purple-700',
+        input: 'italic text-purple-800'
+    },
+    official: {
+        label: '🔒 Oficial',
+        short: '🔒',
+        title: 'Resultado oficial (não editável)',
+        card: 'border border-green-300',
+        badge: 'bg-green-50 text-green-700',
+        input: ''
+    }
+};
+
+// Form guide labels (last results of a team)
+const FORM_RESULTS = {
+    win: { label: 'V', title: 'Vitória', className: 'bg-green-600 text-white' },
+    draw: { label: 'E', title: 'Empate', className: 'bg-gray-400 text-white' },
+    loss: { label: 'D', title: 'Derrota', className: 'bg-red-600 text-white' }
+};
+
+// Badges of each severity in the diagnostics panel (see DataValidator)
+const ISSUE_SEVERITIES = {
+    error: { label: 'Erro', className: 'bg-red-100 text-red-800' },
+    warning: { label: 'Aviso', className: 'bg-amber-100 text-amber-800' }
+};
+
+/**
+ * Renders DataValidator issues as list items: severity badge, entry and message.
+ * @param {Array<Object>} issues
+ * @returns {string} <li> markup
+ * @private
+ */
+function renderIssueItems(issues) {
+    return issues.map(issue => `
+                    <li class="flex items-start gap-2 py-1 border-b border-gray-100 text-sm">
+                        <span class="shrink-0 px-2 py-0.5 rounded-full text-xs ${ISSUE_SEVERITIES[issue.severity].className}">${ISSUE_SEVERITIES[issue.severity].label}</span>
+                        <span>${issue.entry ? `<span class="text-gray-500">${Utils.escapeHtml(issue.entry)}:</span> ` : ''}${Utils.escapeHtml(issue.message)}</span>
+                    </li>`).join('');
+}
+
+// Kinds of pool hit (PoolService.scorePrediction)
+const POOL_HITS = {
+    exact: { label: 'Placar exato', className: 'bg-green-600 text-white' },
+    goalDifference: { label: 'Vencedor e saldo', className: 'bg-green-100 text-green-800' },
+    outcome: { label: 'Resultado', className: 'bg-blue-100 text-blue-800' },
+    miss: { label: 'Errou', className: 'bg-gray-100 text-gray-600' },
+    none: { label: 'Sem palpite', className: 'bg-gray-50 text-gray-400' }
+};
+
+/**
+ * Describes a complete match from one team's point of view.
+ * @param {Object} match - complete match
+ * @param {number} teamId - team whose result is described
+ * @returns {{ home: boolean, goalsFor: number, goalsAgainst: number, result: 'win'|'draw'|'loss' }}
+ * @private
+ */
+function describeResult(match, teamId) {
+    const home = match.homeTeam.id === teamId;
+    const goalsFor = Number(home ? match.homeScore : match.awayScore);
+    const goalsAgainst = Number(home ? match.awayScore : match.homeScore);
+    let result = 'draw';
+    if (goalsFor > goalsAgainst) result = 'win';
+    else if (goalsFor < goalsAgainst) result = 'loss';
+    return { home, goalsFor, goalsAgainst, result };
+}
+
+/**
+ * Picks black or white text for a background colour, by its relative luminance.
+ * @param {string} hex - colour as "#rrggbb"
+ * @returns {string} "#111827" or "#ffffff"
+ * @private
+ */
+function readableTextColor(hex) {
+    const value = parseInt(String(hex).replace('#', ''), 16);
+    if (Number.isNaN(value)) return '#ffffff';
+    const luminance = (0.299 * (value >> 16) + 0.587 * ((value >> 8) & 255) + 0.114 * (value & 255)) / 255;
+    return luminance > 0.6 ? '#111827' : '#ffffff';
+}
 
 export const UIRenderer = {
 
@@ -12,11 +112,20 @@ export const UIRenderer = {
     /**
      * Renders a single match card based on the given match data.
      * Resolves canonical team metadata (name, acronym, logo) and renders
-     * the match card with input fields for score editing.
+     * the match card with input fields for score editing, labelled with the
+     * source of the score (typed, simulated or official).
+     * The options show other scores on the same card, e.g. pool predictions.
      * @param {Object} match - match data object with homeTeam and awayTeam
+     * @param {Object} [options]
+     * @param {{ homeScore, awayScore }} [options.scores=match] - scores shown in the inputs
+     * @param {string} [options.inputClass='match-input'] - class of the inputs (UIManager binds
+     *   `.match-input` to the scenario scores)
+     * @param {boolean} [options.showSource=true] - style the card by the source of the match score
+     * @param {boolean} [options.locked] - read-only inputs (default: official scores)
+     * @param {string} [options.footer=''] - markup shown below the teams
      * @returns {string} - rendered match card HTML string
      */
-    renderMatchCard(match) {
+    renderMatchCard(match, { scores = match, inputClass: scoreInputClass = 'match-input', showSource = true, locked = match.source === 'official', footer = '' } = {}) {
         // Resolve canonical metadata (may return null if not available)
         const homeMeta = TeamService.getTeamById(match.homeTeam?.id, state) || match.homeTeam || {};
         const awayMeta = TeamService.getTeamById(match.awayTeam?.id, state) || match.awayTeam || {};
@@ -30,6 +139,10 @@ export const UIRenderer = {
 
         const matchId = match.id;
         const isComplete = MatchService.isMatchComplete(match);
+        // Where the score came from: shown as a label (not only a colour); official scores are read-only
+        const source = showSource && isComplete ? SCORE_SOURCES[match.source] || SCORE_SOURCES.manual : null;
+        const inputAttrs = locked ? 'readonly aria-readonly="true"' : '';
+        const inputClass = locked ? 'bg-green-50 cursor-not-allowed' : source ? source.input : '';
 
         // Left column: home team
         const leftCol = `
@@ -45,9 +158,9 @@ export const UIRenderer = {
         // Middle column: inputs for scores
         const middleCol = `
             <div class="flex items-center content-center gap-2">
-                <input value="${match.homeScore ?? ''}" data-match-id="${matchId}" data-field="homeScore" data-team-id="${homeMeta.id}" class="match-input w-12 h-8 text-center border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-400" aria-label="Placar do ${homeName}">
+                <input value="${scores.homeScore ?? ''}" data-match-id="${matchId}" data-field="homeScore" data-team-id="${homeMeta.id}" ${inputAttrs} class="${scoreInputClass} w-12 h-8 text-center border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-400 ${inputClass}" aria-label="Placar do ${homeName}">
                 <span aria-hidden="true">×</span>
-                <input value="${match.awayScore ?? ''}" data-match-id="${matchId}" data-field="awayScore" data-team-id="${awayMeta.id}" class="match-input w-12 h-8 text-center border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-400" aria-label="Placar do ${awayName}">
+                <input value="${scores.awayScore ?? ''}" data-match-id="${matchId}" data-field="awayScore" data-team-id="${awayMeta.id}" ${inputAttrs} class="${scoreInputClass} w-12 h-8 text-center border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-400 ${inputClass}" aria-label="Placar do ${awayName}">
             </div>`;
 
         // Right column: away team
@@ -61,13 +174,34 @@ export const UIRenderer = {
                 </div>
             </div>`;
 
+        const sourceBadge = source
+            ? `<div class="mt-2 flex justify-center"><span class="text-xs px-2 py-0.5 rounded-full ${source.badge}" title="${source.title}">${source.label}</span></div>`
+            : '';
+
         return `
-            <div class="lg:min-w-[450px] md:min-w-[300px] bg-gray-50 rounded-lg p-4 ${isComplete ? 'border border-green-200' : 'border border-gray-100'}" data-match-complete="${isComplete}" data-match-id="${matchId}">
+            <div class="lg:min-w-[450px] md:min-w-[300px] bg-gray-50 rounded-lg p-4 ${source ? source.card : 'border border-gray-100'}" data-match-complete="${isComplete}" data-match-id="${matchId}" data-source="${isComplete ? match.source || 'manual' : ''}">
                 <div class="flex gap-2 items-center justify-center">
                     ${leftCol}
                     ${middleCol}
                     ${rightCol}
                 </div>
+                ${sourceBadge}
+                ${footer}
+            </div>`;
+    },
+
+    /**
+     * Renders a pending (postponed) match: a caption with its original round and new
+     * date above the regular match card.
+     * @param {Object} match - pending match with originalRound and date
+     * @returns {string} - rendered HTML string
+     */
+    renderPendingMatchCard(match) {
+        const caption = [`Rodada ${match.originalRound}`, match.date ? `nova data ${match.date}` : 'sem data definida'].join(' · ');
+        return `
+            <div class="flex flex-col gap-1" data-pending-match="${match.id}">
+                <span class="text-xs text-gray-500 text-center">${caption}</span>
+                ${UIRenderer.renderMatchCard(match)}
             </div>`;
     },
 
@@ -88,8 +222,8 @@ export const UIRenderer = {
 
     /**
      * Renders the Standings table by delegating to UIRenderer.renderStandings.
-     * It populates the table with the current sorted standings list and animates the rows that
-     * changed position using FLIP animation.
+     * It populates the table with the standings after the selected round (or the final table
+     * when pinned) and animates the rows that changed position using FLIP animation.
      * @private
      */
     renderStandings() {
@@ -100,21 +234,14 @@ export const UIRenderer = {
 
             if (!fixedBody || !scrollBody) return;
 
-            const standings = Array.isArray(state && state.standings) ? state.standings : [];
-            const sorted = StandingsCalculator.sortStandings(standings || []);
-            const previous = state.previousStandings || [];
-            // Compute position changes, but allow suppression on initial load/reset
-            const rawChanges = StandingsCalculator.getPositionChanges(sorted, previous);
-
-            // If DataManager requested to skip indicators (first render after load/reset), do not expose changes
-            const visibleChanges = {};
-            if (!state._skipStandingsIndicators) {
-                Object.keys(rawChanges).forEach(id => {
-                    const ch = rawChanges[id];
-                    if (!ch) return;
-                    visibleChanges[id] = ch;
-                });
-            }
+            // The table after the selected round, or the final one when pinned (state.standingsView)
+            const view = MatchManager.getStandingsAsOf(state.standingsView === 'final' ? null : state.currentRound);
+            const sorted = view.standings;
+            // Clinched / eliminated badges always refer to the final table of the scenario
+            const outlook = StandingsCalculator.analyzeFinalPositions();
+            UIRenderer.renderStandingsCaption(view.round);
+            // Change indicators compare with the table one round earlier
+            const visibleChanges = StandingsCalculator.getPositionChanges(sorted, view.previous);
 
             // Capture previous DOM positions for FLIP animation
             const prevPositions = {};
@@ -152,27 +279,32 @@ export const UIRenderer = {
                 return '';
             };
 
+            // Helper: explain which tie-breaker placed a team below the one above it.
+            // Criteria without a column of their own (head-to-head, cards, draw) get a visible mark.
+            const buildTiebreakInfo = (team, teamAbove) => {
+                if (!team.tiebreaker || !teamAbove) return { title: '', mark: '' };
+                const aboveMeta = TeamService.getTeamById(teamAbove.id, state) || teamAbove;
+                const label = StandingsCalculator.getTiebreakerLabel(team.tiebreaker);
+                const title = `Empatado em pontos com ${aboveMeta.name || ''}; desempate: ${label}`;
+                const hidden = !['victories', 'balance_goals', 'goal_pro', 'goal_against'].includes(team.tiebreaker);
+                const mark = hidden ? `<sup class="text-amber-600 font-normal ml-0.5" aria-label="${title}">*</sup>` : '';
+                return { title, mark };
+            };
+
             // Helper: create the fixed (left) row
-            const createFixedRow = (team, canonical, changeIndicatorHtml) => {
-                let badgeClass = '';
-                switch (true) {
-                    case team.position <= 4:
-                        badgeClass = 'text-green-600'; break;
-                    case team.position <= 6:
-                        badgeClass = 'text-green-300'; break;
-                    case team.position <= 12:
-                        badgeClass = 'text-blue-600'; break;
-                    case team.position <= 16:
-                        badgeClass = 'text-gray-400'; break;
-                    default:
-                        badgeClass = 'text-red-600'; break;
-                }
+            const createFixedRow = (team, canonical, changeIndicatorHtml, tiebreak = { title: '', mark: '' }, clinch = null) => {
+                // Badge colour comes from the competition zones; positions outside them stay grey
+                const zone = UIRenderer.getZoneForPosition(team.position);
+                const badgeAttrs = zone ? `style="color: ${zone.color}" title="${zone.label}"` : '';
                 const row = document.createElement('tr');
-                row.classList.add('h-12', 'border-b', 'grid', 'grid-cols-[15%_70%_15%]');
+                row.classList.add('h-12', 'border-b', 'grid', 'grid-cols-[15%_70%_15%]', 'cursor-pointer', 'hover:bg-gray-50');
                 row.setAttribute('data-team-id', String(team.id));
+                // Rows open the team panel (see UIManager.openTeamPanel); only the fixed half is a tab stop
+                row.tabIndex = 0;
+                row.title = `Ver detalhes: ${canonical.name || team.name || ''}`;
                 row.innerHTML = `
                     <td class="flex items-center justify-center content-center relative">
-                        <span class="px-2 py-1 text-xs ${badgeClass}">${team.position}</span>
+                        <span class="px-2 py-1 text-xs ${zone ? '' : 'text-gray-400'}" data-zone="${zone ? zone.key : ''}" ${badgeAttrs}>${team.position}</span>
                     </td>
                     <td class="flex items-center content-center gap-2">
                         <div class="relative w-2 h-6 flex items-center justify-center" aria-hidden="true">
@@ -186,20 +318,35 @@ export const UIRenderer = {
                                 <span class="lg:hidden">${canonical.acronym || team.acronym || canonical.name || team.name || ''}</span>
                                 <span class="hidden lg:inline">${canonical.name || team.name || ''}</span>
                             </div>
+                            ${clinch ? `<span class="text-[10px] leading-4 px-1.5 rounded-full whitespace-nowrap" style="background-color: ${clinch.color}; color: ${readableTextColor(clinch.color)}" title="${clinch.title}" data-clinch="${clinch.key}">${clinch.label}</span>` : ''}
                         </div>
                     </td>
-                    <td class="text-center content-center font-bold">
-                        ${team.points}
+                    <td class="text-center content-center font-bold" data-tiebreaker="${team.tiebreaker || ''}" ${tiebreak.title ? `title="${tiebreak.title}"` : ''}>
+                        ${team.points}${tiebreak.mark}
                     </td>
                 `;
                 return row;
             };
 
+            // Monte Carlo probabilities are rendered as extra scrollable columns when available
+            const probabilities = state.seasonProbabilities || null;
+            const zones = probabilities ? CONFIG.PROBABILITY_ZONES : [];
+            // Set inline: Tailwind has no grid-cols-* class above 12 columns
+            const gridColumns = UIRenderer.getScrollGridColumns(zones.length);
+            UIRenderer.renderProbabilityHeader(zones, probabilities);
+            UIRenderer.renderLegend();
+
             // Helper: create the scrollable (right) row
             const createScrollRow = (team) => {
                 const row = document.createElement('tr');
-                row.classList.add('h-12', 'border-b', 'grid', 'grid-cols-7');
+                row.classList.add('h-12', 'border-b', 'grid', 'cursor-pointer', 'hover:bg-gray-50');
+                row.style.gridTemplateColumns = gridColumns;
                 row.setAttribute('data-team-id', String(team.id));
+                const teamProbabilities = (probabilities && probabilities.teams[team.id]) || {};
+                const probabilityCells = zones.map(zone => {
+                    const value = teamProbabilities[zone.key] || 0;
+                    return `<td class="text-sm text-center content-center ${value > 0 ? '' : 'text-gray-300'}" data-probability="${zone.key}">${UIRenderer.formatProbability(value)}</td>`;
+                }).join('');
                 row.innerHTML = `
                     <td class="text-sm text-center content-center">${team.games || 0}</td>
                     <td class="text-sm text-center content-center">${team.victories || 0}</td>
@@ -208,6 +355,7 @@ export const UIRenderer = {
                     <td class="text-sm text-center content-center">${team.goal_pro || 0}</td>
                     <td class="text-sm text-center content-center">${team.goal_against || 0}</td>
                     <td class="text-sm text-center content-center ${team.balance_goals >= 0 ? 'text-green-600' : 'text-red-600'}">${team.balance_goals >= 0 ? '+' : ''}${team.balance_goals || 0}</td>
+                    ${probabilityCells}
                 `;
                 return row;
             };
@@ -218,7 +366,9 @@ export const UIRenderer = {
                 const change = (visibleChanges && visibleChanges[team.id]) || null;
                 const changeIndicatorHtml = buildChangeIndicator(change);
 
-                const fixedRow = createFixedRow(team, canonical, changeIndicatorHtml);
+                const tiebreak = buildTiebreakInfo(team, sorted[idx - 1]);
+                const clinch = UIRenderer.getClinchBadge(outlook[team.id]);
+                const fixedRow = createFixedRow(team, canonical, changeIndicatorHtml, tiebreak, clinch);
                 const scrollRow = createScrollRow(team);
 
                 // Determine effective compact mode: only apply compact on small viewports
@@ -235,24 +385,14 @@ export const UIRenderer = {
                 scrollBody.appendChild(scrollRow);
             });
 
-            // After rendering, animate rows that changed position using FLIP
+            // After rendering, animate every row that moved on screen using FLIP
             try {
-                // build a set of team ids that actually changed position (visibleChanges)
-                const changedIds = new Set(Object.keys(visibleChanges || {}));
-                Utils.animateFLIP(fixedBody, prevPositions, changedIds);
-                Utils.animateFLIP(scrollBody, prevPositions, changedIds);
+                Utils.animateFLIP(fixedBody, prevPositions);
+                Utils.animateFLIP(scrollBody, prevPositions);
             } catch (err) {
                 // ignore animation errors
             }
 
-            // After rendering, update previous standings snapshot to the new sorted list
-            state.previousStandings = JSON.parse(JSON.stringify(sorted || []));
-
-            // Clear the transient skip flag so future renders will show indicators
-            if (state._skipStandingsIndicators) {
-                state._skipStandingsIndicators = false;
-            }
-
             // Trigger a brief animation for visible indicators, then remove the animation class so it doesn't loop forever
             setTimeout(() => {
                 const nodes = document.querySelectorAll('.change-indicator');
@@ -266,6 +406,836 @@ export const UIRenderer = {
         }
     },
 
+    /**
+     * Describes which table is shown (after the selected round, or the final one) and
+     * reflects it on the view toggle buttons.
+     * @param {number} round - round the shown table is computed up to
+     */
+    renderStandingsCaption(round) {
+        const pinned = state.standingsView === 'final';
+        const caption = document.getElementById('standings-caption');
+        if (caption) caption.textContent = pinned ? 'Tabela final do cenário' : `Classificação após a rodada ${round}`;
+        const markActive = (btn, active) => {
+            if (!btn) return;
+            btn.setAttribute('aria-pressed', String(active));
+            ['bg-blue-600', 'text-white'].forEach(c => btn.classList.toggle(c, active));
+            ['bg-white', 'text-gray-700'].forEach(c => btn.classList.toggle(c, !active));
+        };
+        const roundBtn = document.getElementById('standings-view-round');
+        if (roundBtn) roundBtn.textContent = `Rodada ${state.currentRound}`;
+        markActive(roundBtn, !pinned);
+        markActive(document.getElementById('standings-view-final'), pinned);
+    },
+
+    /**
+     * Picks the badge describing what a team has mathematically secured, given the
+     * range of final positions it can still reach (StandingsCalculator.analyzeFinalPositions):
+     * title, relegation, a whole zone, a top-N target (e.g. G6) or escaping relegation.
+     * @param {{ best: number, worst: number }} range - best and worst possible final position
+     * @returns {{ key: string, label: string, color: string, title: string }|null} null when nothing is decided
+     */
+    getClinchBadge(range) {
+        if (!range) return null;
+        const { best, worst } = range;
+        const title = best === worst
+            ? `Posição final garantida: ${best}º`
+            : `Pode ainda terminar entre ${best}º e ${worst}º (limite conservador; empates em pontos contados contra o time)`;
+        const bottom = CONFIG.ZONES.find(zone => zone.to >= CONFIG.TEAM_COUNT) || null;
+        if (worst === 1) return { key: 'champion', label: 'Campeão', color: '#d97706', title };
+        if (bottom && best >= bottom.from) return { key: bottom.key, label: 'Rebaixado', color: bottom.color, title };
+        const zone = CONFIG.ZONES.find(z => z !== bottom && best >= z.from && worst <= z.to);
+        if (zone) return { key: zone.key, label: `Garantido na ${zone.label}`, color: zone.color, title };
+        const target = CONFIG.PROBABILITY_ZONES
+            .filter(t => t.from === 1 && t.to > 1 && worst <= t.to)
+            .sort((a, b) => a.to - b.to)[0];
+        if (target) return { key: target.key, label: `Garantido no ${target.label}`, color: (UIRenderer.getZoneForPosition(target.to) || { color: '#16a34a' }).color, title };
+        if (bottom && worst < bottom.from) return { key: 'safe', label: 'Livre do rebaixamento', color: '#6b7280', title };
+        return null;
+    },
+
+    /**
+     * Returns the standings zone (CONFIG.ZONES) that contains the given position.
+     * @param {number} position - 1-based table position
+     * @returns {Object|null} the zone, or null when the position is in no zone
+     */
+    getZoneForPosition(position) {
+        return CONFIG.ZONES.find(zone => position >= zone.from && position <= zone.to) || null;
+    },
+
+    /**
+     * Fills the standings legend with one entry per zone in CONFIG.ZONES.
+     */
+    renderLegend() {
+        const legend = document.getElementById('standings-legend');
+        if (!legend) return;
+        legend.innerHTML = CONFIG.ZONES.map(zone => `
+            <div class="items-center justify-center gap-2 min-w-[100px]" data-zone="${zone.key}">
+                <span class="inline-flex items-center justify-center w-2 h-2 aspect-square opacity-50 font-semibold" style="background-color: ${zone.color}"> </span>
+                <span class="text-xs" title="${zone.from === zone.to ? `${zone.from}º` : `${zone.from}º–${zone.to}º`}">${zone.label}</span>
+            </div>`).join('');
+    },
+
+    /**
+     * Column template of the scrollable standings rows and header: the seven stats
+     * columns plus one per probability zone, in equal widths (like grid-cols-N).
+     * @param {number} zoneCount - number of probability columns
+     * @returns {string} a grid-template-columns value
+     */
+    getScrollGridColumns(zoneCount) {
+        return `repeat(${7 + zoneCount}, minmax(0, 1fr))`;
+    },
+
+    /**
+     * Adds (or removes) the probability column headers in the scrollable standings
+     * header so they line up with the cells built by renderStandings.
+     * @param {Array<Object>} zones - zones rendered as columns (empty to remove them)
+     * @param {Object|null} probabilities - current state.seasonProbabilities
+     */
+    renderProbabilityHeader(zones, probabilities) {
+        const head = document.getElementById('standings-scroll-head');
+        if (!head) return;
+        head.querySelectorAll('th[data-probability]').forEach(th => th.remove());
+        head.style.gridTemplateColumns = UIRenderer.getScrollGridColumns(zones.length);
+        zones.forEach(zone => {
+            const th = document.createElement('th');
+            th.className = 'bg-gray-50 text-xs font-medium text-gray-500 uppercase px-4 content-center';
+            th.setAttribute('data-probability', zone.key);
+            th.title = `Probabilidade (${zone.from === zone.to ? `${zone.from}º` : `${zone.from}º–${zone.to}º`}) em ${probabilities.iterations} temporadas simuladas`;
+            th.textContent = zone.label;
+            head.appendChild(th);
+        });
+    },
+
+    /**
+     * Formats a probability between 0 and 1 as a pt-BR percentage.
+     * Tiny non-zero values are shown as "<0,1%" so they are not mistaken for zero.
+     * @param {number} value - probability between 0 and 1
+     * @returns {string} formatted percentage
+     */
+    formatProbability(value) {
+        if (!value) return '0%';
+        if (value < 0.001) return '<0,1%';
+        return value.toLocaleString('pt-BR', { style: 'percent', maximumFractionDigits: 1 });
+    },
+
+    /**
+     * Renders the body of the team detail panel: summary, home/away record, last
+     * five results, points and position after every round, the target calculator and
+     * the team's fixtures with editable scores (`.match-input`, like the match cards).
+     * @param {number} teamId - team id
+     * @param {Object} [options]
+     * @param {string|null} [options.goalKey=null] - goal selected in the target calculator
+     *   (see StandingsCalculator.getTargetGoals); defaults to the nearest goal above the team
+     * @param {Object|null} [options.estimate=null] - result of SeasonSimulator.estimateCutoffs
+     *   for the current scenario, when computed
+     * @returns {string} HTML string
+     */
+    renderTeamPanel(teamId, { goalKey = null, estimate = null } = {}) {
+        const team = TeamService.getTeamById(teamId, state);
+        if (!team) return '<p class="text-sm text-gray-500">Time não encontrado.</p>';
+        const sorted = StandingsCalculator.sortStandings(state.standings || []);
+        const row = sorted.find(t => t.id === teamId) || team;
+        const zone = UIRenderer.getZoneForPosition(row.position);
+        const outlook = StandingsCalculator.analyzeFinalPositions()[teamId] || null;
+        const clinch = UIRenderer.getClinchBadge(outlook);
+        const teamMatches = MatchManager.getTeamMatches(teamId);
+        const played = teamMatches.filter(({ match }) => MatchService.isMatchComplete(match));
+
+        // Summary
+        const summary = `
+            <div class="flex items-center gap-3" data-section="team-summary">
+                <img class="w-12 h-12 object-contain flex-shrink-0" src="${TeamService.getTeamLogo(team, state)}" alt="${team.name || ''}">
+                <div class="flex flex-col">
+                    <span class="text-2xl font-bold">${row.position}º <span class="text-base font-normal text-gray-500">${row.points} pts</span></span>
+                    ${zone ? `<span class="text-xs" style="color: ${zone.color}">${zone.label}</span>` : ''}
+                    ${outlook ? `<span class="text-xs text-gray-500" title="Empates em pontos contados contra o time no pior caso">Final possível: ${outlook.best === outlook.worst ? `${outlook.best}º` : `${outlook.best}º a ${outlook.worst}º`}${clinch ? ` · ${clinch.label}` : ''}</span>` : ''}
+                </div>
+                <div class="ml-auto text-xs text-gray-500 text-right">
+                    ${row.games || 0} J · ${row.victories || 0} V · ${row.draws || 0} E · ${row.defeats || 0} D<br>
+                    ${row.goal_pro || 0} GP · ${row.goal_against || 0} GC · SG ${row.balance_goals >= 0 ? '+' : ''}${row.balance_goals || 0}
+                </div>
+            </div>`;
+
+        // Home/away record, only over the matches this simulator knows about
+        const record = { home: { win: 0, draw: 0, loss: 0, goalsFor: 0, goalsAgainst: 0 }, away: { win: 0, draw: 0, loss: 0, goalsFor: 0, goalsAgainst: 0 } };
+        played.forEach(({ match }) => {
+            const r = describeResult(match, teamId);
+            const side = record[r.home ? 'home' : 'away'];
+            side[r.result] += 1;
+            side.goalsFor += r.goalsFor;
+            side.goalsAgainst += r.goalsAgainst;
+        });
+        const recordRow = (label, side) => `
+            <tr class="border-b border-gray-100">
+                <th scope="row" class="text-left font-medium py-1">${label}</th>
+                <td class="text-center">${side.win}</td>
+                <td class="text-center">${side.draw}</td>
+                <td class="text-center">${side.loss}</td>
+                <td class="text-center">${side.goalsFor}:${side.goalsAgainst}</td>
+            </tr>`;
+        const recordTable = `
+            <section data-section="team-record">
+                <h3 class="text-sm font-semibold text-gray-700 mb-1">Mandante × visitante</h3>
+                <table class="w-full text-sm">
+                    <thead class="text-xs text-gray-500 uppercase">
+                        <tr><th></th><th>V</th><th>E</th><th>D</th><th>Gols</th></tr>
+                    </thead>
+                    <tbody>
+                        ${recordRow('Em casa', record.home)}
+                        ${recordRow('Fora', record.away)}
+                    </tbody>
+                </table>
+                <p class="text-xs text-gray-400 mt-1">Jogos a partir da rodada ${CONFIG.MIN_ROUND} (placares digitados, simulados e oficiais).</p>
+            </section>`;
+
+        // Last five results, oldest first
+        const form = played.slice(-5).map(({ round, match }) => {
+            const r = describeResult(match, teamId);
+            const info = FORM_RESULTS[r.result];
+            const title = `${info.title} — rodada ${round}: ${match.homeTeam.name} ${match.homeScore} × ${match.awayScore} ${match.awayTeam.name}`;
+            return `<span class="w-7 h-7 rounded-full flex items-center justify-center text-xs font-bold ${info.className}" title="${title}">${info.label}</span>`;
+        }).join('');
+        const formSection = `
+            <section data-section="team-form">
+                <h3 class="text-sm font-semibold text-gray-700 mb-1">Últimos 5 jogos</h3>
+                <div class="flex gap-1">${form || '<span class="text-sm text-gray-400">Nenhum jogo com placar ainda.</span>'}</div>
+            </section>`;
+
+        // Points and position after every round, up to the last round with a result
+        const snapshots = MatchManager.getRoundSnapshots();
+        const lastRound = MatchManager.getMatchesByRound()
+            .filter(({ matches }) => matches.some(match => MatchService.isMatchComplete(match)))
+            .reduce((last, { round }) => Math.max(last, round), CONFIG.MIN_ROUND - 1);
+        const trajectory = snapshots
+            .filter(s => s.round <= lastRound)
+            .map(s => ({ round: s.round, team: s.standings.find(t => t.id === teamId) }))
+            .filter(s => s.team);
+        let charts = '<p class="text-sm text-gray-400">Preencha placares para ver a evolução rodada a rodada.</p>';
+        if (trajectory.length > 1) {
+            const xValues = trajectory.map(s => s.round);
+            const points = trajectory.map(s => s.team.points);
+            const pointsMin = Math.floor(Math.min(...points) / 5) * 5;
+            const pointsMax = Math.ceil(Math.max(...points) / 5) * 5 || 5;
+            const positionTicks = [1, ...Array.from({ length: Math.floor(CONFIG.TEAM_COUNT / 5) }, (_, i) => (i + 1) * 5)];
+            const color = zone ? zone.color : '#2563eb';
+            charts = `
+                <div>
+                    <h4 class="text-xs text-gray-500">Pontos</h4>
+                    ${ChartRenderer.renderLineChart({
+                        xValues,
+                        series: [{ key: 'points', label: 'Pontos', color, values: trajectory.map(s => ({ x: s.round, y: s.team.points, title: `Rodada ${s.round}: ${s.team.points} pts` })) }],
+                        yMin: pointsMin,
+                        yMax: Math.max(pointsMax, pointsMin + 5),
+                        yTicks: [pointsMin, Math.round((pointsMin + pointsMax) / 2), pointsMax],
+                        ariaLabel: `Pontos do ${team.name} rodada a rodada`
+                    })}
+                </div>
+                <div>
+                    <h4 class="text-xs text-gray-500">Posição</h4>
+                    ${ChartRenderer.renderLineChart({
+                        xValues,
+                        series: [{ key: 'position', label: 'Posição', color, values: trajectory.map(s => ({ x: s.round, y: s.team.position, title: `Rodada ${s.round}: ${s.team.position}º` })) }],
+                        yMin: 1,
+                        yMax: CONFIG.TEAM_COUNT,
+                        invertY: true,
+                        yTicks: positionTicks,
+                        ariaLabel: `Posição do ${team.name} rodada a rodada`
+                    })}
+                </div>`;
+        }
+        const chartSection = `
+            <section data-section="team-trajectory">
+                <h3 class="text-sm font-semibold text-gray-700 mb-1">Evolução no cenário</h3>
+                ${charts}
+            </section>`;
+
+        // Fixtures, with the same inputs (and source styles) as the match cards
+        const fixtures = teamMatches.map(({ round, match }) => {
+            const home = match.homeTeam.id === teamId;
+            const opponent = TeamService.getTeamById(home ? match.awayTeam.id : match.homeTeam.id, state) || (home ? match.awayTeam : match.homeTeam);
+            const isComplete = MatchService.isMatchComplete(match);
+            const source = isComplete ? SCORE_SOURCES[match.source] || SCORE_SOURCES.manual : null;
+            const locked = match.source === 'official';
+            const inputAttrs = locked ? 'readonly aria-readonly="true"' : '';
+            const inputClass = locked ? 'bg-green-50 cursor-not-allowed' : source ? source.input : '';
+            const roundLabel = match.pending ? `R${match.originalRound} · ${match.date || 'sem data'}` : `R${round}`;
+            const input = (field, side) => `<input value="${match[field] ?? ''}" data-match-id="${match.id}" data-field="${field}" data-team-id="${side.id}" ${inputAttrs} class="match-input w-9 h-7 text-center border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-400 ${inputClass}" aria-label="Placar do ${side.name} (rodada ${match.pending ? match.originalRound : round})">`;
+            const homeSide = home ? team : opponent;
+            const awaySide = home ? opponent : team;
+            return `
+                <li class="flex items-center gap-2 py-1 border-b border-gray-100 text-sm" data-match-id="${match.id}" data-source="${isComplete ? match.source || 'manual' : ''}">
+                    <span class="w-20 text-xs text-gray-500" ${match.pending ? 'title="Jogo atrasado"' : ''}>${roundLabel}</span>
+                    <span class="text-xs text-gray-500 w-6" title="${home ? 'Em casa' : 'Fora'}">${home ? 'C' : 'F'}</span>
+                    <img class="w-5 h-5 object-contain" src="${TeamService.getTeamLogo(opponent, state)}" alt="">
+                    <span class="flex-1 truncate">${opponent.name || ''}</span>
+                    ${input('homeScore', homeSide)}
+                    <span aria-hidden="true">×</span>
+                    ${input('awayScore', awaySide)}
+                    <span class="w-4 text-center text-xs" title="${source ? source.title : 'Sem placar'}">${source ? source.short : ''}</span>
+                </li>`;
+        }).join('');
+        const fixturesSection = `
+            <section data-section="team-fixtures">
+                <h3 class="text-sm font-semibold text-gray-700 mb-1">Jogos</h3>
+                <p class="text-xs text-gray-400 mb-1">Placar do mandante à esquerda. D = digitado, S = simulado, 🔒 = oficial.</p>
+                <ul>${fixtures || '<li class="text-sm text-gray-400">Nenhum jogo na tabela.</li>'}</ul>
+            </section>`;
+
+        const targetSection = UIRenderer.renderTargetCalculator(teamId, row, { goalKey, estimate });
+
+        return summary + recordTable + formSection + chartSection + targetSection + fixturesSection;
+    },
+
+    /**
+     * Renders the "what does the team need?" calculator of the team panel: points
+     * needed from the remaining matches to guarantee the selected goal
+     * (StandingsCalculator.analyzeTarget), what was enough in simulated seasons and a
+     * button applying the cheapest safe record.
+     * @param {number} teamId - team id
+     * @param {Object} row - the team's standings row
+     * @param {Object} options - { goalKey, estimate }, see renderTeamPanel
+     * @returns {string} HTML string
+     */
+    renderTargetCalculator(teamId, row, { goalKey, estimate }) {
+        const goals = StandingsCalculator.getTargetGoals();
+        if (goals.length === 0) return '';
+        const goal = goals.find(g => g.key === goalKey)
+            || goals.find(g => g.position >= row.position)
+            || goals[goals.length - 1];
+        const analysis = StandingsCalculator.analyzeTarget(teamId, goal.position);
+        const { win } = CONFIG.POINTS;
+        const perGame = (points) => (analysis.games > 0 ? points / analysis.games : 0)
+            .toLocaleString('pt-BR', { maximumFractionDigits: 2 });
+        const share = (points) => UIRenderer.formatProbability(analysis.games > 0 ? points / (analysis.games * win) : 0);
+
+        let verdict;
+        if (analysis.games === 0) {
+            verdict = 'O time não tem mais jogos sem placar.';
+        } else if (!analysis.reachable) {
+            verdict = `Fora de alcance: mesmo vencendo os ${analysis.games} jogos restantes, não termina em ${goal.position}º ou melhor.`;
+        } else if (analysis.needed === 0) {
+            verdict = 'Objetivo já garantido, independentemente dos próximos resultados.';
+        } else if (analysis.needed === null) {
+            verdict = `Mesmo vencendo os ${analysis.games} jogos restantes, ainda depende de outros resultados.`;
+        } else {
+            const { wins, draws } = analysis.record;
+            verdict = `Precisa de <strong>${analysis.needed} pts</strong> nos ${analysis.games} jogos restantes (${analysis.current + analysis.needed} no total) para garantir,
+                seja qual for o resto: ${perGame(analysis.needed)} por jogo, ${share(analysis.needed)} de aproveitamento.
+                Caminho mais barato: ${wins} vitória(s) e ${draws} empate(s).`;
+        }
+
+        let reference = `<button type="button" data-estimate-target class="text-xs text-blue-700 hover:underline">Estimar pelo modelo de partidas</button>`;
+        const cutoff = estimate && estimate.cutoffs[goal.position];
+        if (cutoff) {
+            const needed = Math.max(0, cutoff.p90 - analysis.current);
+            reference = `Em ${estimate.iterations} temporadas simuladas, ${cutoff.median} pts bastaram em metade delas e ${cutoff.p90} pts em 90%:
+                ${needed} pts a partir de agora (${perGame(needed)} por jogo, ${share(needed)} de aproveitamento).`;
+        }
+
+        const canApply = analysis.record && analysis.needed > 0;
+        return `
+            <section data-section="team-target">
+                <h3 class="text-sm font-semibold text-gray-700 mb-1">O que o time precisa?</h3>
+                <label class="text-xs text-gray-500" for="target-goal">Objetivo</label>
+                <select id="target-goal" class="ml-1 p-1 text-sm rounded-md border border-gray-300 bg-white text-gray-700">
+                    ${goals.map(g => `<option value="${g.key}" ${g.key === goal.key ? 'selected' : ''}>${g.label} (${g.position === 1 ? '1º' : `até ${g.position}º`})</option>`).join('')}
+                </select>
+                <p class="text-sm text-gray-700 mt-2" data-target-verdict>${verdict}</p>
+                <p class="text-xs text-gray-500 mt-1">Empates em pontos contam contra o time.</p>
+                <p class="text-sm text-gray-700 mt-2" data-target-reference>${reference}</p>
+                <button type="button" data-apply-target="${goal.key}" ${canApply ? '' : 'disabled'}
+                    class="mt-2 p-2 rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-100 transition text-sm disabled:opacity-50 disabled:cursor-not-allowed">
+                    Aplicar caminho mais barato
+                </button>
+            </section>`;
+    },
+
+    /**
+     * Renders the position-evolution chart: every team's position after each round,
+     * from the initial table (CONFIG.MIN_ROUND - 1) through CONFIG.MAX_ROUND, over the
+     * standings zones, followed by one toggle per team (ordered by final position).
+     * Hidden teams stay in the chart as thin grey lines.
+     * @param {Set<number>} [hiddenTeamIds=new Set()] - teams whose line is muted
+     * @returns {string} HTML string
+     */
+    renderPositionChart(hiddenTeamIds = new Set()) {
+        const snapshots = MatchManager.getRoundSnapshots();
+        const finalTable = snapshots[snapshots.length - 1].standings;
+        const xValues = snapshots.map(s => s.round);
+        // Colours follow teams.json order so a team keeps its colour when positions change
+        const teamIds = (state.teams || []).map(team => team.id);
+        const series = finalTable.map((row, index) => {
+            const team = TeamService.getTeamById(row.id, state) || row;
+            const colorIndex = teamIds.indexOf(row.id);
+            return {
+                key: String(row.id),
+                label: team.name || '',
+                color: ChartRenderer.getSeriesColor(colorIndex >= 0 ? colorIndex : index),
+                muted: hiddenTeamIds.has(row.id),
+                values: snapshots.map(s => {
+                    const entry = s.standings.find(t => t.id === row.id);
+                    return { x: s.round, y: entry.position, title: `Rodada ${s.round}: ${team.name} ${entry.position}º (${entry.points} pts)` };
+                })
+            };
+        });
+
+        const chart = ChartRenderer.renderLineChart({
+            xValues,
+            series,
+            yMin: 1,
+            yMax: CONFIG.TEAM_COUNT,
+            invertY: true,
+            yTicks: [1, ...Array.from({ length: Math.floor(CONFIG.TEAM_COUNT / 5) }, (_, i) => (i + 1) * 5)],
+            bands: CONFIG.ZONES.map(zone => ({ from: zone.from, to: zone.to, color: zone.color, label: zone.label })),
+            xTickCount: 12,
+            width: 640,
+            height: 360,
+            ariaLabel: `Posição de cada time da rodada ${xValues[0]} à ${xValues[xValues.length - 1]}`
+        });
+
+        const toggles = series.map(line => {
+            const team = TeamService.getTeamById(Number(line.key), state) || {};
+            const shown = !line.muted;
+            return `
+                <button type="button" data-chart-team="${line.key}" aria-pressed="${shown}" title="${line.label}: clique para mostrar/ocultar, clique duplo para isolar"
+                    class="flex items-center gap-1 px-2 py-0.5 rounded-full border text-xs ${shown ? 'border-gray-300 text-gray-700' : 'border-gray-200 text-gray-400 line-through'}">
+                    <span class="w-2 h-2 rounded-full" style="background-color: ${shown ? line.color : '#d1d5db'}"></span>
+                    ${team.acronym || line.label}
+                </button>`;
+        }).join('');
+
+        return `
+            ${chart}
+            <div class="flex flex-wrap items-center gap-1 mt-2" role="group" aria-label="Times no gráfico">
+                ${toggles}
+                <button type="button" data-chart-all="show" class="px-2 py-0.5 text-xs text-blue-700 hover:underline">Todos</button>
+                <button type="button" data-chart-all="hide" class="px-2 py-0.5 text-xs text-blue-700 hover:underline">Nenhum</button>
+            </div>`;
+    },
+
+    /**
+     * Renders the crosstable: home teams as rows, away teams as columns (teams.json
+     * order). Each fixture cell holds the two score inputs (`.match-input`, like the
+     * match cards; a dash when there is no score yet) and a link to its round
+     * (`data-crosstable-round`). Pairs outside the data set's rounds are greyed out.
+     * @returns {string} HTML string
+     */
+    renderCrosstable() {
+        const grid = MatchManager.getCrosstable();
+        const teams = (state.teams && state.teams.length ? state.teams : state.standings || [])
+            .map(team => TeamService.getTeamById(team.id, state) || team);
+        const crest = (team) => `<img class="w-5 h-5 object-contain" src="${TeamService.getTeamLogo(team, state)}" alt="">`;
+
+        const header = teams.map(team => `
+                <th scope="col" class="px-1 py-1 text-xs font-medium text-gray-500" title="${team.name || ''} (visitante)">
+                    <div class="flex flex-col items-center">${crest(team)}<span>${team.acronym || team.name || ''}</span></div>
+                </th>`).join('');
+
+        const rows = teams.map(home => {
+            const cells = teams.map(away => {
+                if (home.id === away.id) return '<td class="bg-gray-100" aria-hidden="true"></td>';
+                const entry = grid.get(`${home.id}:${away.id}`);
+                if (!entry) {
+                    return `<td class="text-center text-gray-300" title="${home.name} × ${away.name}: jogo anterior à rodada ${CONFIG.MIN_ROUND}">·</td>`;
+                }
+                const { round, match } = entry;
+                const isComplete = MatchService.isMatchComplete(match);
+                const source = isComplete ? SCORE_SOURCES[match.source] || SCORE_SOURCES.manual : null;
+                const locked = match.source === 'official';
+                const inputAttrs = locked ? 'readonly aria-readonly="true"' : '';
+                const inputClass = locked ? 'bg-green-50 cursor-not-allowed' : source ? source.input : '';
+                const roundLabel = match.pending ? `R${match.originalRound}*` : `R${round}`;
+                const roundTitle = match.pending ? `Jogo atrasado da rodada ${match.originalRound}, ${match.date || 'sem data'} (ir para os jogos atrasados)` : `Ir para a rodada ${round}`;
+                const input = (field, side) => `<input value="${match[field] ?? ''}" placeholder="–" data-match-id="${match.id}" data-field="${field}" data-team-id="${side.id}" ${inputAttrs} class="match-input w-6 h-6 text-center text-xs border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-400 ${inputClass}" aria-label="Placar do ${side.name} em ${home.name} × ${away.name}">`;
+                return `
+                    <td class="px-1 py-1 text-center" data-match-id="${match.id}" data-source="${isComplete ? match.source || 'manual' : ''}" title="${home.name} × ${away.name}${source ? ` (${source.label})` : ''}">
+                        <div class="flex items-center justify-center gap-0.5">${input('homeScore', home)}<span class="text-xs text-gray-400" aria-hidden="true">×</span>${input('awayScore', away)}</div>
+                        <button type="button" data-crosstable-round="${round}" ${match.pending ? 'data-crosstable-pending="true"' : ''} class="text-[10px] text-blue-700 hover:underline" title="${roundTitle}">${roundLabel}</button>
+                    </td>`;
+            }).join('');
+            return `
+                <tr class="border-t border-gray-100">
+                    <th scope="row" class="sticky left-0 bg-white px-2 py-1 text-xs font-medium text-gray-700 text-left" title="${home.name || ''} (mandante)">
+                        <div class="flex items-center gap-1">${crest(home)}<span>${home.acronym || home.name || ''}</span></div>
+                    </th>
+                    ${cells}
+                </tr>`;
+        }).join('');
+
+        return `
+            <p class="text-xs text-gray-400 mb-2">Mandantes nas linhas, visitantes nas colunas. * = jogo atrasado.</p>
+            <div class="overflow-x-auto">
+                <table class="border-collapse" aria-label="Tabela de confrontos">
+                    <thead>
+                        <tr>
+                            <th scope="col" class="sticky left-0 bg-white px-2 py-1 text-xs font-medium text-gray-500 text-left">Casa ↓ · Fora →</th>
+                            ${header}
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>`;
+    },
+
+    /**
+     * Renders the prediction pool ("bolão") panel: players, scoring rules, the chosen
+     * player's predictions for a round on match cards (`.pool-input`; closed once the
+     * match has an official result), the overall ranking and the round breakdown.
+     * @param {Object} [view]
+     * @param {number|null} [view.playerId=null] - player whose predictions are shown (default: the first)
+     * @param {number} [view.round=state.currentRound] - round shown
+     * @returns {string} HTML string
+     */
+    renderPool({ playerId = null, round = state.currentRound } = {}) {
+        const esc = Utils.escapeHtml;
+        const { players, scoring } = PoolService.getPool();
+        const player = PoolService.getPlayer(playerId) || players[0] || null;
+        const buttonClass = 'p-2 rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-100 transition text-sm disabled:opacity-40 disabled:cursor-not-allowed';
+
+        const playerItems = players.map(p => `
+                <li class="flex items-center justify-between gap-2 py-1 border-b border-gray-100 text-sm">
+                    <span class="truncate">${esc(p.name)}</span>
+                    <button type="button" data-pool-remove="${p.id}" title="Remover ${esc(p.name)} e seus palpites" aria-label="Remover ${esc(p.name)}"
+                        class="px-2 text-gray-500 hover:text-red-600">✕</button>
+                </li>`).join('');
+        const playersSection = `
+            <section data-section="pool-players">
+                <h3 class="text-sm font-semibold text-gray-700 mb-1">Participantes</h3>
+                <ul>${playerItems || '<li class="text-sm text-gray-400">Nenhum participante ainda.</li>'}</ul>
+                <form data-pool-add class="flex items-center gap-2 mt-2">
+                    <input name="name" type="text" maxlength="40" required placeholder="Nome" aria-label="Nome do participante"
+                        class="flex-1 min-w-0 h-9 px-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-400">
+                    <button type="submit" class="${buttonClass}">Adicionar</button>
+                </form>
+            </section>`;
+
+        const scoringInputs = ['exact', 'goalDifference', 'outcome'].map(kind => `
+                    <label class="flex flex-col gap-1 text-xs text-gray-600">
+                        ${POOL_HITS[kind].label}
+                        <input type="number" min="0" step="1" value="${scoring[kind]}" data-pool-scoring="${kind}"
+                            class="w-20 h-8 text-center border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-400">
+                    </label>`).join('');
+        const scoringSection = `
+            <section data-section="pool-scoring">
+                <h3 class="text-sm font-semibold text-gray-700 mb-1">Pontuação</h3>
+                <div class="flex flex-wrap gap-3">${scoringInputs}</div>
+                <p class="text-xs text-gray-400 mt-1">Os palpites só contam quando o jogo tem resultado oficial (🔒), importado ou confirmado aqui a partir do placar digitado no jogo; a partir daí não podem mais ser alterados.</p>
+            </section>`;
+
+        const breakdown = PoolService.getRoundBreakdown(round);
+        const rounds = PoolService.getRoundRange();
+        const playerScores = player ? breakdown.players.find(p => p.id === player.id) : null;
+        const cards = player ? breakdown.matches.map(match => {
+            const closed = PoolService.isClosed(match);
+            const hit = closed && playerScores ? playerScores.matches[match.id] : null;
+            const typed = !closed && match.source === 'manual' && MatchService.isMatchComplete(match);
+            let footer = '<div class="mt-2 text-center text-xs text-gray-400">Aguardando resultado oficial: digite o placar real no jogo para confirmá-lo aqui</div>';
+            if (closed) {
+                const reopen = OfficialResultsService.isImported(match) ? ''
+                    : `<button type="button" data-pool-reopen="${match.id}" class="text-blue-700 hover:underline" title="Voltar a editar o placar deste jogo">Reabrir</button>`;
+                footer = `<div class="mt-2 flex justify-center items-center gap-2 text-xs text-gray-600">
+                        <span>Oficial ${match.homeScore} × ${match.awayScore}</span>
+                        <span class="px-2 py-0.5 rounded-full ${POOL_HITS[hit.kind].className}">${POOL_HITS[hit.kind].label} (+${hit.points})</span>
+                        ${reopen}
+                    </div>`;
+            } else if (typed) {
+                footer = `<div class="mt-2 flex justify-center items-center gap-2 text-xs text-gray-600">
+                        <span>Placar digitado ${match.homeScore} × ${match.awayScore}</span>
+                        <button type="button" data-pool-confirm="${match.id}" class="${buttonClass} py-1" title="Trava o placar como resultado oficial e pontua os palpites">Confirmar como oficial</button>
+                    </div>`;
+            }
+            const caption = match.pending ? `<span class="text-xs text-gray-500 text-center">Atrasado da rodada ${match.originalRound}</span>` : '';
+            return `
+                <div class="flex flex-col gap-1">
+                    ${caption}
+                    ${UIRenderer.renderMatchCard(match, { scores: PoolService.getPrediction(player.id, match.id), inputClass: 'pool-input', showSource: false, locked: closed, footer })}
+                </div>`;
+        }).join('') : '';
+        const playerOptions = players.map(p => `<option value="${p.id}" ${player && p.id === player.id ? 'selected' : ''}>${esc(p.name)}</option>`).join('');
+        const predictionsSection = player ? `
+            <section data-section="pool-predictions">
+                <h3 class="text-sm font-semibold text-gray-700 mb-1">Palpites</h3>
+                <div class="flex flex-wrap items-center justify-between gap-2 mb-2">
+                    <select id="pool-player" aria-label="Participante" class="p-2 rounded-md border border-gray-300 bg-white text-gray-700 text-sm">${playerOptions}</select>
+                    <div class="flex items-center gap-2">
+                        <button type="button" data-pool-round="prev" ${round <= rounds.min ? 'disabled' : ''} aria-label="Rodada anterior" class="${buttonClass}">‹</button>
+                        <span class="text-sm font-medium">Rodada ${round}</span>
+                        <button type="button" data-pool-round="next" ${round >= rounds.max ? 'disabled' : ''} aria-label="Próxima rodada" class="${buttonClass}">›</button>
+                    </div>
+                </div>
+                <div class="flex flex-col gap-2">${cards || '<p class="text-sm text-gray-400">Nenhum jogo nesta rodada.</p>'}</div>
+            </section>` : '';
+
+        const rankingRows = PoolService.getRanking().map(row => `
+                    <tr class="border-t border-gray-100">
+                        <td class="py-1 pr-2">${row.position}º</td>
+                        <td class="py-1 pr-2 truncate max-w-[10rem]">${esc(row.name)}</td>
+                        <td class="py-1 px-1 text-right font-semibold">${row.points}</td>
+                        <td class="py-1 px-1 text-right">${row.exact}</td>
+                        <td class="py-1 px-1 text-right">${row.goalDifference}</td>
+                        <td class="py-1 px-1 text-right">${row.outcome}</td>
+                        <td class="py-1 pl-1 text-right text-gray-500">${row.scored}</td>
+                    </tr>`).join('');
+        const rankingSection = players.length ? `
+            <section data-section="pool-ranking">
+                <h3 class="text-sm font-semibold text-gray-700 mb-1">Classificação do bolão</h3>
+                <table class="w-full text-sm">
+                    <thead class="text-xs text-gray-500">
+                        <tr>
+                            <th class="text-left font-medium">#</th>
+                            <th class="text-left font-medium">Nome</th>
+                            <th class="text-right font-medium" title="Pontos">Pts</th>
+                            <th class="text-right font-medium" title="${POOL_HITS.exact.label}">Ex</th>
+                            <th class="text-right font-medium" title="${POOL_HITS.goalDifference.label}">VS</th>
+                            <th class="text-right font-medium" title="${POOL_HITS.outcome.label}">Res</th>
+                            <th class="text-right font-medium" title="Jogos com resultado oficial">J</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rankingRows}</tbody>
+                </table>
+            </section>` : '';
+
+        const closedMatches = breakdown.matches.filter(match => PoolService.isClosed(match));
+        const matchLabel = (match) => {
+            const home = TeamService.getTeamById(match.homeTeam.id, state) || match.homeTeam;
+            const away = TeamService.getTeamById(match.awayTeam.id, state) || match.awayTeam;
+            return { short: `${home.acronym || home.name} ${match.homeScore}×${match.awayScore} ${away.acronym || away.name}`, full: `${home.name} ${match.homeScore} × ${match.awayScore} ${away.name}` };
+        };
+        const breakdownHeader = closedMatches.map(match => {
+            const label = matchLabel(match);
+            return `<th class="px-1 font-medium whitespace-nowrap" title="${label.full}">${label.short}</th>`;
+        }).join('');
+        const breakdownRows = breakdown.players.map(row => {
+            const cells = closedMatches.map(match => {
+                const hit = row.matches[match.id];
+                const prediction = PoolService.getPrediction(row.id, match.id);
+                const predicted = hit.kind === 'none' ? 'sem palpite' : `palpite ${prediction.homeScore} × ${prediction.awayScore}`;
+                return `<td class="px-1 text-center"><span class="inline-block min-w-[1.75rem] px-1 rounded ${POOL_HITS[hit.kind].className}" title="${esc(row.name)}: ${predicted} · ${POOL_HITS[hit.kind].label}">${hit.points}</span></td>`;
+            }).join('');
+            return `
+                    <tr class="border-t border-gray-100">
+                        <th scope="row" class="py-1 pr-2 text-left font-normal truncate max-w-[8rem]">${esc(row.name)}</th>
+                        ${cells}
+                        <td class="py-1 pl-2 text-right font-semibold">${row.points}</td>
+                    </tr>`;
+        }).join('');
+        const breakdownSection = players.length ? `
+            <section data-section="pool-round">
+                <h3 class="text-sm font-semibold text-gray-700 mb-1">Pontos na rodada ${round}</h3>
+                ${closedMatches.length ? `
+                <div class="overflow-x-auto">
+                    <table class="text-xs">
+                        <thead class="text-gray-500">
+                            <tr><th></th>${breakdownHeader}<th class="pl-2 text-right font-medium">Total</th></tr>
+                        </thead>
+                        <tbody>${breakdownRows}</tbody>
+                    </table>
+                </div>` : '<p class="text-sm text-gray-400">Nenhum resultado oficial nesta rodada ainda.</p>'}
+            </section>` : '';
+
+        return playersSection + scoringSection + predictionsSection + rankingSection + breakdownSection;
+    },
+
+    /**
+     * Renders the diagnostics panel: the problems DataValidator found in the files of
+     * the loaded data set, grouped by file, with the entry each one refers to.
+     * @param {Object|null} diagnostics - state.diagnostics ({ datasetId, issues })
+     * @returns {string} panel markup
+     */
+    renderDiagnostics(diagnostics) {
+        const esc = Utils.escapeHtml;
+        const issues = diagnostics ? diagnostics.issues : [];
+        const { errors, warnings } = DataValidator.countIssues(issues);
+        const datasetId = diagnostics && diagnostics.datasetId;
+        // Leagues built in the app have no folder in data/
+        const where = LeagueService.isCustom(datasetId) ? 'na liga criada no simulador' : `em <code>${esc(datasetId ? `data/${datasetId}/` : 'data/')}</code>`;
+        const summary = issues.length
+            ? `${errors} erro(s) e ${warnings} aviso(s) ${where}. Erros indicam dados errados (a tabela pode ficar incorreta ou o campeonato não carregar); avisos, dados suspeitos que ainda funcionam.`
+            : `Nenhum problema encontrado ${where}.`;
+
+        const files = [];
+        issues.forEach(issue => {
+            const file = issue.file || 'geral';
+            let group = files.find(g => g.file === file);
+            if (!group) {
+                group = { file, issues: [] };
+                files.push(group);
+            }
+            group.issues.push(issue);
+        });
+        const sections = files.map(group => `
+            <section data-section="diagnostics-file">
+                <h3 class="text-sm font-semibold text-gray-700 mb-1"><code>${esc(group.file)}</code></h3>
+                <ul>${renderIssueItems(group.issues)}
+                </ul>
+            </section>`).join('');
+
+        return `
+            <p class="text-sm text-gray-600">${summary}</p>
+            ${sections}
+            <p class="text-xs text-gray-400">As mesmas verificações rodam fora do navegador com <code>node scripts/validate-data.mjs</code>.</p>`;
+    },
+
+    /**
+     * Renders the league builder: the saved leagues when no draft is open, otherwise
+     * the draft's name, teams (with crests), rules, zones and fixtures, followed by the
+     * problems LeagueService.validate finds. Saving is disabled while there are errors.
+     * @param {Object} view
+     * @param {Object|null} view.draft - LeagueService draft being edited
+     * @param {string} [view.seed=''] - seed typed for the fixture generator
+     * @returns {string} panel markup
+     */
+    renderLeagueBuilder({ draft, seed = '' }) {
+        const esc = Utils.escapeHtml;
+        const buttonClass = 'p-2 rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-100 transition text-sm disabled:opacity-40 disabled:cursor-not-allowed';
+        const inputClass = 'h-9 px-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-400';
+        const crest = (team) => (team.image
+            ? `<img src="${esc(team.image)}" alt="" class="w-7 h-7 object-contain">`
+            : `<span class="w-7 h-7 rounded-full bg-gray-200 text-[10px] text-gray-600 flex items-center justify-center">${esc((team.acronym || '').slice(0, 3))}</span>`);
+
+        if (!draft) {
+            const leagues = LeagueService.getManifestEntries();
+            const items = leagues.map(league => `
+                <li class="flex items-center justify-between gap-2 py-1 border-b border-gray-100 text-sm">
+                    <span class="truncate">${esc(league.label || league.id)}</span>
+                    <span class="flex gap-1 shrink-0">
+                        <button type="button" data-league-open="${esc(league.id)}" class="${buttonClass}">Abrir</button>
+                        <button type="button" data-league-edit="${esc(league.id)}" class="${buttonClass}">Editar</button>
+                        <button type="button" data-league-delete="${esc(league.id)}" title="Excluir ${esc(league.label || league.id)}" aria-label="Excluir ${esc(league.label || league.id)}"
+                            class="px-2 text-gray-500 hover:text-red-600">✕</button>
+                    </span>
+                </li>`).join('');
+            return `
+            <section data-section="league-list">
+                <h3 class="text-sm font-semibold text-gray-700 mb-1">Ligas criadas</h3>
+                <ul>${items || '<li class="text-sm text-gray-400">Nenhuma liga criada ainda.</li>'}</ul>
+                <p class="text-xs text-gray-400 mt-1">As ligas ficam salvas neste navegador e aparecem no seletor de campeonato.</p>
+            </section>
+            <div><button type="button" data-league-new class="${buttonClass}">Nova liga</button></div>`;
+        }
+
+        const teamRows = draft.teams.map(team => `
+                <li class="flex items-center gap-2 py-1 border-b border-gray-100">
+                    <label class="shrink-0 cursor-pointer" title="Trocar o escudo de ${esc(team.name)}">
+                        ${crest(team)}
+                        <input type="file" accept="image/*" class="sr-only" data-league-crest="${team.id}" aria-label="Escudo de ${esc(team.name)}">
+                    </label>
+                    <input type="text" maxlength="40" value="${esc(team.name)}" data-league-team="${team.id}" data-league-team-field="name" aria-label="Nome"
+                        class="flex-1 min-w-0 ${inputClass} text-sm">
+                    <input type="text" maxlength="4" value="${esc(team.acronym || '')}" data-league-team="${team.id}" data-league-team-field="acronym" aria-label="Sigla de ${esc(team.name)}"
+                        class="w-16 ${inputClass} text-sm uppercase">
+                    <button type="button" data-league-remove-team="${team.id}" title="Remover ${esc(team.name)} e seus jogos" aria-label="Remover ${esc(team.name)}"
+                        class="px-2 text-gray-500 hover:text-red-600">✕</button>
+                </li>`).join('');
+        const teamsSection = `
+            <section data-section="league-teams">
+                <h3 class="text-sm font-semibold text-gray-700 mb-1">Times (${draft.teams.length})</h3>
+                <ul>${teamRows || '<li class="text-sm text-gray-400">Nenhum time ainda.</li>'}</ul>
+                <form data-league-add-team class="flex flex-wrap items-center gap-2 mt-2">
+                    <input name="name" type="text" maxlength="40" required placeholder="Nome" aria-label="Nome do time" class="flex-1 min-w-0 ${inputClass}">
+                    <input name="acronym" type="text" maxlength="4" placeholder="Sigla" aria-label="Sigla do time" class="w-16 ${inputClass} uppercase">
+                    <input name="crest" type="file" accept="image/*" aria-label="Escudo do time" class="text-xs text-gray-600 max-w-[12rem]">
+                    <button type="submit" class="${buttonClass}">Adicionar</button>
+                </form>
+            </section>`;
+
+        const roundsPerLeg = draft.teams.length % 2 === 0 ? draft.teams.length - 1 : draft.teams.length;
+        const legOptions = [1, 2].map(legs => `<option value="${legs}" ${draft.legs === legs ? 'selected' : ''}>${legs === 1 ? 'Turno único' : 'Turno e returno'}${draft.teams.length >= 2 ? ` (${roundsPerLeg * legs} rodadas)` : ''}</option>`).join('');
+        const pointInputs = [['win', 'Vitória'], ['draw', 'Empate'], ['loss', 'Derrota']].map(([key, label]) => `
+                    <label class="flex flex-col gap-1 text-xs text-gray-600">
+                        ${label}
+                        <input type="number" min="0" step="1" value="${draft.points[key]}" data-league-field="points.${key}"
+                            class="w-16 h-8 text-center border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-400">
+                    </label>`).join('');
+        const zoneRows = draft.zones.map((zone, index) => `
+                <li class="flex items-center gap-2 py-1 border-b border-gray-100 text-sm">
+                    <input type="color" value="${esc(zone.color)}" data-league-zone="${index}" data-league-zone-field="color" aria-label="Cor da zona" class="w-8 h-8 shrink-0">
+                    <input type="text" maxlength="30" value="${esc(zone.label)}" data-league-zone="${index}" data-league-zone-field="label" aria-label="Nome da zona"
+                        class="flex-1 min-w-0 ${inputClass}">
+                    <input type="number" min="1" step="1" value="${zone.from}" data-league-zone="${index}" data-league-zone-field="from" aria-label="Da posição"
+                        class="w-14 h-8 text-center border border-gray-300 rounded">
+                    <span class="text-gray-500">a</span>
+                    <input type="number" min="1" step="1" value="${zone.to}" data-league-zone="${index}" data-league-zone-field="to" aria-label="Até a posição"
+                        class="w-14 h-8 text-center border border-gray-300 rounded">
+                    <button type="button" data-league-remove-zone="${index}" title="Remover a zona" aria-label="Remover a zona ${esc(zone.label)}"
+                        class="px-2 text-gray-500 hover:text-red-600">✕</button>
+                </li>`).join('');
+        const rulesSection = `
+            <section data-section="league-rules">
+                <h3 class="text-sm font-semibold text-gray-700 mb-1">Regras</h3>
+                <div class="flex flex-wrap items-end gap-3">
+                    <label class="flex flex-col gap-1 text-xs text-gray-600">
+                        Turnos
+                        <select data-league-field="legs" class="p-2 rounded-md border border-gray-300 bg-white text-gray-700 text-sm">${legOptions}</select>
+                    </label>
+                    ${pointInputs}
+                </div>
+                <h4 class="text-xs font-semibold text-gray-600 mt-3 mb-1">Zonas da classificação</h4>
+                <ul>${zoneRows || '<li class="text-sm text-gray-400">Nenhuma zona.</li>'}</ul>
+                <button type="button" data-league-add-zone class="${buttonClass} mt-2">Adicionar zona</button>
+            </section>`;
+
+        const teamOptions = (selectedId) => draft.teams.map(team => `<option value="${team.id}" ${team.id === selectedId ? 'selected' : ''}>${esc(team.name)}</option>`).join('');
+        const rounds = Object.keys(draft.roundFixtures || {}).map(Number).sort((a, b) => a - b);
+        const roundBlocks = rounds.map(round => {
+            const rows = draft.roundFixtures[round].matches.map(match => `
+                    <li class="flex items-center gap-1 py-0.5 text-sm">
+                        <select data-league-match="${match.id}" data-league-round="${round}" data-league-side="homeTeam" aria-label="Mandante"
+                            class="flex-1 min-w-0 p-1 rounded border border-gray-300 bg-white">${teamOptions(match.homeTeam.id)}</select>
+                        <span class="text-gray-400">×</span>
+                        <select data-league-match="${match.id}" data-league-round="${round}" data-league-side="awayTeam" aria-label="Visitante"
+                            class="flex-1 min-w-0 p-1 rounded border border-gray-300 bg-white">${teamOptions(match.awayTeam.id)}</select>
+                        <button type="button" data-league-remove-match="${match.id}" data-league-round="${round}" title="Remover o jogo" aria-label="Remover o jogo"
+                            class="px-2 text-gray-500 hover:text-red-600">✕</button>
+                    </li>`).join('');
+            return `
+                <details class="border-b border-gray-100 py-1" ${rounds.length <= 3 ? 'open' : ''}>
+                    <summary class="cursor-pointer text-sm text-gray-700">Rodada ${round} <span class="text-xs text-gray-400">(${draft.roundFixtures[round].matches.length} jogos)</span></summary>
+                    <ul class="mt-1">${rows}</ul>
+                    <button type="button" data-league-add-match="${round}" class="text-xs text-blue-600 hover:underline mt-1">+ jogo</button>
+                </details>`;
+        }).join('');
+        const fixturesSection = `
+            <section data-section="league-fixtures">
+                <h3 class="text-sm font-semibold text-gray-700 mb-1">Tabela de jogos</h3>
+                <div class="flex flex-wrap items-center gap-2 mb-2">
+                    <input type="text" maxlength="20" value="${esc(seed)}" data-league-seed placeholder="Semente (opcional)" aria-label="Semente do sorteio da tabela"
+                        class="w-40 ${inputClass} text-sm">
+                    <button type="button" data-league-generate class="${buttonClass}" ${draft.teams.length < 2 ? 'disabled' : ''}>${rounds.length ? 'Gerar de novo' : 'Gerar tabela'}</button>
+                </div>
+                ${roundBlocks || '<p class="text-sm text-gray-400">Gere a tabela (todos contra todos, mandos alternados) ou monte as rodadas à mão.</p>'}
+                <div class="flex gap-2 mt-2">
+                    <button type="button" data-league-add-round class="${buttonClass}">Adicionar rodada</button>
+                    <button type="button" data-league-remove-round class="${buttonClass}" ${rounds.length ? '' : 'disabled'}>Remover última rodada</button>
+                </div>
+            </section>`;
+
+        const issues = LeagueService.validate(draft);
+        const { errors } = DataValidator.countIssues(issues);
+        const issuesSection = issues.length ? `
+            <section data-section="league-issues">
+                <h3 class="text-sm font-semibold text-gray-700 mb-1">Pendências</h3>
+                <ul>${renderIssueItems(issues)}
+                </ul>
+            </section>` : '';
+
+        return `
+            <section data-section="league-name" class="flex flex-wrap gap-2">
+                <input type="text" maxlength="60" value="${esc(draft.name)}" data-league-field="name" placeholder="Nome da liga" aria-label="Nome da liga"
+                    class="flex-1 min-w-0 ${inputClass}">
+                <input type="text" maxlength="20" value="${esc(draft.season)}" data-league-field="season" placeholder="Temporada" aria-label="Temporada"
+                    class="w-28 ${inputClass}">
+            </section>
+            ${teamsSection}
+            ${rulesSection}
+            ${fixturesSection}
+            ${issuesSection}
+            <div class="flex justify-end gap-2">
+                <button type="button" data-league-cancel class="${buttonClass}">Cancelar</button>
+                <button type="button" data-league-save class="${buttonClass} font-semibold" ${errors > 0 ? 'disabled' : ''}>${draft.datasetId ? 'Salvar e abrir' : 'Criar e abrir'}</button>
+            </div>`;
+    },
+
     /**
      * Renders the matches table based on the current state.matches.
      * Handles both the case where there are no matches and the case
@@ -57,19 +57,83 @@ export const Utils = {
      * - 4: 5%
      * - 5: 3%
      * - 6: 2%
+     * @param {function(): number} [random=Math.random] - source of uniform numbers in [0, 1)
      * @returns {number} A random score between 0 and 6.
      */
-    generateRandomScore() {
+    generateRandomScore(random = Math.random) {
         const weights = [0.3, 0.25, 0.2, 0.15, 0.05, 0.03, 0.02];
-        const random = Math.random();
+        const value = random();
         let cumulative = 0;
         for (let i = 0; i < weights.length; i++) {
             cumulative += weights[i];
-            if (random <= cumulative) return i;
+            if (value <= cumulative) return i;
         }
         return 0;
     },
 
+    /**
+     * Hashes a string into a 32-bit unsigned integer (FNV-1a), used to turn
+     * textual seeds into PRNG state.
+     * @param {string} str The string to hash.
+     * @returns {number} The 32-bit hash.
+     */
+    hashString(str) {
+        let hash = 0x811c9dc5;
+        const text = String(str);
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    },
+
+    /**
+     * Creates a deterministic pseudo-random number generator (mulberry32) from a seed.
+     * The same seed always yields the same sequence.
+     * @param {string|number} seed The seed.
+     * @returns {function(): number} A function returning numbers in [0, 1).
+     */
+    createRandom(seed) {
+        let a = this.hashString(seed);
+        return function random() {
+            a = (a + 0x6d2b79f5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    /**
+     * Generates a short random seed (6 base-36 characters) for a new scenario.
+     * @returns {string} The seed.
+     */
+    generateSeed() {
+        return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+    },
+
+    /**
+     * Reads the first "dd/mm" date in a fixture date text (e.g. "16/08, 17/08 ou 18/08")
+     * as a sortable number (month * 100 + day). Seasons are assumed to fit in one
+     * calendar year.
+     * @param {string} text The date text.
+     * @returns {number|null} The sortable date, or null when no date is found.
+     */
+    parseDayMonth(text) {
+        const match = /(\d{1,2})\/(\d{1,2})/.exec(String(text || ''));
+        if (!match) return null;
+        return parseInt(match[2], 10) * 100 + parseInt(match[1], 10);
+    },
+
+    /**
+     * Escapes text typed by the user (e.g. names) for use in HTML markup.
+     * @param {string} text The text to escape.
+     * @returns {string} The escaped text.
+     */
+    escapeHtml(text) {
+        return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    },
+
     /**
      * Performs a deep clone of the given object.
      * @param {object} obj The object to clone.
@@ -82,20 +146,23 @@ export const Utils = {
     /**
      * Returns a debounced version of the given function.
      * The given function will be invoked after `wait` milliseconds since the last time it was invoked.
+     * A pending invocation can be dropped with the returned function's `cancel()` method.
      * @param {function} func The function to debounce.
      * @param {number} wait The number of milliseconds to wait before invoking the function.
      * @returns {function} The debounced function.
      */
     debounce(func, wait) {
         let timeout;
-        return function executedFunction(...args) {
+        function executedFunction(...args) {
             const later = () => {
                 clearTimeout(timeout);
                 func(...args);
             };
             clearTimeout(timeout);
             timeout = setTimeout(later, wait);
-        };
+        }
+        executedFunction.cancel = () => clearTimeout(timeout);
+        return executedFunction;
     },
 
     /**
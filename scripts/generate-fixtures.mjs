@@ -0,0 +1,119 @@
+// Generates a double round-robin round_fixtures.json for a data set folder from its
+// teams.json (js/fixtureGenerator.js), and checks the result like the app does on load.
+// Usage, from the project root:
+//   node scripts/generate-fixtures.mjs data/<competition>/<season>/ [--seed <text>]
+//       [--shared <id>:<id> ...] [--legs <n>] [--first-round <n>] [--print]
+// --shared   two teams that share a stadium and cannot both be at home in a round (repeatable)
+// --legs     times each pair of teams meets (default 2, home and away)
+// --print    writes the fixtures to the standard output instead of the folder
+// initial_standings.json (every count at zero) and competition.json (round range and team
+// count) are created when the folder has none, so the data set loads as it is; an existing
+// round_fixtures.json is overwritten. List the folder in data/manifest.json to select it.
+import { readFile, writeFile, access } from 'node:fs/promises';
+import { FixtureGenerator } from '../js/fixtureGenerator.js';
+import { DataValidator } from '../js/dataValidator.js';
+
+/**
+ * Reads the command-line arguments.
+ * @param {Array<string>} args - process.argv without node and the script
+ * @returns {{ folder: string, seed: string|undefined, sharedStadiums: Array, legs: number, firstRound: number, print: boolean }}
+ */
+function parseArgs(args) {
+    const options = { folder: null, seed: undefined, sharedStadiums: [], legs: 2, firstRound: 1, print: false };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--seed') options.seed = args[++i];
+        else if (arg === '--shared') options.sharedStadiums.push(String(args[++i] || '').split(':').map(Number));
+        else if (arg === '--legs') options.legs = parseInt(args[++i], 10);
+        else if (arg === '--first-round') options.firstRound = parseInt(args[++i], 10);
+        else if (arg === '--print') options.print = true;
+        else options.folder = arg.endsWith('/') ? arg : `${arg}/`;
+    }
+    if (!options.folder || !Number.isInteger(options.firstRound)) {
+        throw new Error('uso: node scripts/generate-fixtures.mjs data/<competição>/<temporada>/ [--seed <texto>] [--shared <id>:<id>] [--legs <n>] [--first-round <n>] [--print]');
+    }
+    return options;
+}
+
+/**
+ * Formats round fixtures like the shipped files: one match per line.
+ * @param {Object} fixtures - round fixtures
+ * @returns {string} JSON text
+ */
+function formatFixtures(fixtures) {
+    const rounds = Object.keys(fixtures).map(round => {
+        const matches = fixtures[round].matches.map(match => `      ${JSON.stringify(match).replace(/([{,])"/g, '$1 "').replace(/":/g, '": ').replace(/}/g, ' }')}`);
+        return `  "${round}": {\n    "date": ${JSON.stringify(fixtures[round].date)},\n    "matches": [\n${matches.join(',\n')}\n    ]\n  }`;
+    });
+    return `{\n${rounds.join(',\n')}\n}\n`;
+}
+
+/**
+ * Formats a list with one entry per line, like the shipped teams and standings files.
+ * @param {Array<Object>} rows
+ * @returns {string} JSON text
+ */
+function formatRows(rows) {
+    return `[\n${rows.map(row => `  ${JSON.stringify(row).replace(/([{,])"/g, '$1 "').replace(/":/g, '": ').replace(/}$/, ' }')}`).join(',\n')}\n]\n`;
+}
+
+/**
+ * Tells whether a file exists.
+ * @param {string} path
+ * @returns {Promise<boolean>}
+ */
+async function exists(path) {
+    try {
+        await access(path);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Generates, writes and checks the fixtures.
+ * @returns {Promise<void>}
+ */
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const teams = JSON.parse(await readFile(`${options.folder}teams.json`, 'utf8'));
+    const roundFixtures = FixtureGenerator.generate(teams, options);
+    const rounds = Object.keys(roundFixtures).map(Number);
+    const stats = FixtureGenerator.getHomeAwayStats(roundFixtures);
+    const competition = { teamCount: teams.length, legs: options.legs, rounds: { min: rounds[0], max: rounds[rounds.length - 1] } };
+
+    if (options.print) {
+        process.stdout.write(formatFixtures(roundFixtures));
+    } else {
+        await writeFile(`${options.folder}round_fixtures.json`, formatFixtures(roundFixtures));
+        if (!await exists(`${options.folder}initial_standings.json`)) {
+            await writeFile(`${options.folder}initial_standings.json`, formatRows(FixtureGenerator.createInitialStandings(teams)));
+        }
+        if (!await exists(`${options.folder}competition.json`)) {
+            await writeFile(`${options.folder}competition.json`, `${JSON.stringify(competition, null, 2)}\n`);
+        }
+    }
+
+    // Same checks as dataManager.loadData, on the files as they will be loaded
+    const read = async (file) => (await exists(`${options.folder}${file}`) ? JSON.parse(await readFile(`${options.folder}${file}`, 'utf8')) : null);
+    const issues = DataValidator.validateDataset({
+        teams,
+        initialStandings: options.print ? FixtureGenerator.createInitialStandings(teams) : await read('initial_standings.json'),
+        roundFixtures,
+        pendingMatches: options.print ? null : await read('pending_matches.json'),
+        competition: options.print ? competition : await read('competition.json')
+    });
+    const { errors, warnings } = DataValidator.countIssues(issues);
+    console.error(`${teams.length} times, rodadas ${rounds[0]}–${rounds[rounds.length - 1]}, ${Object.values(roundFixtures).reduce((n, r) => n + r.matches.length, 0)} jogos; `
+        + `sequência máxima em casa ou fora: ${stats.maxStreak}; ${errors} erro(s), ${warnings} aviso(s)`);
+    issues.forEach(issue => console.error(`  ${issue.severity === 'error' ? 'ERRO ' : 'AVISO'} ${[issue.file, issue.entry].filter(Boolean).join(' › ')}: ${issue.message}`));
+    process.exitCode = errors > 0 ? 1 : 0;
+}
+
+try {
+    await main();
+} catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+}
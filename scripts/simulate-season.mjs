@@ -0,0 +1,84 @@
+// Simulates the rest of a data set's championship in Node with js/simulationEngine.js,
+// the same engine the app uses, and prints the table with the positions each team can
+// still reach and its probability of finishing in each target range.
+// Usage, from the project root:
+//   node scripts/simulate-season.mjs data/<competition>/<season>/ [--iterations <n>]
+//       [--seed <text>] [--model <poisson|random>]
+// Only the data set files are read: results entered in the browser are not included.
+import { readFile } from 'node:fs/promises';
+import { SimulationEngine } from '../js/simulationEngine.js';
+
+/**
+ * Reads the command-line arguments.
+ * @param {Array<string>} args - process.argv without node and the script
+ * @returns {{ folder: string, iterations: number|undefined, seed: string, model: string|undefined }}
+ */
+function parseArgs(args) {
+    const options = { folder: null, iterations: undefined, seed: '', model: undefined };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--iterations') options.iterations = parseInt(args[++i], 10);
+        else if (arg === '--seed') options.seed = String(args[++i] || '');
+        else if (arg === '--model') options.model = args[++i];
+        else options.folder = arg.endsWith('/') ? arg : `${arg}/`;
+    }
+    if (!options.folder) {
+        throw new Error('uso: node scripts/simulate-season.mjs data/<competição>/<temporada>/ [--iterations <n>] [--seed <texto>] [--model <poisson|random>]');
+    }
+    return options;
+}
+
+/**
+ * Reads a JSON file of the folder; null when it does not exist.
+ * @param {string} path
+ * @returns {Promise<*>}
+ */
+async function readJson(path) {
+    try {
+        return JSON.parse((await readFile(path, 'utf8')).replace(/^\uFEFF/, ''));
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw new Error(`${path}: ${err.message}`);
+    }
+}
+
+/**
+ * Runs the simulation and prints the table.
+ * @returns {Promise<void>}
+ */
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const read = (file) => readJson(`${options.folder}${file}`);
+    const competition = (await read('competition.json')) || {};
+    const pending = await read('pending_matches.json');
+    const teams = (await read('teams.json')) || [];
+    const engine = SimulationEngine.create({
+        teams,
+        standings: (await read('initial_standings.json')) || [],
+        roundFixtures: (await read('round_fixtures.json')) || {},
+        pendingMatches: (pending && pending.matches) || [],
+        rules: { points: competition.points, tiebreakers: competition.tiebreakers, zones: competition.targets, seed: options.seed },
+        model: options.model,
+    });
+
+    const { iterations, teams: probabilities } = await engine.simulateProbabilities({ iterations: options.iterations });
+    const outlook = engine.analyzeFinalPositions();
+    const names = new Map(teams.map(team => [team.id, team.name]));
+    const zones = engine.rules.zones;
+    const percent = (value) => `${(value * 100).toFixed(1)}%`.padStart(7);
+
+    console.log(`${competition.name || options.folder}: ${engine.getRemainingMatches().length} jogos restantes, ${iterations} temporadas simuladas`);
+    console.log(`${'#'.padStart(3)} ${'Time'.padEnd(20)} ${'Pts'.padStart(4)} ${'Faixa'.padStart(7)} ${zones.map(zone => zone.label.padStart(7)).join(' ')}`);
+    engine.getStandings().forEach(team => {
+        const range = outlook[team.id] ? `${outlook[team.id].best}–${outlook[team.id].worst}` : '';
+        const row = zones.map(zone => percent(probabilities[team.id][zone.key])).join(' ');
+        console.log(`${String(team.position).padStart(3)} ${String(names.get(team.id) || team.id).padEnd(20)} ${String(team.points).padStart(4)} ${range.padStart(7)} ${row}`);
+    });
+}
+
+try {
+    await main();
+} catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+}
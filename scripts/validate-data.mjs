@@ -0,0 +1,74 @@
+// Checks the data sets under data/ with the same validation the app runs at load time
+// (js/dataValidator.js) and prints the problems found.
+// Usage, from the project root:  node scripts/validate-data.mjs [data/<competition>/<season>/ ...]
+// (the <competition>/<season> id alone works too).
+// Without arguments every data set listed in data/manifest.json is checked. Exits with
+// status 1 when any error is found (warnings alone do not fail).
+import { readFile } from 'node:fs/promises';
+import { DataValidator } from '../js/dataValidator.js';
+
+const DATA_DIR = new URL('../data/', import.meta.url);
+
+/**
+ * Reads and parses one file of a data set, reporting it like dataManager.readDataFile.
+ * @param {string} datasetId - "<competition>/<season>"
+ * @param {string} file - file name
+ * @param {Array<Object>} issues - list the issue is added to
+ * @param {string|null} missingSeverity - severity when the file is missing; null for optional files
+ * @returns {Promise<*>} the parsed contents, or null
+ */
+async function readDataFile(datasetId, file, issues, missingSeverity) {
+    let text;
+    try {
+        text = await readFile(new URL(`${datasetId}/${file}`, DATA_DIR), 'utf8');
+    } catch (err) {
+        if (missingSeverity) issues.push(DataValidator.createIssue(missingSeverity, file, null, `arquivo não encontrado (${err.code || err.message})`));
+        return null;
+    }
+    return DataValidator.parseJson(text, file, issues);
+}
+
+/**
+ * Validates one data set.
+ * @param {string} datasetId - "<competition>/<season>"
+ * @returns {Promise<Array<Object>>} the issues found
+ */
+async function validateDataset(datasetId) {
+    const issues = [];
+    const initialStandings = await readDataFile(datasetId, 'initial_standings.json', issues, 'error');
+    const roundFixtures = await readDataFile(datasetId, 'round_fixtures.json', issues, 'error');
+    const teams = await readDataFile(datasetId, 'teams.json', issues, 'warning');
+    const competition = await readDataFile(datasetId, 'competition.json', issues, 'warning');
+    const pendingMatches = await readDataFile(datasetId, 'pending_matches.json', issues, null);
+    issues.push(...DataValidator.validateDataset({ teams, initialStandings, roundFixtures, pendingMatches, competition }));
+    return DataValidator.sortIssues(issues);
+}
+
+/**
+ * Turns an argument into a data set id: "data/serie-a/2025/", the folder form taken by
+ * the other scripts, and "serie-a/2025" both give "serie-a/2025".
+ * @param {string} arg
+ * @returns {string}
+ */
+function toDatasetId(arg) {
+    return arg.replace(/^(\.\/)?data\//, '').replace(/\/+$/, '');
+}
+
+let datasetIds = process.argv.slice(2).map(toDatasetId);
+if (datasetIds.length === 0) {
+    const manifest = JSON.parse(await readFile(new URL('manifest.json', DATA_DIR), 'utf8'));
+    datasetIds = (manifest.datasets || []).map(entry => entry.id);
+}
+
+let failed = false;
+for (const datasetId of datasetIds) {
+    const issues = await validateDataset(datasetId);
+    const { errors, warnings } = DataValidator.countIssues(issues);
+    console.log(`data/${datasetId}/: ${errors} erro(s), ${warnings} aviso(s)`);
+    issues.forEach(issue => {
+        const where = [issue.file, issue.entry].filter(Boolean).join(' › ');
+        console.log(`  ${issue.severity === 'error' ? 'ERRO ' : 'AVISO'} ${where ? `${where}: ` : ''}${issue.message}`);
+    });
+    if (errors > 0) failed = true;
+}
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,186 @@
+// Tests of the headless engine (js/simulationEngine.js). Run from the project root:
+//   node --test tests/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationEngine } from '../js/simulationEngine.js';
+import { MatchService } from '../js/matchService.js';
+
+const rules = SimulationEngine.createRules({ points: { win: 3, draw: 1, loss: 0 } });
+
+/**
+ * Builds a standings row.
+ * @param {number} id
+ * @param {Object} [stats] - points, victories, goal_pro... (zero when missing)
+ * @returns {Object}
+ */
+function row(id, stats = {}) {
+    return SimulationEngine.createTeamRow({ id, ...stats });
+}
+
+/**
+ * Builds a match between two team ids, as in round_fixtures.json.
+ * @param {number} home
+ * @param {number} away
+ * @param {number} [id]
+ * @returns {Object}
+ */
+function fixture(home, away, id) {
+    return { id, homeTeam: { id: home }, awayTeam: { id: away } };
+}
+
+// A four-team league with two rounds left
+const LEAGUE = {
+    standings: [row(1, { points: 10 }), row(2, { points: 8 }), row(3, { points: 6 }), row(4, { points: 2 })],
+    roundFixtures: {
+        1: { matches: [fixture(1, 2, 1), fixture(3, 4, 2)] },
+        2: { matches: [fixture(2, 3, 3), fixture(4, 1, 4)] },
+    },
+};
+const LEAGUE_REMAINING = [...LEAGUE.roundFixtures[1].matches, ...LEAGUE.roundFixtures[2].matches];
+
+test('sortStandings orders by points, then by the tie-breakers', () => {
+    const standings = [
+        row(1, { points: 10, victories: 3, goal_pro: 8, goal_against: 4 }),
+        row(2, { points: 12, victories: 4, goal_pro: 6, goal_against: 6 }),
+        row(3, { points: 10, victories: 3, goal_pro: 9, goal_against: 5 }),
+        row(4, { points: 10, victories: 2, goal_pro: 12, goal_against: 2 }),
+    ];
+    const sorted = SimulationEngine.sortStandings(standings, [], rules);
+    assert.deepEqual(sorted.map(team => team.id), [2, 3, 1, 4]);
+    assert.deepEqual(sorted.map(team => team.position), [1, 2, 3, 4]);
+    assert.deepEqual(sorted.map(team => team.tiebreaker), [null, null, 'goal_pro', 'victories']);
+    assert.equal(standings[0].position, undefined, 'the given rows are not mutated');
+});
+
+test('sortStandings settles a tie between two teams by head-to-head', () => {
+    const standings = [
+        row(1, { points: 9, victories: 3, goal_pro: 5, goal_against: 3 }),
+        row(2, { points: 9, victories: 3, goal_pro: 5, goal_against: 3 }),
+    ];
+    const results = [{ homeTeamId: 1, awayTeamId: 2, homeScore: 0, awayScore: 1 }];
+    const sorted = SimulationEngine.sortStandings(standings, results, rules);
+    assert.deepEqual(sorted.map(team => team.id), [2, 1]);
+    assert.equal(sorted[1].tiebreaker, 'head_to_head');
+});
+
+test('applyResults adds results to both teams and reverses them', () => {
+    const standings = [row(1), row(2), row(3)];
+    const results = [
+        { homeTeamId: 1, awayTeamId: 2, homeScore: 2, awayScore: 0 },
+        { homeTeamId: 3, awayTeamId: 1, homeScore: 1, awayScore: 1 },
+    ];
+    const applied = SimulationEngine.applyResults(standings, results, rules);
+    const [first, second, third] = applied;
+    assert.deepEqual(
+        { points: first.points, games: first.games, victories: first.victories, draws: first.draws, goal_pro: first.goal_pro, goal_against: first.goal_against, balance_goals: first.balance_goals },
+        { points: 4, games: 2, victories: 1, draws: 1, goal_pro: 3, goal_against: 1, balance_goals: 2 },
+    );
+    assert.deepEqual({ points: second.points, defeats: second.defeats, balance_goals: second.balance_goals }, { points: 0, defeats: 1, balance_goals: -2 });
+    assert.deepEqual({ points: third.points, draws: third.draws, games: third.games }, { points: 1, draws: 1, games: 1 });
+    assert.equal(standings[0].points, 0, 'the given rows are not mutated');
+
+    assert.deepEqual(SimulationEngine.applyResults(applied, results, rules, true), standings);
+});
+
+test('analyzeFinalPositions gives the positions each team can still reach', () => {
+    const standings = [row(1, { points: 10 }), row(2, { points: 6 }), row(3, { points: 5 })];
+    const analysis = SimulationEngine.analyzeFinalPositions(standings, [fixture(1, 2), fixture(2, 3)], rules);
+    assert.deepEqual(analysis, {
+        1: { best: 1, worst: 2 },
+        2: { best: 1, worst: 3 },
+        3: { best: 2, worst: 3 },
+    });
+});
+
+test('analyzeFinalPositions counts the points teams take from each other', () => {
+    // 2 and 3 can each pass 1, but not both: their only match hands out at most 3 points
+    const standings = [row(1, { points: 10 }), row(2, { points: 8 }), row(3, { points: 8 }), row(4)];
+    assert.deepEqual(SimulationEngine.analyzeFinalPositions(standings, [fixture(2, 3)], rules), {
+        1: { best: 1, worst: 2 },
+        2: { best: 1, worst: 3 },
+        3: { best: 1, worst: 3 },
+        4: { best: 4, worst: 4 },
+    });
+});
+
+test('analyzeFinalPositions fixes every position when nothing is left to play', () => {
+    const standings = [row(1, { points: 7 }), row(2, { points: 4 })];
+    assert.deepEqual(SimulationEngine.analyzeFinalPositions(standings, [], rules), {
+        1: { best: 1, worst: 1 },
+        2: { best: 2, worst: 2 },
+    });
+});
+
+test('applyResult adds an official result read from its match', () => {
+    const match = { ...fixture(1, 2, 7), homeScore: '2', awayScore: '3', source: 'official' };
+    const [home, away] = SimulationEngine.applyResult([row(1), row(2)], MatchService.createMatchResult(match), rules);
+    assert.deepEqual(
+        { points: home.points, games: home.games, defeats: home.defeats, goal_pro: home.goal_pro, goal_against: home.goal_against, balance_goals: home.balance_goals },
+        { points: 0, games: 1, defeats: 1, goal_pro: 2, goal_against: 3, balance_goals: -1 },
+    );
+    assert.deepEqual({ points: away.points, victories: away.victories, balance_goals: away.balance_goals }, { points: 3, victories: 1, balance_goals: 1 });
+});
+
+test('create replaces an applied result of the same match', () => {
+    const engine = SimulationEngine.create({ teams: [{ id: 1 }, { id: 2 }], roundFixtures: { 1: { matches: [fixture(1, 2, 7)] } } });
+    engine.applyResults([{ matchId: 7, homeScore: 2, awayScore: 0 }]);
+    const table = engine.applyResults([{ matchId: 7, homeScore: 1, awayScore: 1 }]);
+    table.forEach((team) => {
+        assert.deepEqual(
+            { points: team.points, games: team.games, victories: team.victories, draws: team.draws, defeats: team.defeats, balance_goals: team.balance_goals },
+            { points: 1, games: 1, victories: 0, draws: 1, defeats: 0, balance_goals: 0 },
+        );
+    });
+});
+
+test('analyzeTarget gives the points and the cheapest record that secure a position', () => {
+    const { standings } = LEAGUE;
+    assert.deepEqual(SimulationEngine.analyzeTarget(1, 1, standings, LEAGUE_REMAINING, rules),
+        { current: 10, games: 2, reachable: true, needed: 4, record: { wins: 1, draws: 1 } });
+    assert.deepEqual(SimulationEngine.analyzeTarget(2, 2, standings, LEAGUE_REMAINING, rules),
+        { current: 8, games: 2, reachable: true, needed: 4, record: { wins: 1, draws: 1 } });
+    // still possible, but not in the team's own hands
+    assert.deepEqual(SimulationEngine.analyzeTarget(2, 1, standings, LEAGUE_REMAINING, rules),
+        { current: 8, games: 2, reachable: true, needed: null, record: null });
+    assert.deepEqual(SimulationEngine.analyzeTarget(4, 1, standings, LEAGUE_REMAINING, rules),
+        { current: 2, games: 2, reachable: false, needed: null, record: null });
+});
+
+test('simulateProbabilities gives the same probabilities for the same seed', async () => {
+    const zones = [{ key: 'champion', label: 'Campeão', from: 1, to: 1 }, { key: 'last', label: 'Lanterna', from: 4, to: 4 }];
+    const engine = SimulationEngine.create({
+        teams: [1, 2, 3, 4].map(id => ({ id })),
+        standings: LEAGUE.standings,
+        roundFixtures: LEAGUE.roundFixtures,
+        rules: { points: rules.points, zones },
+    });
+    const first = await engine.simulateProbabilities({ iterations: 200, seed: 'abc' });
+    const second = await engine.simulateProbabilities({ iterations: 200, seed: 'abc' });
+    assert.deepEqual(first, second);
+    assert.deepEqual(first, {
+        iterations: 200,
+        teams: {
+            1: { champion: 0.635, last: 0 },
+            2: { champion: 0.325, last: 0.02 },
+            3: { champion: 0.04, last: 0.135 },
+            4: { champion: 0, last: 0.845 },
+        },
+    });
+    zones.forEach((zone) => {
+        const total = Object.values(first.teams).reduce((sum, team) => sum + team[zone.key], 0);
+        assert.ok(Math.abs(total - 1) < 1e-9, `${zone.key} adds up to 1`);
+    });
+});
+
+test('simulateSeason keeps every row consistent with its results', () => {
+    const table = SimulationEngine.simulateSeason(LEAGUE.standings, LEAGUE_REMAINING, { seed: 'abc' }, [], rules);
+    const gained = (team) => team.points - LEAGUE.standings.find((base) => base.id === team.id).points;
+    table.forEach((team) => {
+        assert.equal(team.games, 2);
+        assert.equal(team.victories + team.draws + team.defeats, 2);
+        assert.equal(gained(team), 3 * team.victories + team.draws);
+        assert.equal(team.balance_goals, team.goal_pro - team.goal_against);
+    });
+    const goals = (key) => table.reduce((sum, team) => sum + team[key], 0);
+    assert.equal(goals('goal_pro'), goals('goal_against'));
+});